@@ -0,0 +1,249 @@
+/**
+ * GRAND PRIX CUPS
+ * A cup is a series of races over several tracks with the same drivers.
+ * Every kart scores points by finishing position; the standings are shown
+ * between races and the top three end up on the podium.
+ */
+
+// ============================================================================
+// CUP SERIES
+// ============================================================================
+
+const CUP_POINTS = [10, 6, 3, 1];   // by finishing position
+
+const cup = {
+  list: [],
+  ready: null,
+  active: false,
+  def: null,
+  round: 0,
+  standings: [],
+  screen: null,     // null while racing, then 'standings' or 'podium'
+  loading: false,
+  
+  load() {
+    this.ready = fetchJSON(CONFIG.CUP_LIST_URL).then((list) => {
+      this.list = list;
+      
+      const select = document.getElementById('cupSelect');
+      if (select) {
+        select.innerHTML = '';
+        for (const entry of list) {
+          const option = document.createElement('option');
+          option.value = entry.id;
+          option.textContent = entry.name;
+          select.appendChild(option);
+        }
+      }
+    });
+  },
+  
+  // Begin a cup for `humans` players and load its first track (the caller
+  // resets the race)
+  async start(id, humans = 1) {
+    await this.ready;
+    this.def = this.list.find(c => c.id === id) || this.list[0];
+    this.active = true;
+    this.round = 0;
+    this.screen = null;
+    this.standings = roster.lineup(humans).map((racer, i) => ({
+      name: racer.name,
+      color: racer.color,
+      isPlayer: i < humans,
+      label: humans > 1 && i < humans ? `P${i + 1}` : null,
+      points: 0,
+      gained: 0,   // points from the last race
+      last: 0,     // position in the last race
+    }));
+    await game.loadTrack(this.def.tracks[0]);
+  },
+  
+  stop() {
+    this.active = false;
+    this.screen = null;
+  },
+  
+  get lastRound() {
+    return this.round === this.def.tracks.length - 1;
+  },
+  
+  // SPACE/tap after the finish: score the race, then step through the
+  // standings to the next race or the podium
+  async advance(race) {
+    if (this.loading) return;
+    
+    if (!this.screen) {
+      this.score(race);
+      this.screen = this.lastRound ? 'podium' : 'standings';
+    } else if (this.screen === 'standings') {
+      this.loading = true;
+      this.round++;
+      await game.loadTrack(this.def.tracks[this.round]);
+      this.screen = null;
+      this.loading = false;
+      game.reset();
+    } else {
+      this.stop();
+      game.stop();
+      document.getElementById('startScreen').style.display = 'flex';
+    }
+  },
+  
+  // Points for every kart by where it stands when the player finishes;
+  // karts still racing keep their current position
+  score(race) {
+    for (const result of race.results()) {
+      const entry = this.standings.find(e => e.name === result.name);
+      entry.gained = CUP_POINTS[result.position - 1] || 0;
+      entry.points += entry.gained;
+      entry.last = result.position;
+    }
+    
+    // Most points first, ties go to the better finish in this race
+    this.standings.sort((a, b) => b.points - a.points || a.last - b.last);
+  },
+  
+  prompt() {
+    const action = isTouchDevice ? 'Tap' : 'Press SPACE';
+    if (!this.screen) return `${action} for the standings`;
+    if (this.screen === 'standings') return `${action} for the next race`;
+    return `${action} to finish the cup`;
+  },
+  
+  // ==========================================================================
+  // RENDERING
+  // ==========================================================================
+  
+  render(ctx) {
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.85)';
+    ctx.fillRect(0, 0, CONFIG.WIDTH, CONFIG.HEIGHT);
+    
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    
+    if (this.screen === 'podium') {
+      this.renderPodium(ctx);
+    } else {
+      this.renderStandings(ctx);
+    }
+    
+    ctx.textAlign = 'center';
+    ctx.font = 'bold 18px system-ui, sans-serif';
+    ctx.fillStyle = '#a0a0a0';
+    ctx.fillText(this.loading ? 'Loading…' : this.prompt(), CONFIG.WIDTH / 2, CONFIG.HEIGHT - 50);
+  },
+  
+  renderStandings(ctx) {
+    const centerX = CONFIG.WIDTH / 2;
+    
+    ctx.fillStyle = '#FFD700';
+    ctx.font = 'bold 36px system-ui, sans-serif';
+    ctx.fillText(this.def.name.toUpperCase(), centerX, 80);
+    
+    ctx.fillStyle = '#FFFFFF';
+    ctx.font = 'bold 18px system-ui, sans-serif';
+    ctx.fillText(`STANDINGS AFTER RACE ${this.round + 1}/${this.def.tracks.length}`, centerX, 120);
+    
+    this.standings.forEach((entry, i) => {
+      const y = 180 + i * 56;
+      
+      ctx.fillStyle = 'rgba(26, 26, 46, 0.9)';
+      ctx.strokeStyle = entry.isPlayer ? '#e94560' : 'rgba(233, 69, 96, 0.4)';
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.roundRect(centerX - 220, y - 22, 440, 44, 8);
+      ctx.fill();
+      ctx.stroke();
+      
+      ctx.textAlign = 'left';
+      ctx.font = 'bold 20px system-ui, sans-serif';
+      ctx.fillStyle = ['#FFD700', '#C0C0C0', '#CD7F32', '#FFFFFF'][i] || '#FFFFFF';
+      ctx.fillText(`${i + 1}.`, centerX - 200, y);
+      
+      ctx.fillStyle = entry.color;
+      ctx.fillRect(centerX - 160, y - 9, 24, 18);
+      ctx.strokeStyle = '#000000';
+      ctx.strokeRect(centerX - 160, y - 9, 24, 18);
+      
+      ctx.fillStyle = '#FFFFFF';
+      ctx.fillText(entry.label ? `${entry.name} (${entry.label})` : entry.name, centerX - 120, y);
+      
+      ctx.textAlign = 'right';
+      ctx.fillStyle = '#2ECC71';
+      ctx.font = 'bold 16px system-ui, sans-serif';
+      ctx.fillText(`+${entry.gained}`, centerX + 110, y);
+      
+      ctx.fillStyle = '#FFFFFF';
+      ctx.font = 'bold 20px system-ui, sans-serif';
+      ctx.fillText(`${entry.points} PTS`, centerX + 200, y);
+    });
+  },
+  
+  renderPodium(ctx) {
+    const centerX = CONFIG.WIDTH / 2;
+    const baseY = 430;
+    
+    ctx.fillStyle = '#FFD700';
+    ctx.font = 'bold 36px system-ui, sans-serif';
+    ctx.fillText(`${this.def.name.toUpperCase()} RESULTS`, centerX, 70);
+    
+    // Winner in the middle on the tallest step
+    const steps = [
+      { place: 1, x: centerX, height: 160, color: '#FFD700', trophy: '🏆' },
+      { place: 2, x: centerX - 150, height: 115, color: '#C0C0C0', trophy: '🥈' },
+      { place: 3, x: centerX + 150, height: 85, color: '#CD7F32', trophy: '🥉' },
+    ];
+    
+    for (const step of steps) {
+      const entry = this.standings[step.place - 1];
+      if (!entry) continue;
+      const top = baseY - step.height;
+      
+      ctx.fillStyle = step.color;
+      ctx.fillRect(step.x - 65, top, 130, step.height);
+      ctx.strokeStyle = '#000000';
+      ctx.lineWidth = 3;
+      ctx.strokeRect(step.x - 65, top, 130, step.height);
+      
+      ctx.fillStyle = '#1a1a2e';
+      ctx.font = 'bold 40px system-ui, sans-serif';
+      ctx.fillText(String(step.place), step.x, top + 35);
+      ctx.font = 'bold 16px system-ui, sans-serif';
+      ctx.fillText(`${entry.points} PTS`, step.x, top + 68);
+      
+      // Driver and kart on the step
+      ctx.fillStyle = entry.color;
+      ctx.fillRect(step.x - 18, top - 26, 36, 20);
+      ctx.strokeStyle = '#000000';
+      ctx.lineWidth = 2;
+      ctx.strokeRect(step.x - 18, top - 26, 36, 20);
+      ctx.fillStyle = '#FFE4C4';
+      ctx.beginPath();
+      ctx.arc(step.x, top - 32, 8, 0, Math.PI * 2);
+      ctx.fill();
+      
+      ctx.fillStyle = '#FFFFFF';
+      ctx.font = 'bold 18px system-ui, sans-serif';
+      ctx.fillText(entry.name, step.x, top - 58);
+      ctx.font = '32px system-ui, sans-serif';
+      ctx.fillText(step.trophy, step.x, top - 92);
+    }
+    
+    // Where the players ended up if they missed the podium
+    let line = 0;
+    this.standings.forEach((entry, i) => {
+      const place = i + 1;
+      if (!entry.isPlayer || place <= 3) return;
+      ctx.fillStyle = '#a0a0a0';
+      ctx.font = 'bold 20px system-ui, sans-serif';
+      const who = entry.label || 'You';
+      ctx.fillText(`${who} finished ${place}th with ${entry.points} points`, centerX, baseY + 40 + line++ * 28);
+    });
+  },
+};
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', () => cup.load());
+} else {
+  cup.load();
+}
@@ -0,0 +1,539 @@
+/**
+ * TRACK EDITOR
+ * Place and drag centerline points, set road widths, drop checkpoint gates,
+ * item boxes and grid slots, then export the same JSON the race loads.
+ */
+
+// ============================================================================
+// EDITOR STATE
+// ============================================================================
+
+const EDITOR_DRAFT_KEY = 'retroKart.editorDraft';
+
+const EDITOR_HINTS = {
+  points: 'Click to add a point (on the road it is inserted there) · Drag to move · Right-click to delete',
+  checkpoints: 'Click the road to drop a gate · Click a gate to remove it · Gate 0 is the start line',
+  powerUps: 'Click to place an item box · Drag to move · Right-click to delete',
+  grid: 'Click to add a grid slot (faces along the road) · Drag to move · Right-click to delete',
+};
+
+const editor = {
+  active: false,
+  testing: false,
+  tool: 'points',
+  data: null,
+  track: null,
+  selected: null,
+  dragging: null,
+  // Screen pixels per track pixel and where the track origin sits on
+  // screen, fitted to the track when one is loaded
+  view: { scale: 1, x: 0, y: 0 },
+  
+  open() {
+    this.active = true;
+    this.testing = false;
+    game.stop();
+    
+    if (!this.data) this.loadDraft();
+    
+    document.getElementById('startScreen').style.display = 'none';
+    document.getElementById('editorPanel').style.display = 'flex';
+    this.syncPanel();
+    this.rebuild();
+    setTimeout(resizeCanvas, 50);
+    
+    requestAnimationFrame(() => this.loop());
+  },
+  
+  close() {
+    this.active = false;
+    document.getElementById('editorPanel').style.display = 'none';
+    document.getElementById('startScreen').style.display = 'flex';
+  },
+  
+  // Race the current layout with the normal game loop (ESC comes back)
+  testDrive() {
+    if (!this.track) return;
+    
+    this.active = false;
+    this.testing = true;
+    document.getElementById('editorPanel').style.display = 'none';
+    
+    game.trackData = { id: 'custom', ...this.export() };
+    game.reset();
+    game.start();
+  },
+  
+  // Pick up the last layout edited, or start from the current track
+  loadDraft() {
+    try {
+      const draft = JSON.parse(localStorage.getItem(EDITOR_DRAFT_KEY));
+      if (draft) {
+        this.load(draft);
+        return;
+      }
+    } catch (e) {
+      // Unreadable drafts are replaced on the next edit
+    }
+    this.load(game.trackData);
+  },
+  
+  load(data) {
+    this.data = {
+      name: data.name || 'Custom Track',
+      width: data.width || CONFIG.TRACK_WIDTH,
+      points: (data.points || []).map(p => ({ ...p })),
+      checkpoints: data.checkpoints ? [...data.checkpoints] : [0],
+      powerUps: (data.powerUps || []).map(p => ({ ...p })),
+      grid: (data.grid || []).map(p => ({ ...p })),
+      // Not editable here yet, carried through so imports round-trip
+      runoff: data.runoff || 0,
+      offroad: data.offroad || null,
+      surfaces: (data.surfaces || []).map(zone => ({ ...zone })),
+      arena: Boolean(data.arena),
+    };
+    this.selected = null;
+    this.dragging = null;
+    this.rebuild();
+    this.fitView();
+  },
+  
+  // Show the whole track and the screen-sized area new tracks start in,
+  // zoomed out as far as it takes for bigger tracks
+  fitView() {
+    let left = 0;
+    let top = 0;
+    let right = CONFIG.WIDTH;
+    let bottom = CONFIG.HEIGHT;
+    if (this.track) {
+      const bounds = this.track.bounds;
+      const margin = this.track.runoff + 10;
+      left = Math.min(left, bounds.x - margin);
+      top = Math.min(top, bounds.y - margin);
+      right = Math.max(right, bounds.x + bounds.width + margin);
+      bottom = Math.max(bottom, bounds.y + bounds.height + margin);
+    }
+    
+    const scale = Math.min(CONFIG.WIDTH / (right - left), CONFIG.HEIGHT / (bottom - top));
+    this.view = {
+      scale,
+      x: (CONFIG.WIDTH - (right - left) * scale) / 2 - left * scale,
+      y: (CONFIG.HEIGHT - (bottom - top) * scale) / 2 - top * scale,
+    };
+  },
+  
+  // Track coordinates under a point on the screen
+  toTrack(x, y) {
+    return {
+      x: (x - this.view.x) / this.view.scale,
+      y: (y - this.view.y) / this.view.scale,
+    };
+  },
+  
+  // Track JSON in the format read by Track (empty optional lists are
+  // left out so the geometry defaults kick in)
+  export() {
+    const round = v => Math.round(v * 100) / 100;
+    const out = {
+      name: this.data.name,
+      width: this.data.width,
+      points: this.data.points.map(p => {
+        const point = { x: Math.round(p.x), y: Math.round(p.y) };
+        if (p.width && p.width !== this.data.width) point.width = p.width;
+        return point;
+      }),
+      checkpoints: this.data.checkpoints.map(round),
+      powerUps: this.data.powerUps.map(p => ({ x: Math.round(p.x), y: Math.round(p.y) })),
+    };
+    if (this.data.grid.length > 0) {
+      out.grid = this.data.grid.map(p => ({ x: Math.round(p.x), y: Math.round(p.y), angle: round(p.angle) }));
+    }
+    if (this.data.runoff > 0) out.runoff = this.data.runoff;
+    if (this.data.offroad) out.offroad = this.data.offroad;
+    if (this.data.surfaces.length > 0) out.surfaces = this.data.surfaces.map(zone => ({ ...zone }));
+    if (this.data.arena) out.arena = true;
+    return out;
+  },
+  
+  rebuild() {
+    this.track = this.data && this.data.points.length >= 3 ? new Track(this.export()) : null;
+    if (!this.data) return;
+    try {
+      localStorage.setItem(EDITOR_DRAFT_KEY, JSON.stringify(this.export()));
+    } catch (e) {
+      // Storage full or disabled: the draft only lasts this session
+    }
+  },
+  
+  // ==========================================================================
+  // POINTER EDITING
+  // ==========================================================================
+  
+  // `radius` is in screen pixels, so handles are as easy to grab zoomed out
+  hitTest(list, x, y, radius) {
+    for (let i = list.length - 1; i >= 0; i--) {
+      if (Math.hypot(list[i].x - x, list[i].y - y) < radius / this.view.scale) return i;
+    }
+    return -1;
+  },
+  
+  pointerDown(x, y, remove) {
+    const data = this.data;
+    
+    switch (this.tool) {
+      case 'points': {
+        const hit = this.hitTest(data.points, x, y, 12);
+        if (hit >= 0) {
+          if (remove) {
+            data.points.splice(hit, 1);
+            this.selected = null;
+          } else {
+            this.selected = hit;
+            this.dragging = { list: data.points, index: hit };
+          }
+          break;
+        }
+        if (remove) break;
+        
+        // On the road: split the spline segment under the cursor
+        let index = data.points.length;
+        if (this.track) {
+          const p = this.track.project(x, y);
+          if (Math.abs(p.offset) < p.halfWidth + 20) {
+            index = this.track.samples[p.index].segment + 1;
+          }
+        }
+        data.points.splice(index, 0, { x, y });
+        this.selected = index;
+        this.dragging = { list: data.points, index };
+        break;
+      }
+      
+      case 'checkpoints': {
+        if (!this.track) break;
+        
+        const gates = this.data.checkpoints.map(f => this.track.pointAt(f * this.track.length));
+        const hit = this.hitTest(gates, x, y, 16);
+        if (hit > 0) {
+          data.checkpoints.splice(hit, 1);
+        } else if (hit < 0 && !remove && this.track.isOnTrack(x, y)) {
+          const fraction = this.track.project(x, y).s / this.track.length;
+          data.checkpoints.push(fraction);
+          data.checkpoints.sort((a, b) => a - b);
+        }
+        break;
+      }
+      
+      case 'powerUps':
+      case 'grid': {
+        const list = data[this.tool];
+        const hit = this.hitTest(list, x, y, 16);
+        if (hit >= 0) {
+          if (remove) list.splice(hit, 1);
+          else this.dragging = { list, index: hit };
+          break;
+        }
+        if (remove) break;
+        
+        const item = { x, y };
+        if (this.tool === 'grid') {
+          item.angle = this.track ? this.track.project(x, y).angle : 0;
+        }
+        list.push(item);
+        this.dragging = { list, index: list.length - 1 };
+        break;
+      }
+    }
+    
+    this.syncPanel();
+    this.rebuild();
+  },
+  
+  pointerMove(x, y) {
+    if (!this.dragging) return;
+    
+    const item = this.dragging.list[this.dragging.index];
+    item.x = x;
+    item.y = y;
+    
+    // Grid slots keep facing along the road as they are dragged
+    if (this.dragging.list === this.data.grid && this.track) {
+      item.angle = this.track.project(item.x, item.y).angle;
+    }
+    
+    this.rebuild();
+  },
+  
+  pointerUp() {
+    this.dragging = null;
+  },
+  
+  // ==========================================================================
+  // PANEL
+  // ==========================================================================
+  
+  setTool(tool) {
+    this.tool = tool;
+    this.selected = null;
+    this.syncPanel();
+  },
+  
+  setWidth(width) {
+    if (this.selected !== null && this.data.points[this.selected]) {
+      this.data.points[this.selected].width = width;
+    } else {
+      this.data.width = width;
+    }
+    this.rebuild();
+  },
+  
+  syncPanel() {
+    for (const btn of document.querySelectorAll('#editorPanel [data-tool]')) {
+      btn.classList.toggle('active', btn.dataset.tool === this.tool);
+    }
+    
+    const point = this.selected !== null ? this.data.points[this.selected] : null;
+    document.getElementById('editorWidth').value = point ? (point.width || this.data.width) : this.data.width;
+    document.getElementById('editorWidthLabel').textContent = point ? `Point ${this.selected} width` : 'Road width';
+    document.getElementById('editorName').value = this.data.name;
+  },
+  
+  download() {
+    const json = JSON.stringify(this.export(), null, 2);
+    const blob = new Blob([json + '\n'], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `${this.data.name.toLowerCase().replace(/[^a-z0-9]+/g, '-') || 'track'}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  },
+  
+  async importFile(file) {
+    try {
+      this.load(JSON.parse(await file.text()));
+      this.syncPanel();
+    } catch (err) {
+      alert(`Could not import track: ${err.message}`);
+    }
+  },
+  
+  // ==========================================================================
+  // RENDERING
+  // ==========================================================================
+  
+  loop() {
+    if (!this.active) return;
+    this.render(game.ctx);
+    requestAnimationFrame(() => this.loop());
+  },
+  
+  render(ctx) {
+    ctx.fillStyle = '#1E8449';
+    ctx.fillRect(0, 0, CONFIG.WIDTH, CONFIG.HEIGHT);
+    
+    // Everything but the hint bar is drawn in track coordinates, with
+    // handles and labels kept their size on screen
+    const u = 1 / this.view.scale;
+    ctx.save();
+    ctx.translate(this.view.x, this.view.y);
+    ctx.scale(this.view.scale, this.view.scale);
+    
+    const track = this.track;
+    if (track) {
+      renderTrack(ctx, track);
+      
+      // Checkpoint gates across the road
+      ctx.lineWidth = 4 * u;
+      ctx.font = `bold ${12 * u}px system-ui, sans-serif`;
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      this.data.checkpoints.forEach((fraction, i) => {
+        const p = track.pointAt(fraction * track.length);
+        ctx.strokeStyle = i === 0 ? '#FFFFFF' : '#FFD700';
+        ctx.beginPath();
+        ctx.moveTo(p.x - p.nx * p.halfWidth, p.y - p.ny * p.halfWidth);
+        ctx.lineTo(p.x + p.nx * p.halfWidth, p.y + p.ny * p.halfWidth);
+        ctx.stroke();
+        ctx.fillStyle = '#1a1a2e';
+        ctx.beginPath();
+        ctx.arc(p.x, p.y, 9 * u, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.fillStyle = '#FFD700';
+        ctx.fillText(String(i), p.x, p.y);
+      });
+    }
+    
+    // Item boxes
+    for (const spot of (track ? track.powerUpSpots : this.data.powerUps)) {
+      ctx.fillStyle = this.data.powerUps.length ? '#FFA500' : 'rgba(255, 165, 0, 0.4)';
+      ctx.strokeStyle = '#8B4513';
+      ctx.lineWidth = 2 * u;
+      ctx.fillRect(spot.x - 10 * u, spot.y - 10 * u, 20 * u, 20 * u);
+      ctx.strokeRect(spot.x - 10 * u, spot.y - 10 * u, 20 * u, 20 * u);
+      ctx.fillStyle = '#FFFFFF';
+      ctx.font = `bold ${14 * u}px Arial`;
+      ctx.fillText('?', spot.x, spot.y + u);
+    }
+    
+    // Grid slots (derived ones are drawn faded)
+    if (track) {
+      track.grid.forEach((slot, i) => {
+        ctx.save();
+        ctx.translate(slot.x, slot.y);
+        ctx.rotate(slot.angle);
+        ctx.scale(u, u);
+        ctx.globalAlpha = i < this.data.grid.length ? 1 : 0.4;
+        ctx.strokeStyle = '#FFFFFF';
+        ctx.lineWidth = 2;
+        ctx.strokeRect(-12, -8, 24, 16);
+        ctx.beginPath();
+        ctx.moveTo(6, -5);
+        ctx.lineTo(12, 0);
+        ctx.lineTo(6, 5);
+        ctx.stroke();
+        ctx.restore();
+        ctx.fillStyle = '#FFFFFF';
+        ctx.font = `bold ${10 * u}px system-ui, sans-serif`;
+        ctx.fillText(String(i + 1), slot.x, slot.y);
+      });
+    }
+    
+    // Control polygon and points
+    const points = this.data.points;
+    if (points.length > 1) {
+      ctx.strokeStyle = 'rgba(255, 255, 255, 0.35)';
+      ctx.lineWidth = u;
+      ctx.setLineDash([4 * u, 4 * u]);
+      ctx.beginPath();
+      points.forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+      ctx.closePath();
+      ctx.stroke();
+      ctx.setLineDash([]);
+    }
+    
+    points.forEach((p, i) => {
+      ctx.fillStyle = i === this.selected ? '#e94560' : i === 0 ? '#FFFFFF' : '#3498DB';
+      ctx.strokeStyle = '#1a1a2e';
+      ctx.lineWidth = 2 * u;
+      ctx.beginPath();
+      ctx.arc(p.x, p.y, (this.tool === 'points' ? 7 : 4) * u, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.stroke();
+    });
+    ctx.restore();
+    
+    // Hint bar
+    ctx.fillStyle = 'rgba(26, 26, 46, 0.85)';
+    ctx.fillRect(0, CONFIG.HEIGHT - 28, CONFIG.WIDTH, 28);
+    ctx.fillStyle = '#a0a0a0';
+    ctx.font = '12px system-ui, sans-serif';
+    ctx.textAlign = 'center';
+    const warning = points.length < 3 ? 'Add at least 3 points · ' : '';
+    ctx.fillText(warning + EDITOR_HINTS[this.tool], CONFIG.WIDTH / 2, CONFIG.HEIGHT - 14);
+  },
+};
+
+// ============================================================================
+// EDITOR INPUT
+// ============================================================================
+
+function initEditor() {
+  const canvas = game.canvas;
+  const panel = document.getElementById('editorPanel');
+  if (!canvas || !panel) return;
+  
+  const toWorld = (e) => {
+    const rect = canvas.getBoundingClientRect();
+    return editor.toTrack(
+      (e.clientX - rect.left) * CONFIG.WIDTH / rect.width,
+      (e.clientY - rect.top) * CONFIG.HEIGHT / rect.height
+    );
+  };
+  
+  canvas.addEventListener('pointerdown', (e) => {
+    if (!editor.active) return;
+    e.preventDefault();
+    const p = toWorld(e);
+    editor.pointerDown(p.x, p.y, e.button === 2 || e.shiftKey);
+  });
+  canvas.addEventListener('pointermove', (e) => {
+    if (!editor.active) return;
+    const p = toWorld(e);
+    editor.pointerMove(p.x, p.y);
+  });
+  window.addEventListener('pointerup', () => editor.pointerUp());
+  canvas.addEventListener('contextmenu', (e) => {
+    if (editor.active) e.preventDefault();
+  });
+  
+  window.addEventListener('keydown', (e) => {
+    if (editor.testing && e.code === 'Escape') {
+      game.stop();
+      editor.open();
+    } else if (editor.active && (e.code === 'Delete' || e.code === 'Backspace') &&
+               editor.selected !== null && e.target.tagName !== 'INPUT') {
+      editor.data.points.splice(editor.selected, 1);
+      editor.selected = null;
+      editor.syncPanel();
+      editor.rebuild();
+    }
+  });
+  
+  for (const btn of panel.querySelectorAll('[data-tool]')) {
+    btn.addEventListener('click', () => editor.setTool(btn.dataset.tool));
+  }
+  
+  document.getElementById('editorWidth').addEventListener('input', (e) => {
+    editor.setWidth(Number(e.target.value));
+  });
+  document.getElementById('editorName').addEventListener('input', (e) => {
+    editor.data.name = e.target.value;
+    editor.rebuild();
+  });
+  
+  const baseSelect = document.getElementById('editorBase');
+  baseSelect.addEventListener('change', async () => {
+    if (!baseSelect.value) return;
+    if (baseSelect.value === 'new') {
+      editor.load({ name: 'Custom Track', points: [] });
+    } else {
+      editor.load(await game.fetchTrack(baseSelect.value));
+    }
+    editor.syncPanel();
+    baseSelect.value = '';
+  });
+  
+  const fileInput = document.getElementById('editorFile');
+  document.getElementById('editorImport').addEventListener('click', () => fileInput.click());
+  fileInput.addEventListener('change', () => {
+    if (fileInput.files[0]) editor.importFile(fileInput.files[0]);
+    fileInput.value = '';
+  });
+  
+  document.getElementById('editorExport').addEventListener('click', () => editor.download());
+  document.getElementById('editorTest').addEventListener('click', () => editor.testDrive());
+  document.getElementById('editorExit').addEventListener('click', () => editor.close());
+  
+  // Offer the bundled tracks as starting points
+  game.ready.then(() => {
+    for (const entry of game.trackList) {
+      const option = document.createElement('option');
+      option.value = entry.id;
+      option.textContent = entry.name;
+      baseSelect.appendChild(option);
+    }
+  });
+}
+
+function openEditor() {
+  game.ready.then(() => editor.open());
+}
+
+// Make openEditor globally accessible
+window.openEditor = openEditor;
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', initEditor);
+} else {
+  initEditor();
+}
@@ -4,62 +4,6 @@
  * No external libraries - pure JavaScript
  */
 
-// ============================================================================
-// CONFIGURATION
-// ============================================================================
-
-const CONFIG = {
-  // Canvas
-  WIDTH: 800,
-  HEIGHT: 600,
-  
-  // Physics
-  MAX_SPEED: 200,
-  ACCELERATION: 120,
-  DECELERATION: 80,
-  BRAKE_POWER: 200,
-  STEERING_BASE: 3.5,
-  STEERING_SPEED_FACTOR: 0.7,
-  FRICTION: 0.98,
-  
-  // Drift
-  DRIFT_GRIP: 0.92,
-  DRIFT_BOOST_RATE: 40,
-  DRIFT_BOOST_MAX: 100,
-  DRIFT_BOOST_SPEED: 50,
-  DRIFT_BOOST_DURATION: 1.5,
-  
-  // Track
-  TRACK_CENTER_X: 400,
-  TRACK_CENTER_Y: 300,
-  TRACK_RADIUS_X: 320,
-  TRACK_RADIUS_Y: 220,
-  TRACK_WIDTH: 120,
-  
-  // Race
-  TOTAL_LAPS: 3,
-  CHECKPOINT_COUNT: 4,
-  
-  // AI
-  AI_COUNT: 3,
-  RUBBER_BAND_STRENGTH: 0.3,
-  
-  // Power-ups
-  POWERUP_COUNT: 4,
-  BOOST_DURATION: 2,
-  SHIELD_DURATION: 5,
-  SLOW_DURATION: 3,
-  SLOW_FACTOR: 0.5,
-  
-  // Visuals
-  PIXEL_SIZE: 2,
-  
-  // Mobile
-  MOBILE_PARTICLE_REDUCTION: 0.5,
-  TOUCH_THRESHOLD: 10,
-  JOYSTICK_RADIUS: 40,
-};
-
 // ============================================================================
 // MOBILE DETECTION & SETUP
 // ============================================================================
@@ -104,6 +48,74 @@ const screenShake = {
   }
 };
 
+// ============================================================================
+// VIEWPORT & CAMERA
+// ============================================================================
+
+// Size of the view being drawn: the whole canvas, or one player's half of
+// it in split-screen. Scene and HUD code lays itself out in these bounds
+// and game.render() translates the context to the view's corner.
+const viewport = {
+  width: CONFIG.WIDTH,
+  height: CONFIG.HEIGHT,
+};
+
+// Follow camera for the top-down view (one per split-screen player)
+class Camera {
+  constructor() {
+    this.x = 0;
+    this.y = 0;
+    this.zoom = 1;
+  }
+  
+  // Jump straight onto the kart (race start)
+  snap(kart, track) {
+    this.x = kart.x;
+    this.y = kart.y;
+    this.zoom = CONFIG.CAMERA_ZOOM;
+    this.clamp(track);
+  }
+  
+  // Follow a little ahead of the kart and pull back as it speeds up
+  update(dt, kart, track) {
+    const t = 1 - Math.exp(-CONFIG.CAMERA_SMOOTHING * dt);
+    const speedRatio = Math.min(1, Math.abs(kart.speed) / CONFIG.MAX_SPEED);
+    const targetZoom = CONFIG.CAMERA_ZOOM - (CONFIG.CAMERA_ZOOM - CONFIG.CAMERA_MIN_ZOOM) * speedRatio;
+    const targetX = kart.drawX + kart.velocity.x * CONFIG.CAMERA_LOOKAHEAD;
+    const targetY = kart.drawY + kart.velocity.y * CONFIG.CAMERA_LOOKAHEAD;
+    
+    this.x += (targetX - this.x) * t;
+    this.y += (targetY - this.y) * t;
+    this.zoom += (targetZoom - this.zoom) * t;
+    this.clamp(track);
+  }
+  
+  // Keep the view inside the track area, centered when the area is smaller
+  clamp(track) {
+    const area = track.area;
+    const halfWidth = viewport.width / 2 / this.zoom;
+    const halfHeight = viewport.height / 2 / this.zoom;
+    
+    this.x = area.width <= halfWidth * 2
+      ? area.x + area.width / 2
+      : Math.max(area.x + halfWidth, Math.min(area.x + area.width - halfWidth, this.x));
+    this.y = area.height <= halfHeight * 2
+      ? area.y + area.height / 2
+      : Math.max(area.y + halfHeight, Math.min(area.y + area.height - halfHeight, this.y));
+  }
+  
+  // World to screen transform; shake is applied in screen pixels
+  apply(ctx) {
+    ctx.translate(viewport.width / 2 + screenShake.x, viewport.height / 2 + screenShake.y);
+    ctx.scale(this.zoom, this.zoom);
+    ctx.translate(-this.x, -this.y);
+  }
+}
+
+// Player 1's camera is also the one the replay viewer follows
+const cameras = [new Camera(), new Camera()];
+const camera = cameras[0];
+
 // ============================================================================
 // PARTICLE SYSTEM
 // ============================================================================
@@ -184,29 +196,231 @@ function renderParticles(ctx) {
 }
 
 // ============================================================================
-// GAME STATE
+// SOUND EFFECTS
 // ============================================================================
 
-const gameState = {
-  running: false,
-  countdown: 3,
-  raceTime: 0,
-  finished: false,
-  winner: null,
+// Short synthesized blips: a tone sweeping from `from` to `to` Hz, played
+// `repeat` times. Mini-turbo tiers climb in pitch so you can hear the
+// charge without looking at the meter.
+const SOUNDS = {
+  driftTier1: { wave: 'square', from: 520, to: 620, duration: 0.08, volume: 0.08, repeat: 1 },
+  driftTier2: { wave: 'square', from: 700, to: 840, duration: 0.08, volume: 0.08, repeat: 2 },
+  driftTier3: { wave: 'square', from: 940, to: 1180, duration: 0.08, volume: 0.08, repeat: 3 },
+  miniTurbo: { wave: 'sawtooth', from: 180, to: 520, duration: 0.25, volume: 0.07, repeat: 1 },
+  itemGet: { wave: 'triangle', from: 880, to: 1320, duration: 0.12, volume: 0.1, repeat: 1 },
+  coin: { wave: 'square', from: 990, to: 1320, duration: 0.06, volume: 0.05, repeat: 1 },
+};
+
+const sound = {
+  audio: null,
+  
+  // Browsers only let audio start after the player has interacted with
+  // the page, which they always have by the time a race is running
+  context() {
+    if (!this.audio) {
+      const AudioContext = window.AudioContext || window.webkitAudioContext;
+      if (!AudioContext) return null;
+      this.audio = new AudioContext();
+    }
+    if (this.audio.state === 'suspended') this.audio.resume();
+    return this.audio;
+  },
+  
+  play(name) {
+    const effect = SOUNDS[name];
+    const audio = effect && this.context();
+    if (!audio) return;
+    
+    for (let i = 0; i < effect.repeat; i++) {
+      const start = audio.currentTime + i * effect.duration;
+      const oscillator = audio.createOscillator();
+      const gain = audio.createGain();
+      oscillator.type = effect.wave;
+      oscillator.frequency.setValueAtTime(effect.from, start);
+      oscillator.frequency.exponentialRampToValueAtTime(effect.to, start + effect.duration);
+      gain.gain.setValueAtTime(effect.volume, start);
+      gain.gain.exponentialRampToValueAtTime(0.001, start + effect.duration);
+      oscillator.connect(gain).connect(audio.destination);
+      oscillator.start(start);
+      oscillator.stop(start + effect.duration);
+    }
+  },
+};
+
+// Route the simulation's feedback hooks to the browser effects
+fx.particles = spawnParticles;
+fx.shake = (intensity, duration) => screenShake.trigger(intensity, duration);
+fx.rumble = intensity => {
+  // Surface rumble never cuts a bigger shake short
+  if (intensity > screenShake.intensity) screenShake.trigger(intensity, 0.1);
+};
+fx.vibrate = pattern => {
+  // Only live races buzz the pad, not replays
+  if (supportsVibration && game.running) navigator.vibrate(pattern);
+};
+fx.sound = name => {
+  // Replays seek by re-simulating, which would replay every sound at once
+  if (!replayViewer.active) sound.play(name);
+};
+
+// ============================================================================
+// SETTINGS
+// ============================================================================
+
+const SETTINGS_KEY = 'retroKart.settings';
+
+const settings = {
+  view: 'topdown',    // 'topdown' or 'mode7'
+  mode: 'race',       // 'race', 'cup', 'timetrial' or 'battle'
+  trialItem: '',      // item held on the grid in time trials ('' for none)
+  players: '1',       // '1', or '2' for split-screen (not in time trials)
+  difficulty: 'normal', // CPU drivers, a DIFFICULTIES key
+  rubberBand: 'on',   // 'on' or 'off' for the CPU drivers
+  drivers: [],        // roster ids the players last picked, player 1 first
+  
+  load() {
+    try {
+      Object.assign(this, JSON.parse(localStorage.getItem(SETTINGS_KEY)) || {});
+    } catch (e) {
+      // Corrupt settings fall back to the defaults
+    }
+    
+    // Values saved by an older version that no longer exist go back to the
+    // defaults (an unknown difficulty would stop every race starting).
+    // Driver ids are checked when the grid is picked, as the roster loads
+    // later (see roster.lineup).
+    if (!['topdown', 'mode7'].includes(this.view)) this.view = 'topdown';
+    if (!['race', 'cup', 'timetrial', 'battle'].includes(this.mode)) this.mode = 'race';
+    if (this.trialItem && !ITEMS[this.trialItem]) this.trialItem = '';
+    if (!['1', '2'].includes(this.players)) this.players = '1';
+    if (!DIFFICULTIES[this.difficulty]) this.difficulty = 'normal';
+    if (!['on', 'off'].includes(this.rubberBand)) this.rubberBand = 'on';
+    if (!Array.isArray(this.drivers)) this.drivers = [];
+  },
+  
+  save() {
+    const { view, mode, trialItem, players, difficulty, rubberBand, drivers } = this;
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify({ view, mode, trialItem, players, difficulty, rubberBand, drivers }));
+  }
+};
+
+// Start screen selects and the setting each one drives
+const SETTING_SELECTS = {
+  viewSelect: 'view',
+  modeSelect: 'mode',
+  trialItemSelect: 'trialItem',
+  playersSelect: 'players',
+  difficultySelect: 'difficulty',
+  rubberBandSelect: 'rubberBand',
 };
 
+function initSettings() {
+  settings.load();
+  
+  // Options marked with data-modes only show for those modes
+  const syncOptions = () => {
+    for (const option of document.querySelectorAll('[data-modes]')) {
+      option.style.display = option.dataset.modes.split(' ').includes(settings.mode) ? '' : 'none';
+    }
+  };
+  
+  for (const [id, key] of Object.entries(SETTING_SELECTS)) {
+    const select = document.getElementById(id);
+    if (!select) continue;
+    select.value = settings[key];
+    select.addEventListener('change', () => {
+      settings[key] = select.value;
+      settings.save();
+      syncOptions();
+    });
+  }
+  syncOptions();
+}
+
 // ============================================================================
 // INPUT HANDLING
 // ============================================================================
 
-const keys = {
+// Keyboard layout of each player. In a one-player race both sets (and
+// every gamepad) drive player 1.
+const KEY_BINDINGS = [
+  { KeyW: 'up', KeyS: 'down', KeyA: 'left', KeyD: 'right', ShiftLeft: 'drift', Space: 'useItem' },
+  { ArrowUp: 'up', ArrowDown: 'down', ArrowLeft: 'left', ArrowRight: 'right', ShiftRight: 'drift', Enter: 'useItem' },
+];
+
+// Held buttons per key set; touch controls feed player 1's
+const playerKeys = KEY_BINDINGS.map(() => ({
   up: false,
   down: false,
   left: false,
   right: false,
   drift: false,
   useItem: false,
-};
+}));
+
+const GAMEPAD_DEADZONE = 0.2;
+
+// Item button state per gamepad, so holding it uses one item
+const gamepadItemHeld = [];
+
+// Standard-layout gamepads as button states: stick or d-pad steers (the
+// stick by how far it is pushed), A/RT gas, B/LT brake, RB drift, X/LB item
+function readGamepads() {
+  if (!navigator.getGamepads) return [];
+  
+  const states = [];
+  for (const pad of navigator.getGamepads()) {
+    if (!pad || !pad.connected) continue;
+    
+    const pressed = i => Boolean(pad.buttons[i] && pad.buttons[i].pressed);
+    const axis = pad.axes[0] || 0;
+    const item = pressed(2) || pressed(4);
+    states.push({
+      up: pressed(0) || pressed(7),
+      down: pressed(1) || pressed(6),
+      left: axis < -GAMEPAD_DEADZONE || pressed(14),
+      right: axis > GAMEPAD_DEADZONE || pressed(15),
+      drift: pressed(5),
+      useItem: item && !gamepadItemHeld[pad.index],
+      steer: Math.abs(axis) > GAMEPAD_DEADZONE ? Math.min(1, Math.abs(axis) * 1.5) : 1,
+    });
+    gamepadItemHeld[pad.index] = item;
+  }
+  return states;
+}
+
+// Snapshot of the controls of `count` players for one simulation step. The
+// item button is a press, so reading it consumes it. With two players the
+// first gamepad goes to player 2 (who shares the keyboard's arrow side)
+// and a second one to player 1.
+function readInputs(count) {
+  const pads = readGamepads();
+  const sources = count === 1
+    ? [[...playerKeys, ...pads]]
+    : [[playerKeys[0], ...pads.slice(1)], [playerKeys[1], ...pads.slice(0, 1)]];
+    
+  const inputs = sources.map((states) => {
+    const input = { ...IDLE_INPUT };
+    for (const state of states) {
+      for (const button of ['up', 'down', 'left', 'right', 'drift', 'useItem']) {
+        input[button] = input[button] || state[button];
+      }
+      // Analog steering from whichever source is steering
+      if ((state.left || state.right) && state.steer !== undefined) {
+        input.steer = state.steer;
+      }
+    }
+    return input;
+  });
+  
+  if (touchState.joystick.active) {
+    inputs[0].steer = Math.min(1, touchState.joystick.magnitude * 1.5);
+  }
+  for (const keys of playerKeys) {
+    keys.useItem = false;
+  }
+  return inputs;
+}
 
 // Touch state
 const touchState = {
@@ -230,51 +444,28 @@ const touchState = {
 
 function initInput() {
   // Keyboard input
+  const setKey = (code, down) => {
+    KEY_BINDINGS.forEach((bindings, i) => {
+      if (bindings[code]) playerKeys[i][bindings[code]] = down;
+    });
+  };
+  
   window.addEventListener('keydown', (e) => {
-    switch(e.code) {
-      case 'ArrowUp':
-      case 'KeyW':
-        keys.up = true; break;
-      case 'ArrowDown':
-      case 'KeyS':
-        keys.down = true; break;
-      case 'ArrowLeft':
-      case 'KeyA':
-        keys.left = true; break;
-      case 'ArrowRight':
-      case 'KeyD':
-        keys.right = true; break;
-      case 'ShiftLeft':
-      case 'ShiftRight':
-        keys.drift = true; break;
-      case 'Space':
-        keys.useItem = true; break;
-    }
+    // Let text fields (the online lobby's name, the editor's track name) type
+    // without driving. Key-ups still go through, so nothing stays held.
+    if (e.target.tagName === 'INPUT') return;
+    setKey(e.code, true);
     if (['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'Space'].includes(e.code)) {
       e.preventDefault();
     }
+    if (e.code === 'F3') {
+      game.showItemDebug = !game.showItemDebug;
+      e.preventDefault();
+    }
   });
   
   window.addEventListener('keyup', (e) => {
-    switch(e.code) {
-      case 'ArrowUp':
-      case 'KeyW':
-        keys.up = false; break;
-      case 'ArrowDown':
-      case 'KeyS':
-        keys.down = false; break;
-      case 'ArrowLeft':
-      case 'KeyA':
-        keys.left = false; break;
-      case 'ArrowRight':
-      case 'KeyD':
-        keys.right = false; break;
-      case 'ShiftLeft':
-      case 'ShiftRight':
-        keys.drift = false; break;
-      case 'Space':
-        keys.useItem = false; break;
-    }
+    setKey(e.code, false);
   });
   
   // Touch controls
@@ -284,6 +475,7 @@ function initInput() {
 }
 
 function initTouchControls() {
+  const keys = playerKeys[0];
   const joystickArea = document.getElementById('joystickArea');
   const joystickKnob = document.getElementById('joystickKnob');
   const joystickBase = document.getElementById('joystickBase');
@@ -418,743 +610,249 @@ function initTouchControls() {
   }, { passive: false });
 }
 
-// ============================================================================
-// KART CLASS
-// ============================================================================
-
-class Kart {
-  constructor(x, y, angle, color, isPlayer = false, name = 'CPU') {
-    this.x = x;
-    this.y = y;
-    this.angle = angle;
-    this.speed = 0;
-    this.velocity = { x: 0, y: 0 };
-    
-    this.color = color;
-    this.isPlayer = isPlayer;
-    this.name = name;
-    
-    // Drift state
-    this.drifting = false;
-    this.driftDirection = 0;
-    this.driftBoost = 0;
-    this.driftAngleOffset = 0;
-    
-    // Boost state
-    this.boosting = false;
-    this.boostTimer = 0;
-    
-    // Effects
-    this.slowed = false;
-    this.slowTimer = 0;
-    this.shielded = false;
-    this.shieldTimer = 0;
-    
-    // Power-up
-    this.item = null;
-    
-    // Race progress
-    this.lap = 0;
-    this.checkpoint = 0;
-    this.lastCheckpoint = -1;
-    this.totalProgress = 0;
-    this.position = 1;
-    this.finished = false;
-    this.finishTime = 0;
-    
-    // AI state
-    this.targetAngle = angle;
-    this.aiWaypointIndex = 0;
-    
-    // Visual
-    this.width = 24;
-    this.height = 16;
-    this.sparkTimer = 0;
-    
-    // Collision flash
-    this.flashTimer = 0;
-  }
-  
-  getMaxSpeed() {
-    let max = CONFIG.MAX_SPEED;
-    if (this.boosting) max += CONFIG.DRIFT_BOOST_SPEED;
-    if (this.slowed) max *= CONFIG.SLOW_FACTOR;
-    return max;
-  }
-  
-  update(dt, track) {
-    // Update timers
-    if (this.boostTimer > 0) {
-      this.boostTimer -= dt;
-      if (this.boostTimer <= 0) this.boosting = false;
-    }
-    if (this.slowTimer > 0) {
-      this.slowTimer -= dt;
-      if (this.slowTimer <= 0) this.slowed = false;
-    }
-    if (this.shieldTimer > 0) {
-      this.shieldTimer -= dt;
-      if (this.shieldTimer <= 0) this.shielded = false;
-    }
-    if (this.flashTimer > 0) {
-      this.flashTimer -= dt;
-    }
-    
-    // Update spark animation
-    if (this.drifting) {
-      this.sparkTimer += dt;
-    } else {
-      this.sparkTimer = 0;
-    }
-  }
-  
-  applyBoost() {
-    this.boosting = true;
-    this.boostTimer = CONFIG.DRIFT_BOOST_DURATION;
-    this.driftBoost = 0;
-    
-    // Spawn boost particles
-    spawnParticles(
-      this.x - Math.cos(this.angle) * 15,
-      this.y - Math.sin(this.angle) * 15,
-      15,
-      ['#FF6B35', '#FFD93D', '#FF0000'],
-      [50, 150],
-      [0.3, 0.6],
-      [3, 6]
-    );
-  }
-  
-  hit() {
-    if (this.shielded) {
-      this.shielded = false;
-      this.shieldTimer = 0;
-      // Shield break particles
-      spawnParticles(this.x, this.y, 20, ['#00BFFF', '#87CEEB', '#FFFFFF'], [100, 200], [0.3, 0.5], [4, 8]);
-      return false;
-    }
-    
-    // Spin out
-    this.speed *= 0.3;
-    this.flashTimer = 0.5;
-    
-    // Collision particles
-    spawnParticles(this.x, this.y, 10, ['#FFD700', '#FFFFFF', '#FFA500'], [80, 150], [0.2, 0.4], [2, 5]);
-    
-    // Screen shake for player
-    if (this.isPlayer) {
-      screenShake.trigger(8, 0.3);
-    }
-    
-    return true;
+async function fetchJSON(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to load ${url}: ${response.status}`);
   }
+  return response.json();
 }
 
 // ============================================================================
-// TRACK
+// TRACK RENDERING
 // ============================================================================
 
-class Track {
-  constructor() {
-    this.centerX = CONFIG.TRACK_CENTER_X;
-    this.centerY = CONFIG.TRACK_CENTER_Y;
-    this.radiusX = CONFIG.TRACK_RADIUS_X;
-    this.radiusY = CONFIG.TRACK_RADIUS_Y;
-    this.width = CONFIG.TRACK_WIDTH;
-    
-    // Generate checkpoints around the track
-    this.checkpoints = [];
-    for (let i = 0; i < CONFIG.CHECKPOINT_COUNT; i++) {
-      const angle = (i / CONFIG.CHECKPOINT_COUNT) * Math.PI * 2 - Math.PI / 2;
-      this.checkpoints.push({
-        x: this.centerX + Math.cos(angle) * this.radiusX,
-        y: this.centerY + Math.sin(angle) * this.radiusY,
-        angle: angle,
-        index: i,
-      });
-    }
-    
-    // Generate racing line waypoints for AI
-    this.waypoints = [];
-    const waypointCount = 32;
-    for (let i = 0; i < waypointCount; i++) {
-      const angle = (i / waypointCount) * Math.PI * 2 - Math.PI / 2;
-      const variation = Math.sin(angle * 3) * 15;
-      this.waypoints.push({
-        x: this.centerX + Math.cos(angle) * (this.radiusX + variation),
-        y: this.centerY + Math.sin(angle) * (this.radiusY + variation),
-        angle: angle,
-      });
-    }
-    
-    // Start/finish line position
-    this.startLine = {
-      x: this.centerX,
-      y: this.centerY - this.radiusY,
+// The track never changes during a race, so draw it once per Track and
+// reuse it (blitted top-down, sampled as the ground plane by Mode 7).
+// Returns { canvas, rect } where rect is the world area the canvas covers.
+const trackTextures = new WeakMap();
+
+function getTrackTexture(track) {
+  let texture = trackTextures.get(track);
+  if (!texture) {
+    // Cover the camera area, and at least a fully zoomed-out screen so a
+    // small track never shows past the texture edge
+    const area = track.area;
+    const width = Math.ceil(Math.max(area.width, CONFIG.WIDTH / CONFIG.CAMERA_MIN_ZOOM));
+    const height = Math.ceil(Math.max(area.height, CONFIG.HEIGHT / CONFIG.CAMERA_MIN_ZOOM));
+    const rect = {
+      x: Math.floor(area.x + area.width / 2 - width / 2),
+      y: Math.floor(area.y + area.height / 2 - height / 2),
+      width,
+      height,
     };
-  }
-  
-  isOnTrack(x, y) {
-    const dx = (x - this.centerX) / this.radiusX;
-    const dy = (y - this.centerY) / this.radiusY;
-    const dist = Math.sqrt(dx * dx + dy * dy);
     
-    const innerRadius = 1 - (this.width / 2) / Math.min(this.radiusX, this.radiusY);
-    const outerRadius = 1 + (this.width / 2) / Math.min(this.radiusX, this.radiusY);
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+    ctx.translate(-rect.x, -rect.y);
+    renderTrackTexture(ctx, track, rect);
     
-    return dist >= innerRadius && dist <= outerRadius;
-  }
-  
-  getTrackDistance(x, y) {
-    const dx = (x - this.centerX) / this.radiusX;
-    const dy = (y - this.centerY) / this.radiusY;
-    return Math.sqrt(dx * dx + dy * dy);
+    texture = { canvas, rect };
+    trackTextures.set(track, texture);
   }
-  
-  getNearestWaypoint(x, y) {
-    let nearest = 0;
-    let minDist = Infinity;
-    
-    for (let i = 0; i < this.waypoints.length; i++) {
-      const wp = this.waypoints[i];
-      const dist = Math.hypot(x - wp.x, y - wp.y);
-      if (dist < minDist) {
-        minDist = dist;
-        nearest = i;
-      }
-    }
-    
-    return nearest;
-  }
-  
-  checkCheckpoint(kart, prevX, prevY) {
-    const checkpoint = this.checkpoints[kart.checkpoint];
-    const dist = Math.hypot(kart.x - checkpoint.x, kart.y - checkpoint.y);
-    
-    if (dist < 50 && kart.lastCheckpoint !== kart.checkpoint) {
-      kart.lastCheckpoint = kart.checkpoint;
-      kart.checkpoint = (kart.checkpoint + 1) % CONFIG.CHECKPOINT_COUNT;
-      
-      if (kart.checkpoint === 0 && kart.lastCheckpoint === CONFIG.CHECKPOINT_COUNT - 1) {
-        kart.lap++;
-        
-        // Lap completion effects
-        if (kart.isPlayer) {
-          screenShake.trigger(3, 0.2);
-          if (supportsVibration) navigator.vibrate([50, 50, 50]);
-        }
-        
-        if (kart.lap >= CONFIG.TOTAL_LAPS && !kart.finished) {
-          kart.finished = true;
-          kart.finishTime = gameState.raceTime;
-        }
-      }
-    }
-    
-    kart.totalProgress = kart.lap * CONFIG.CHECKPOINT_COUNT + kart.checkpoint + 
-      (1 - Math.hypot(kart.x - checkpoint.x, kart.y - checkpoint.y) / 200);
-  }
-  
-  render(ctx) {
-    // Draw vibrant grass background with gradient
-    const grassGradient = ctx.createRadialGradient(
-      this.centerX, this.centerY, 0,
-      this.centerX, this.centerY, 400
-    );
-    grassGradient.addColorStop(0, '#2ECC71');
-    grassGradient.addColorStop(1, '#1E8449');
-    ctx.fillStyle = grassGradient;
-    ctx.fillRect(0, 0, CONFIG.WIDTH, CONFIG.HEIGHT);
-    
-    // Decorative grass pattern
-    ctx.fillStyle = 'rgba(39, 174, 96, 0.3)';
-    for (let i = 0; i < 50; i++) {
-      const x = (i * 47) % CONFIG.WIDTH;
-      const y = (i * 31) % CONFIG.HEIGHT;
-      ctx.fillRect(x, y, 8, 8);
-    }
-    
-    // Draw outer track edge (dirt/sand)
-    const outerGradient = ctx.createRadialGradient(
-      this.centerX, this.centerY, 0,
-      this.centerX, this.centerY, this.radiusX + this.width
-    );
-    outerGradient.addColorStop(0.7, '#D4A574');
-    outerGradient.addColorStop(1, '#C49A6C');
-    ctx.fillStyle = outerGradient;
-    ctx.beginPath();
-    ctx.ellipse(
-      this.centerX, this.centerY,
-      this.radiusX + this.width / 2 + 10,
-      this.radiusY + this.width / 2 + 10,
-      0, 0, Math.PI * 2
-    );
-    ctx.fill();
-    
-    // Draw track surface with better color
-    ctx.fillStyle = '#4A4A4A';
-    ctx.beginPath();
-    ctx.ellipse(
-      this.centerX, this.centerY,
-      this.radiusX + this.width / 2,
-      this.radiusY + this.width / 2,
-      0, 0, Math.PI * 2
-    );
-    ctx.fill();
-    
-    // Track texture (subtle stripes)
-    ctx.strokeStyle = 'rgba(60, 60, 60, 0.5)';
-    ctx.lineWidth = 2;
-    for (let i = 0; i < 8; i++) {
-      const r = this.radiusX - this.width/2 + (this.width / 8) * i + 8;
-      const rY = this.radiusY - this.width/2 + (this.width / 8) * i + 8;
-      ctx.beginPath();
-      ctx.ellipse(this.centerX, this.centerY, r, rY, 0, 0, Math.PI * 2);
-      ctx.stroke();
-    }
-    
-    // Draw inner grass
-    ctx.fillStyle = '#2ECC71';
-    ctx.beginPath();
-    ctx.ellipse(
-      this.centerX, this.centerY,
-      this.radiusX - this.width / 2,
-      this.radiusY - this.width / 2,
-      0, 0, Math.PI * 2
-    );
-    ctx.fill();
-    
-    // Inner grass decoration
-    ctx.fillStyle = '#27AE60';
-    ctx.beginPath();
-    ctx.ellipse(
-      this.centerX, this.centerY,
-      this.radiusX - this.width / 2 - 20,
-      this.radiusY - this.width / 2 - 20,
-      0, 0, Math.PI * 2
-    );
-    ctx.fill();
-    
-    // Draw inner track edge (curb - red/white)
-    const curbSegments = 24;
-    for (let i = 0; i < curbSegments; i++) {
-      const startAngle = (i / curbSegments) * Math.PI * 2;
-      const endAngle = ((i + 1) / curbSegments) * Math.PI * 2;
-      
-      ctx.fillStyle = i % 2 === 0 ? '#E74C3C' : '#FFFFFF';
-      ctx.beginPath();
-      ctx.ellipse(
-        this.centerX, this.centerY,
-        this.radiusX - this.width / 2 + 6,
-        this.radiusY - this.width / 2 + 6,
-        0, startAngle, endAngle
-      );
-      ctx.lineTo(
-        this.centerX + Math.cos(endAngle) * (this.radiusX - this.width / 2),
-        this.centerY + Math.sin(endAngle) * (this.radiusY - this.width / 2)
-      );
-      ctx.ellipse(
-        this.centerX, this.centerY,
-        this.radiusX - this.width / 2,
-        this.radiusY - this.width / 2,
-        0, endAngle, startAngle, true
-      );
-      ctx.closePath();
-      ctx.fill();
-    }
-    
-    // Draw racing stripes (dashed center line)
-    ctx.strokeStyle = '#FFFFFF';
-    ctx.lineWidth = 3;
-    ctx.setLineDash([15, 15]);
+  return texture;
+}
+
+function renderTrack(ctx, track) {
+  const { canvas, rect } = getTrackTexture(track);
+  ctx.drawImage(canvas, rect.x, rect.y);
+}
+
+// Stroke the centerline segment by segment so the width can vary along it
+function strokeRibbon(ctx, track, widthFn) {
+  const samples = track.samples;
+  ctx.lineCap = 'round';
+  ctx.lineJoin = 'round';
+  for (let i = 0; i < samples.length; i++) {
+    const a = samples[i];
+    const b = samples[(i + 1) % samples.length];
+    ctx.lineWidth = widthFn(a);
     ctx.beginPath();
-    ctx.ellipse(this.centerX, this.centerY, this.radiusX, this.radiusY, 0, 0, Math.PI * 2);
+    ctx.moveTo(a.x, a.y);
+    ctx.lineTo(b.x, b.y);
     ctx.stroke();
-    ctx.setLineDash([]);
-    
-    // Draw start/finish line
-    const startAngle = -Math.PI / 2;
-    const x1 = this.centerX + Math.cos(startAngle) * (this.radiusX - this.width / 2);
-    const y1 = this.centerY + Math.sin(startAngle) * (this.radiusY - this.width / 2);
-    const x2 = this.centerX + Math.cos(startAngle) * (this.radiusX + this.width / 2);
-    const y2 = this.centerY + Math.sin(startAngle) * (this.radiusY + this.width / 2);
-    
-    // Checkered pattern
-    const segments = 10;
-    const dx = (x2 - x1) / segments;
-    const dy = (y2 - y1) / segments;
-    
-    for (let i = 0; i < segments; i++) {
-      for (let j = 0; j < 2; j++) {
-        ctx.fillStyle = (i + j) % 2 === 0 ? '#FFFFFF' : '#1a1a2e';
-        ctx.fillRect(x1 + dx * i - 4, y1 + dy * i - 4 + j * 4, 8, 4);
-      }
-    }
-    
-    // Draw checkpoint markers (subtle)
-    ctx.fillStyle = 'rgba(255, 215, 0, 0.2)';
-    for (const cp of this.checkpoints) {
-      ctx.beginPath();
-      ctx.arc(cp.x, cp.y, 10, 0, Math.PI * 2);
-      ctx.fill();
-    }
   }
 }
 
-// ============================================================================
-// POWER-UPS
-// ============================================================================
-
-class PowerUp {
-  constructor(x, y) {
-    this.x = x;
-    this.y = y;
-    this.active = true;
-    this.respawnTimer = 0;
-    this.size = 28;
-    this.bobOffset = Math.random() * Math.PI * 2;
-    this.rotationOffset = Math.random() * Math.PI * 2;
-  }
-  
-  update(dt) {
-    if (!this.active) {
-      this.respawnTimer -= dt;
-      if (this.respawnTimer <= 0) {
-        this.active = true;
-      }
-    }
-    this.bobOffset += dt * 3;
-    this.rotationOffset += dt * 2;
-  }
-  
-  collect() {
-    this.active = false;
-    this.respawnTimer = 5;
-    
-    // Collection particles
-    spawnParticles(this.x, this.y, 12, ['#FFD700', '#FFA500', '#FFFFFF'], [60, 120], [0.3, 0.5], [4, 8]);
-    
-    const types = ['boost', 'shield', 'slow'];
-    return types[Math.floor(Math.random() * types.length)];
-  }
-  
-  render(ctx) {
-    if (!this.active) return;
-    
-    const bob = Math.sin(this.bobOffset) * 4;
-    const y = this.y + bob;
-    const glow = 0.5 + Math.sin(this.bobOffset * 2) * 0.2;
-    
-    // Glow effect
-    ctx.shadowColor = '#FFD700';
-    ctx.shadowBlur = 15 * glow;
-    
-    // Question mark box style with gradient
-    const boxGradient = ctx.createLinearGradient(
-      this.x - this.size/2, y - this.size/2,
-      this.x + this.size/2, y + this.size/2
-    );
-    boxGradient.addColorStop(0, '#FFD700');
-    boxGradient.addColorStop(0.5, '#FFA500');
-    boxGradient.addColorStop(1, '#FF8C00');
-    
-    ctx.fillStyle = boxGradient;
-    ctx.fillRect(this.x - this.size/2, y - this.size/2, this.size, this.size);
-    
-    // Box border
-    ctx.strokeStyle = '#8B4513';
-    ctx.lineWidth = 3;
-    ctx.strokeRect(this.x - this.size/2, y - this.size/2, this.size, this.size);
-    
-    // Question mark
-    ctx.shadowBlur = 0;
-    ctx.fillStyle = '#FFFFFF';
-    ctx.font = 'bold 18px Arial';
-    ctx.textAlign = 'center';
-    ctx.textBaseline = 'middle';
-    ctx.fillText('?', this.x, y);
+// Stroke a line running parallel to the centerline at `offset(sample)`
+function traceEdge(ctx, track, offsetFn, from = 0, to = track.samples.length) {
+  const samples = track.samples;
+  ctx.beginPath();
+  for (let i = from; i <= to; i++) {
+    const p = samples[i % samples.length];
+    const offset = offsetFn(p);
+    const x = p.x + p.nx * offset;
+    const y = p.y + p.ny * offset;
+    if (i === from) ctx.moveTo(x, y); else ctx.lineTo(x, y);
   }
 }
 
-// ============================================================================
-// PHYSICS ENGINE
-// ============================================================================
-
-function updatePlayerKart(kart, dt) {
-  if (kart.finished) return;
-  
-  const maxSpeed = kart.getMaxSpeed();
-  
-  // Acceleration (including touch joystick for vertical movement if needed)
-  if (keys.up) {
-    kart.speed += CONFIG.ACCELERATION * dt;
-  } else if (keys.down) {
-    kart.speed -= CONFIG.BRAKE_POWER * dt;
-  } else {
-    kart.speed -= CONFIG.DECELERATION * dt * 0.5;
-  }
-  
-  kart.speed = Math.max(0, Math.min(maxSpeed, kart.speed));
-  
-  // Steering
-  const speedFactor = 1 - (kart.speed / CONFIG.MAX_SPEED) * CONFIG.STEERING_SPEED_FACTOR;
-  let steerRate = CONFIG.STEERING_BASE * speedFactor;
-  
-  // Apply joystick magnitude for more nuanced steering
-  if (touchState.joystick.active) {
-    steerRate *= Math.min(1, touchState.joystick.magnitude * 1.5);
-  }
+function renderSurfaceZone(ctx, track, zone) {
+  const surface = SURFACES[zone.type];
+  const [inner, outer] = zone.lane;
+  const left = [];
+  const right = [];
+  let mid = null;
+  track.forEachZonePoint(zone, (p, t) => {
+    left.push([p.x + p.nx * p.halfWidth * inner, p.y + p.ny * p.halfWidth * inner]);
+    right.push([p.x + p.nx * p.halfWidth * outer, p.y + p.ny * p.halfWidth * outer]);
+    if (!mid && t >= 0.5) mid = p;
+  });
   
-  let steering = 0;
-  if (keys.left) steering = -1;
-  if (keys.right) steering = 1;
+  ctx.fillStyle = surface.color;
+  ctx.beginPath();
+  left.forEach(([x, y], i) => (i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)));
+  right.reverse().forEach(([x, y]) => ctx.lineTo(x, y));
+  ctx.closePath();
+  ctx.fill();
   
-  // Drift mechanics
-  if (keys.drift && kart.speed > 50 && steering !== 0) {
-    if (!kart.drifting) {
-      kart.drifting = true;
-      kart.driftDirection = steering;
-      if (supportsVibration) navigator.vibrate(30);
-    }
-    
-    kart.driftBoost = Math.min(CONFIG.DRIFT_BOOST_MAX, kart.driftBoost + CONFIG.DRIFT_BOOST_RATE * dt);
-    kart.driftAngleOffset += kart.driftDirection * steerRate * 0.5 * dt;
-    kart.driftAngleOffset = Math.max(-0.5, Math.min(0.5, kart.driftAngleOffset));
-    kart.angle += steering * steerRate * 0.7 * dt;
-    kart.speed *= CONFIG.DRIFT_GRIP;
-    
-    // Drift sparks
-    if (Math.random() < 0.3) {
-      const boostLevel = kart.driftBoost / CONFIG.DRIFT_BOOST_MAX;
-      const colors = boostLevel < 0.33 ? ['#FFFF00', '#FFA500'] : 
-                     boostLevel < 0.66 ? ['#FFA500', '#FF4500'] : 
-                     ['#FF0000', '#FF4500', '#FFFFFF'];
-      spawnParticles(
-        kart.x - Math.cos(kart.angle) * 12,
-        kart.y - Math.sin(kart.angle) * 12,
-        2, colors, [30, 80], [0.1, 0.3], [2, 4]
-      );
+  // Markings: chevrons on boost pads, warning stripes on ramps
+  if (!surface.boost && !surface.ramp) return;
+  const halfSpan = mid.halfWidth * (outer - inner) / 2;
+  const centerOffset = mid.halfWidth * (outer + inner) / 2;
+  ctx.save();
+  ctx.translate(mid.x + mid.nx * centerOffset, mid.y + mid.ny * centerOffset);
+  ctx.rotate(mid.angle);
+  ctx.lineWidth = 4;
+  ctx.lineCap = 'round';
+  if (surface.boost) {
+    ctx.strokeStyle = '#FFFFFF';
+    for (let i = -1; i <= 1; i++) {
+      ctx.beginPath();
+      ctx.moveTo(i * 10 - 6, -halfSpan * 0.6);
+      ctx.lineTo(i * 10 + 4, 0);
+      ctx.lineTo(i * 10 - 6, halfSpan * 0.6);
+      ctx.stroke();
     }
-    
   } else {
-    if (kart.drifting) {
-      if (kart.driftBoost > 30) {
-        kart.applyBoost();
-        if (supportsVibration) navigator.vibrate([30, 20, 50]);
-      }
-      kart.drifting = false;
-      kart.driftAngleOffset = 0;
-      kart.driftBoost = 0;
+    ctx.strokeStyle = '#2C3E50';
+    for (let y = -halfSpan + 6; y < halfSpan; y += 12) {
+      ctx.beginPath();
+      ctx.moveTo(-6, y);
+      ctx.lineTo(6, y + 6);
+      ctx.stroke();
     }
-    
-    kart.angle += steering * steerRate * dt;
-  }
-  
-  // Calculate velocity
-  const moveAngle = kart.angle + kart.driftAngleOffset;
-  kart.velocity.x = Math.cos(moveAngle) * kart.speed * 0.5;
-  kart.velocity.y = Math.sin(moveAngle) * kart.speed * 0.5;
-  
-  // Apply velocity
-  kart.x += kart.velocity.x * dt;
-  kart.y += kart.velocity.y * dt;
-  
-  // Use item
-  if (keys.useItem && kart.item) {
-    useItem(kart);
-    keys.useItem = false;
   }
-  
-  kart.update(dt);
+  ctx.restore();
 }
 
-function updateAIKart(kart, dt, track, playerKart, allKarts) {
-  if (kart.finished) return;
-  
-  const currentWaypoint = track.getNearestWaypoint(kart.x, kart.y);
-  const targetIndex = (currentWaypoint + 3) % track.waypoints.length;
-  const target = track.waypoints[targetIndex];
-  
-  const targetAngle = Math.atan2(target.y - kart.y, target.x - kart.x);
-  
-  let angleDiff = targetAngle - kart.angle;
-  while (angleDiff > Math.PI) angleDiff -= Math.PI * 2;
-  while (angleDiff < -Math.PI) angleDiff += Math.PI * 2;
+function renderTrackTexture(ctx, track, rect) {
+  // Draw vibrant grass background with gradient
+  const cx = track.bounds.x + track.bounds.width / 2;
+  const cy = track.bounds.y + track.bounds.height / 2;
+  const grassGradient = ctx.createRadialGradient(cx, cy, 0, cx, cy, Math.max(400, Math.max(rect.width, rect.height) / 2));
+  grassGradient.addColorStop(0, '#2ECC71');
+  grassGradient.addColorStop(1, '#1E8449');
+  ctx.fillStyle = grassGradient;
+  ctx.fillRect(rect.x, rect.y, rect.width, rect.height);
+  
+  // Decorative grass pattern
+  ctx.fillStyle = 'rgba(39, 174, 96, 0.3)';
+  const tufts = Math.round(50 * (rect.width * rect.height) / (CONFIG.WIDTH * CONFIG.HEIGHT));
+  for (let i = 0; i < tufts; i++) {
+    const x = rect.x + (i * 47) % rect.width;
+    const y = rect.y + (i * 31) % rect.height;
+    ctx.fillRect(x, y, 8, 8);
+  }
   
-  const steerRate = CONFIG.STEERING_BASE * 0.8;
-  if (Math.abs(angleDiff) > 0.1) {
-    kart.angle += Math.sign(angleDiff) * Math.min(Math.abs(angleDiff), steerRate * dt);
+  // Drivable run-off beyond the road, fenced in by a tyre wall
+  if (track.runoff > 0) {
+    ctx.strokeStyle = '#2C2C2C';
+    strokeRibbon(ctx, track, p => (p.halfWidth + track.runoff) * 2 + 8);
+    ctx.strokeStyle = SURFACES[track.offroad].color;
+    strokeRibbon(ctx, track, p => (p.halfWidth + track.runoff) * 2);
   }
   
-  let targetSpeed = CONFIG.MAX_SPEED * 0.85;
+  // Draw outer track edge (dirt/sand)
+  ctx.strokeStyle = '#C49A6C';
+  strokeRibbon(ctx, track, p => p.halfWidth * 2 + 20);
   
-  if (playerKart) {
-    const positionDiff = kart.totalProgress - playerKart.totalProgress;
-    
-    if (positionDiff > 0.5) {
-      targetSpeed *= (1 - CONFIG.RUBBER_BAND_STRENGTH * 0.5);
-    } else if (positionDiff < -0.5) {
-      targetSpeed *= (1 + CONFIG.RUBBER_BAND_STRENGTH);
-    }
-  }
+  // Draw track surface
+  ctx.strokeStyle = '#4A4A4A';
+  strokeRibbon(ctx, track, p => p.halfWidth * 2);
   
-  for (const other of allKarts) {
-    if (other === kart) continue;
-    
-    const dist = Math.hypot(other.x - kart.x, other.y - kart.y);
-    if (dist < 60) {
-      const avoidAngle = Math.atan2(kart.y - other.y, kart.x - other.x);
-      let avoidDiff = avoidAngle - kart.angle;
-      while (avoidDiff > Math.PI) avoidDiff -= Math.PI * 2;
-      while (avoidDiff < -Math.PI) avoidDiff += Math.PI * 2;
-      
-      kart.angle += Math.sign(avoidDiff) * 0.5 * dt;
-    }
-    if (dist < 40) {
-      targetSpeed *= 0.9;
-    }
+  // Track texture (subtle stripes)
+  ctx.strokeStyle = 'rgba(60, 60, 60, 0.5)';
+  ctx.lineWidth = 2;
+  for (let i = 1; i < 8; i++) {
+    traceEdge(ctx, track, p => p.halfWidth * (i / 4 - 1));
+    ctx.stroke();
   }
   
-  if (kart.speed < targetSpeed) {
-    kart.speed += CONFIG.ACCELERATION * 0.8 * dt;
-  } else {
-    kart.speed -= CONFIG.DECELERATION * 0.5 * dt;
+  // Surface zones, drawn over the road but under the curbs
+  for (const zone of track.surfaces) {
+    renderSurfaceZone(ctx, track, zone);
   }
   
-  kart.speed = Math.max(0, Math.min(kart.getMaxSpeed(), kart.speed));
-  
-  kart.velocity.x = Math.cos(kart.angle) * kart.speed * 0.5;
-  kart.velocity.y = Math.sin(kart.angle) * kart.speed * 0.5;
-  
-  kart.x += kart.velocity.x * dt;
-  kart.y += kart.velocity.y * dt;
-  
-  if (kart.item && Math.random() < 0.01) {
-    useItem(kart);
+  // Draw curbs along both edges (red/white)
+  ctx.lineWidth = 6;
+  ctx.lineCap = 'butt';
+  const curbLength = 24;
+  const samples = track.samples;
+  let from = 0;
+  for (let i = 1; i <= samples.length; i++) {
+    const segment = Math.floor((samples[from].s) / curbLength);
+    const next = i < samples.length ? Math.floor(samples[i].s / curbLength) : segment + 1;
+    if (next === segment) continue;
+    
+    ctx.strokeStyle = segment % 2 === 0 ? '#E74C3C' : '#FFFFFF';
+    traceEdge(ctx, track, p => -(p.halfWidth - 3), from, i);
+    ctx.stroke();
+    traceEdge(ctx, track, p => p.halfWidth - 3, from, i);
+    ctx.stroke();
+    from = i;
   }
   
-  kart.update(dt);
-}
-
-// ============================================================================
-// COLLISION DETECTION
-// ============================================================================
-
-function handleCollisions(karts, track, powerUps) {
-  for (const kart of karts) {
-    const trackDist = track.getTrackDistance(kart.x, kart.y);
-    const innerLimit = 1 - (track.width / 2 - 15) / Math.min(track.radiusX, track.radiusY);
-    const outerLimit = 1 + (track.width / 2 - 15) / Math.min(track.radiusX, track.radiusY);
-    
-    if (trackDist < innerLimit || trackDist > outerLimit) {
-      const wasOnTrack = kart.speed > 20;
-      kart.speed *= 0.7;
-      
-      if (wasOnTrack && kart.isPlayer) {
-        screenShake.trigger(5, 0.2);
-        spawnParticles(kart.x, kart.y, 5, ['#8B4513', '#A0522D', '#CD853F'], [40, 80], [0.2, 0.4], [3, 6]);
-      }
-      
-      const angle = Math.atan2(kart.y - track.centerY, kart.x - track.centerX);
-      const targetDist = trackDist < innerLimit ? innerLimit : outerLimit;
-      
-      kart.x = track.centerX + Math.cos(angle) * targetDist * track.radiusX;
-      kart.y = track.centerY + Math.sin(angle) * targetDist * track.radiusY;
-    }
-    
-    track.checkCheckpoint(kart, kart.x - kart.velocity.x * 0.016, kart.y - kart.velocity.y * 0.016);
-    
-    for (const powerUp of powerUps) {
-      if (!powerUp.active) continue;
-      if (kart.item) continue;
-      
-      const dist = Math.hypot(powerUp.x - kart.x, powerUp.y - kart.y);
-      if (dist < powerUp.size + 10) {
-        kart.item = powerUp.collect();
-        if (kart.isPlayer && supportsVibration) navigator.vibrate(20);
-      }
-    }
-  }
+  // Arenas have no direction, start line or checkpoints to mark
+  if (track.arena) return;
   
-  // Kart-to-kart collision
-  for (let i = 0; i < karts.length; i++) {
-    for (let j = i + 1; j < karts.length; j++) {
-      const k1 = karts[i];
-      const k2 = karts[j];
-      
-      const dist = Math.hypot(k2.x - k1.x, k2.y - k1.y);
-      const minDist = 25;
-      
-      if (dist < minDist) {
-        const angle = Math.atan2(k2.y - k1.y, k2.x - k1.x);
-        const overlap = minDist - dist;
-        
-        k1.x -= Math.cos(angle) * overlap / 2;
-        k1.y -= Math.sin(angle) * overlap / 2;
-        k2.x += Math.cos(angle) * overlap / 2;
-        k2.y += Math.sin(angle) * overlap / 2;
-        
-        const speedDiff = k1.speed - k2.speed;
-        k1.speed -= speedDiff * 0.3;
-        k2.speed += speedDiff * 0.3;
-        
-        // Collision effects
-        const midX = (k1.x + k2.x) / 2;
-        const midY = (k1.y + k2.y) / 2;
-        spawnParticles(midX, midY, 6, ['#FFFFFF', '#FFD700'], [50, 100], [0.1, 0.3], [2, 4]);
-        
-        if (k1.isPlayer || k2.isPlayer) {
-          screenShake.trigger(4, 0.15);
-          if (supportsVibration) navigator.vibrate(15);
-        }
-      }
+  // Draw racing stripes (dashed center line)
+  ctx.strokeStyle = '#FFFFFF';
+  ctx.lineWidth = 3;
+  ctx.setLineDash([15, 15]);
+  traceEdge(ctx, track, () => 0);
+  ctx.stroke();
+  ctx.setLineDash([]);
+  
+  // Draw start/finish line
+  const start = track.startLine;
+  const nx = -Math.sin(start.angle);
+  const ny = Math.cos(start.angle);
+  const x1 = start.x - nx * start.halfWidth;
+  const y1 = start.y - ny * start.halfWidth;
+  
+  // Checkered pattern
+  const segments = 10;
+  const dx = (nx * start.halfWidth * 2) / segments;
+  const dy = (ny * start.halfWidth * 2) / segments;
+  const tx = Math.cos(start.angle) * 4;
+  const ty = Math.sin(start.angle) * 4;
+  
+  for (let i = 0; i < segments; i++) {
+    for (let j = 0; j < 2; j++) {
+      ctx.fillStyle = (i + j) % 2 === 0 ? '#FFFFFF' : '#1a1a2e';
+      const x = x1 + dx * i + tx * (j - 1);
+      const y = y1 + dy * i + ty * (j - 1);
+      ctx.beginPath();
+      ctx.moveTo(x, y);
+      ctx.lineTo(x + dx, y + dy);
+      ctx.lineTo(x + dx + tx, y + dy + ty);
+      ctx.lineTo(x + tx, y + ty);
+      ctx.closePath();
+      ctx.fill();
     }
   }
-}
-
-// ============================================================================
-// ITEM USAGE
-// ============================================================================
-
-function useItem(kart) {
-  const item = kart.item;
-  kart.item = null;
-  
-  switch (item) {
-    case 'boost':
-      kart.boosting = true;
-      kart.boostTimer = CONFIG.BOOST_DURATION;
-      spawnParticles(kart.x, kart.y, 15, ['#FF6B35', '#FFD93D', '#FF0000'], [80, 150], [0.3, 0.6], [4, 8]);
-      if (kart.isPlayer && supportsVibration) navigator.vibrate([50, 30, 50]);
-      break;
-      
-    case 'shield':
-      kart.shielded = true;
-      kart.shieldTimer = CONFIG.SHIELD_DURATION;
-      spawnParticles(kart.x, kart.y, 12, ['#00BFFF', '#87CEEB', '#FFFFFF'], [60, 100], [0.3, 0.5], [3, 6]);
-      break;
-      
-    case 'slow':
-      for (const other of game.karts) {
-        if (other !== kart && !other.shielded) {
-          other.slowed = true;
-          other.slowTimer = CONFIG.SLOW_DURATION;
-          spawnParticles(other.x, other.y, 8, ['#9B59B6', '#8E44AD'], [40, 80], [0.3, 0.5], [3, 5]);
-        }
-      }
-      break;
-  }
-}
-
-// ============================================================================
-// POSITION CALCULATION
-// ============================================================================
-
-function calculatePositions(karts) {
-  const sorted = [...karts].sort((a, b) => b.totalProgress - a.totalProgress);
   
-  for (let i = 0; i < sorted.length; i++) {
-    sorted[i].position = i + 1;
+  // Draw checkpoint gates (subtle)
+  ctx.strokeStyle = 'rgba(255, 215, 0, 0.2)';
+  ctx.lineWidth = 3;
+  for (const cp of track.checkpoints) {
+    ctx.beginPath();
+    ctx.moveTo(cp.a.x, cp.a.y);
+    ctx.lineTo(cp.b.x, cp.b.y);
+    ctx.stroke();
   }
 }
 
@@ -1162,19 +860,28 @@ function calculatePositions(karts) {
 // RENDERING
 // ============================================================================
 
-function renderKart(ctx, kart) {
-  ctx.save();
-  ctx.translate(kart.x, kart.y);
-  ctx.rotate(kart.angle);
-  
-  // Flash effect on hit
+// `label` names the driver in split-screen ('P1', 'P2')
+function renderKart(ctx, kart, label = null) {
+  // Ghosts are see-through, popped karts faded out; flash effect on hit
+  const opacity = kart.opacity ?? (kart.popped ? 0.4 : 1);
+  ctx.globalAlpha = opacity;
   if (kart.flashTimer > 0 && Math.floor(kart.flashTimer * 10) % 2 === 0) {
-    ctx.globalAlpha = 0.5;
+    ctx.globalAlpha = opacity * 0.5;
   }
   
-  // Shadow
-  ctx.fillStyle = 'rgba(0, 0, 0, 0.4)';
+  // Shadow stays on the ground while the kart is in the air
+  ctx.save();
+  ctx.translate(kart.drawX, kart.drawY);
+  ctx.rotate(kart.drawAngle);
+  ctx.fillStyle = `rgba(0, 0, 0, ${0.4 - kart.z / CONFIG.RAMP_HEIGHT * 0.2})`;
   ctx.fillRect(-kart.width/2 + 3, -kart.height/2 + 5, kart.width, kart.height);
+  ctx.restore();
+  
+  ctx.save();
+  ctx.translate(kart.drawX, kart.drawY - kart.z);
+  ctx.rotate(kart.drawAngle);
+  const lift = 1 + kart.z / CONFIG.RAMP_HEIGHT * 0.25;
+  ctx.scale(lift, lift);
   
   // Kart body with gradient
   const bodyGradient = ctx.createLinearGradient(-kart.width/2, 0, kart.width/2, 0);
@@ -1213,8 +920,8 @@ function renderKart(ctx, kart) {
   
   // Boost flames (rendered separately so they're not rotated weirdly)
   if (kart.boosting) {
-    const flameX = kart.x - Math.cos(kart.angle) * 18;
-    const flameY = kart.y - Math.sin(kart.angle) * 18;
+    const flameX = kart.drawX - Math.cos(kart.drawAngle) * 18;
+    const flameY = kart.drawY - kart.z - Math.sin(kart.drawAngle) * 18;
     
     for (let i = 0; i < 5; i++) {
       const flameColors = ['#FF0000', '#FF6B35', '#FFD93D'];
@@ -1226,38 +933,287 @@ function renderKart(ctx, kart) {
     }
   }
   
-  // Shield effect
-  if (kart.shielded) {
-    const pulse = 0.5 + Math.sin(Date.now() / 80) * 0.3;
-    ctx.strokeStyle = `rgba(52, 152, 219, ${pulse})`;
-    ctx.lineWidth = 4;
+  // Shield effect
+  if (kart.shielded) {
+    const pulse = 0.5 + Math.sin(Date.now() / 80) * 0.3;
+    ctx.strokeStyle = `rgba(52, 152, 219, ${pulse})`;
+    ctx.lineWidth = 4;
+    ctx.beginPath();
+    ctx.arc(kart.drawX, kart.drawY - kart.z, 22, 0, Math.PI * 2);
+    ctx.stroke();
+    
+    ctx.strokeStyle = `rgba(255, 255, 255, ${pulse * 0.5})`;
+    ctx.lineWidth = 2;
+    ctx.stroke();
+  }
+  
+  // Slow effect
+  if (kart.slowed) {
+    ctx.fillStyle = `rgba(142, 68, 173, ${0.3 + Math.sin(Date.now() / 100) * 0.2})`;
+    ctx.beginPath();
+    ctx.arc(kart.drawX, kart.drawY - kart.z, 18, 0, Math.PI * 2);
+    ctx.fill();
+  }
+  
+  // Position indicator for player
+  if (kart.isPlayer) {
+    ctx.fillStyle = '#FFFFFF';
+    ctx.beginPath();
+    ctx.moveTo(kart.drawX, kart.drawY - kart.z - 25);
+    ctx.lineTo(kart.drawX - 5, kart.drawY - kart.z - 32);
+    ctx.lineTo(kart.drawX + 5, kart.drawY - kart.z - 32);
+    ctx.closePath();
+    ctx.fill();
+  }
+  
+  if (label) {
+    renderPlayerLabel(ctx, label, kart.drawX, kart.drawY - kart.z - (kart.balloons > 0 ? 58 : 40));
+  }
+  
+  renderBalloons(ctx, kart, kart.drawX, kart.drawY - kart.z - 38, 1);
+}
+
+// Which human drives the kart, when more than one is racing: P1/P2 in
+// split-screen, the driver's name online
+function playerLabel(race, kart) {
+  if (!kart.isPlayer || race.players.length < 2) return null;
+  if (typeof netGame !== 'undefined' && netGame.race === race) return kart.name;
+  return `P${kart.playerIndex + 1}`;
+}
+
+function renderPlayerLabel(ctx, label, x, y) {
+  ctx.font = 'bold 12px system-ui, sans-serif';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.lineWidth = 3;
+  ctx.strokeStyle = '#000000';
+  ctx.strokeText(label, x, y);
+  ctx.fillStyle = '#FFFFFF';
+  ctx.fillText(label, x, y);
+}
+
+// Battle balloons in a row floating over the kart, centred on (x, y)
+function renderBalloons(ctx, kart, x, y, scale) {
+  const spacing = 10 * scale;
+  const left = x - (kart.balloons - 1) * spacing / 2;
+  
+  for (let i = 0; i < kart.balloons; i++) {
+    const bx = left + i * spacing;
+    const by = y + Math.sin(Date.now() / 300 + i) * 2 * scale;
+    
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(bx, by + 6 * scale);
+    ctx.lineTo(x, y + 14 * scale);
+    ctx.stroke();
+    
+    ctx.fillStyle = kart.color;
+    ctx.strokeStyle = '#000000';
+    ctx.beginPath();
+    ctx.ellipse(bx, by, 5 * scale, 6 * scale, 0, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.stroke();
+  }
+}
+
+function renderPowerUp(ctx, powerUp) {
+  if (!powerUp.active) return;
+  
+  const bob = Math.sin(powerUp.bobOffset) * 4;
+  const y = powerUp.y + bob;
+  const glow = 0.5 + Math.sin(powerUp.bobOffset * 2) * 0.2;
+  
+  // Glow effect
+  ctx.shadowColor = '#FFD700';
+  ctx.shadowBlur = 15 * glow;
+  
+  // Question mark box style with gradient
+  const boxGradient = ctx.createLinearGradient(
+    powerUp.x - powerUp.size/2, y - powerUp.size/2,
+    powerUp.x + powerUp.size/2, y + powerUp.size/2
+  );
+  boxGradient.addColorStop(0, '#FFD700');
+  boxGradient.addColorStop(0.5, '#FFA500');
+  boxGradient.addColorStop(1, '#FF8C00');
+  
+  ctx.fillStyle = boxGradient;
+  ctx.fillRect(powerUp.x - powerUp.size/2, y - powerUp.size/2, powerUp.size, powerUp.size);
+  
+  // Box border
+  ctx.strokeStyle = '#8B4513';
+  ctx.lineWidth = 3;
+  ctx.strokeRect(powerUp.x - powerUp.size/2, y - powerUp.size/2, powerUp.size, powerUp.size);
+  
+  // Question mark
+  ctx.shadowBlur = 0;
+  ctx.fillStyle = '#FFFFFF';
+  ctx.font = 'bold 18px Arial';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText('?', powerUp.x, y);
+}
+
+// A spinning coin centred on (x, y), `scale` times its top-down size
+function renderCoinShape(ctx, coin, x, y, scale) {
+  const radius = CONFIG.COIN_RADIUS * scale;
+  const spin = Math.max(0.15, Math.abs(Math.cos(coin.age * 4 + coin.x * 0.05)));
+  
+  ctx.fillStyle = '#B8860B';
+  ctx.beginPath();
+  ctx.ellipse(x, y, radius * spin, radius, 0, 0, Math.PI * 2);
+  ctx.fill();
+  ctx.fillStyle = '#FFD700';
+  ctx.beginPath();
+  ctx.ellipse(x, y, radius * spin * 0.75, radius * 0.75, 0, 0, Math.PI * 2);
+  ctx.fill();
+  ctx.fillStyle = '#FFF3B0';
+  ctx.fillRect(x - radius * spin * 0.15, y - radius * 0.45, radius * spin * 0.3, radius * 0.9);
+}
+
+function renderCoin(ctx, coin) {
+  if (!coin.active) return;
+  
+  if (coin.z > 0) {
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.3)';
     ctx.beginPath();
-    ctx.arc(kart.x, kart.y, 22, 0, Math.PI * 2);
-    ctx.stroke();
+    ctx.ellipse(coin.drawX, coin.drawY + 3, CONFIG.COIN_RADIUS, CONFIG.COIN_RADIUS / 2, 0, 0, Math.PI * 2);
+    ctx.fill();
+  }
+  // Spilled coins blink out at the end of their life
+  if (coin.spilled && CONFIG.COIN_DROP_LIFE - coin.age < 2 && Math.floor(coin.age * 8) % 2 === 0) return;
+  renderCoinShape(ctx, coin, coin.drawX, coin.drawY - coin.z, 1);
+}
+
+// A banana peel, oil slick or fake item box centred on (x, y), `scale`
+// times its top-down size. The fake box gives itself away with an
+// upside-down question mark.
+function renderHazardShape(ctx, hazard, x, y, scale) {
+  switch (hazard.type) {
+    case 'banana':
+      ctx.lineCap = 'round';
+      ctx.strokeStyle = '#7C5A0B';
+      ctx.lineWidth = 7 * scale;
+      ctx.beginPath();
+      ctx.arc(x, y - 4 * scale, 8 * scale, 0.3, Math.PI - 0.3);
+      ctx.stroke();
+      ctx.strokeStyle = '#FACC15';
+      ctx.lineWidth = 5 * scale;
+      ctx.stroke();
+      ctx.lineCap = 'butt';
+      break;
+      
+    case 'oil': {
+      ctx.fillStyle = '#111827';
+      const blobs = [[0, 0, 20, 12], [-10, 4, 10, 8], [11, -3, 10, 7]];
+      for (const [dx, dy, rx, ry] of blobs) {
+        ctx.beginPath();
+        ctx.ellipse(x + dx * scale, y + dy * scale, rx * scale, ry * scale, 0, 0, Math.PI * 2);
+        ctx.fill();
+      }
+      // Rainbow sheen
+      ctx.strokeStyle = 'rgba(167, 139, 250, 0.6)';
+      ctx.lineWidth = 2 * scale;
+      ctx.beginPath();
+      ctx.ellipse(x - 3 * scale, y - 2 * scale, 9 * scale, 4 * scale, 0, Math.PI, Math.PI * 1.8);
+      ctx.stroke();
+      break;
+    }
     
-    ctx.strokeStyle = `rgba(255, 255, 255, ${pulse * 0.5})`;
-    ctx.lineWidth = 2;
-    ctx.stroke();
+    case 'fakeBox': {
+      const size = 24 * scale;
+      const boxGradient = ctx.createLinearGradient(x - size / 2, y - size / 2, x + size / 2, y + size / 2);
+      boxGradient.addColorStop(0, '#FFD700');
+      boxGradient.addColorStop(0.5, '#FFA500');
+      boxGradient.addColorStop(1, '#E0601A');
+      ctx.fillStyle = boxGradient;
+      ctx.fillRect(x - size / 2, y - size / 2, size, size);
+      ctx.strokeStyle = '#8B4513';
+      ctx.lineWidth = Math.max(1, 3 * scale);
+      ctx.strokeRect(x - size / 2, y - size / 2, size, size);
+      
+      ctx.save();
+      ctx.translate(x, y);
+      ctx.rotate(Math.PI);
+      ctx.fillStyle = '#FFFFFF';
+      ctx.font = `bold ${Math.max(6, Math.round(16 * scale))}px Arial`;
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.fillText('?', 0, 0);
+      ctx.restore();
+      break;
+    }
+    
+    // Hazards from other items lie there as their icon
+    default:
+      if (ITEMS[hazard.type].icon) renderItemIcon(ctx, hazard.type, x, y, scale);
   }
-  
-  // Slow effect
-  if (kart.slowed) {
-    ctx.fillStyle = `rgba(142, 68, 173, ${0.3 + Math.sin(Date.now() / 100) * 0.2})`;
+}
+
+function renderHazard(ctx, hazard) {
+  if (hazard.z > 0) {
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.3)';
     ctx.beginPath();
-    ctx.arc(kart.x, kart.y, 18, 0, Math.PI * 2);
+    ctx.ellipse(hazard.drawX, hazard.drawY + 3, 10, 5, 0, 0, Math.PI * 2);
     ctx.fill();
   }
-  
-  // Position indicator for player
-  if (kart.isPlayer) {
+  renderHazardShape(ctx, hazard, hazard.drawX, hazard.drawY - hazard.z, 1);
+}
+
+// A shell seen from above, `radius` px to the rim, centred on (x, y). The
+// spiny grows spikes and wings.
+function renderShell(ctx, shot, x, y, radius) {
+  if (shot.type === 'spiny') {
+    const flap = Math.sin(shot.age * 30) * 0.4;
     ctx.fillStyle = '#FFFFFF';
-    ctx.beginPath();
-    ctx.moveTo(kart.x, kart.y - 25);
-    ctx.lineTo(kart.x - 5, kart.y - 32);
-    ctx.lineTo(kart.x + 5, kart.y - 32);
-    ctx.closePath();
-    ctx.fill();
+    for (const side of [-1, 1]) {
+      ctx.beginPath();
+      ctx.ellipse(x + side * radius * 1.1, y - radius * 0.3, radius * 0.8, radius * 0.35, side * (0.4 + flap), 0, Math.PI * 2);
+      ctx.fill();
+    }
+    for (let i = 0; i < 8; i++) {
+      const angle = i / 8 * Math.PI * 2 + shot.age * 4;
+      ctx.beginPath();
+      ctx.moveTo(x + Math.cos(angle - 0.3) * radius, y + Math.sin(angle - 0.3) * radius);
+      ctx.lineTo(x + Math.cos(angle) * radius * 1.5, y + Math.sin(angle) * radius * 1.5);
+      ctx.lineTo(x + Math.cos(angle + 0.3) * radius, y + Math.sin(angle + 0.3) * radius);
+      ctx.fill();
+    }
   }
+  
+  // White rim round the coloured shell
+  ctx.fillStyle = '#FFFFFF';
+  ctx.beginPath();
+  ctx.arc(x, y, radius, 0, Math.PI * 2);
+  ctx.fill();
+  ctx.strokeStyle = '#000000';
+  ctx.lineWidth = Math.max(1, radius * 0.15);
+  ctx.stroke();
+  
+  ctx.fillStyle = ITEMS[shot.type].projectile.color;
+  ctx.beginPath();
+  ctx.arc(x, y, radius * 0.75, 0, Math.PI * 2);
+  ctx.fill();
+  
+  // Shine
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+  ctx.beginPath();
+  ctx.arc(x - radius * 0.3, y - radius * 0.3, radius * 0.25, 0, Math.PI * 2);
+  ctx.fill();
+}
+
+// How high a shot is drawn off the ground: shells slide, the spiny flies
+function projectileLift(shot) {
+  return ITEMS[shot.type].projectile.flying ? 16 + Math.sin(shot.age * 6) * 3 : 0;
+}
+
+function renderProjectile(ctx, shot) {
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.3)';
+  ctx.beginPath();
+  ctx.ellipse(shot.drawX, shot.drawY + 3, CONFIG.PROJECTILE_RADIUS, CONFIG.PROJECTILE_RADIUS / 2, 0, 0, Math.PI * 2);
+  ctx.fill();
+  
+  renderShell(ctx, shot, shot.drawX, shot.drawY - projectileLift(shot), CONFIG.PROJECTILE_RADIUS);
 }
 
 // Helper function to lighten colors
@@ -1270,7 +1226,21 @@ function lightenColor(color, percent) {
   return '#' + (0x1000000 + R * 0x10000 + G * 0x100 + B).toString(16).slice(1);
 }
 
-function renderUI(ctx, playerKart) {
+// Race time as m:ss.cc
+function formatTime(time) {
+  const minutes = Math.floor(time / 60);
+  const seconds = Math.floor(time % 60);
+  const ms = Math.floor((time % 1) * 100);
+  return `${minutes}:${seconds.toString().padStart(2, '0')}.${ms.toString().padStart(2, '0')}`;
+}
+
+// 1st, 2nd, 3rd, 4th... (online races have up to eight karts)
+function ordinal(n) {
+  const suffix = ['th', 'st', 'nd', 'rd'][n % 10 < 4 && Math.floor(n / 10) !== 1 ? n % 10 : 0];
+  return `${n}${suffix}`;
+}
+
+function renderUI(ctx, race, playerKart) {
   // Semi-transparent background for UI
   ctx.fillStyle = 'rgba(26, 26, 46, 0.85)';
   ctx.strokeStyle = '#e94560';
@@ -1302,14 +1272,36 @@ function renderUI(ctx, playerKart) {
   // Position with medal/badge
   const posColors = ['#FFD700', '#C0C0C0', '#CD7F32', '#FFFFFF'];
   const posEmoji = ['🥇', '🥈', '🥉', ''];
-  const posText = ['1ST', '2ND', '3RD', '4TH'][playerKart.position - 1];
-  
-  ctx.fillStyle = posColors[playerKart.position - 1];
-  ctx.fillText(`${posEmoji[playerKart.position - 1]} ${posText}`, 20, 35);
+  const posText = ordinal(playerKart.position).toUpperCase();
+  
+  ctx.fillStyle = posColors[playerKart.position - 1] || '#FFFFFF';
+  ctx.fillText(`${posEmoji[playerKart.position - 1] || ''} ${posText}`, 20, 35);
+  
+  // Whose view this is in split-screen
+  const label = playerLabel(race, playerKart);
+  if (label) {
+    ctx.textAlign = 'right';
+    ctx.fillStyle = playerKart.color;
+    ctx.fillText(label, 180, 35);
+    ctx.textAlign = 'left';
+  }
   
-  // Lap
+  // Lap, or balloons left in a battle
   ctx.fillStyle = '#FFFFFF';
-  ctx.fillText(`🏁 LAP ${Math.min(playerKart.lap + 1, CONFIG.TOTAL_LAPS)}/${CONFIG.TOTAL_LAPS}`, 20, 55);
+  if (race.battle) {
+    ctx.fillText(`🎈 ${playerKart.balloons}/${CONFIG.BATTLE_BALLOONS}`, 20, 55);
+  } else {
+    ctx.fillText(`🏁 LAP ${Math.min(playerKart.lap + 1, CONFIG.TOTAL_LAPS)}/${CONFIG.TOTAL_LAPS}`, 20, 55);
+  }
+  
+  // Coins, gold once they're maxed out
+  if (race.coins.length > 0) {
+    renderCoinShape(ctx, { age: 0, x: 0 }, 145, 50, 1);
+    ctx.textAlign = 'right';
+    ctx.fillStyle = playerKart.coins >= CONFIG.COIN_MAX ? '#FFD700' : '#FFFFFF';
+    ctx.fillText(`×${playerKart.coins}`, 180, 55);
+    ctx.textAlign = 'left';
+  }
   
   // Speed with color coding
   const speedPercent = playerKart.speed / CONFIG.MAX_SPEED;
@@ -1317,80 +1309,191 @@ function renderUI(ctx, playerKart) {
   const speedDisplay = Math.round(playerKart.speed);
   ctx.fillText(`⚡ ${speedDisplay} km/h`, 20, 75);
   
-  // Time
+  // Time (counting down in a battle)
   ctx.fillStyle = '#FFFFFF';
-  const minutes = Math.floor(gameState.raceTime / 60);
-  const seconds = Math.floor(gameState.raceTime % 60);
-  const ms = Math.floor((gameState.raceTime % 1) * 100);
-  ctx.fillText(`⏱️ ${minutes}:${seconds.toString().padStart(2, '0')}.${ms.toString().padStart(2, '0')}`, 20, 95);
+  ctx.fillText(`⏱️ ${formatTime(race.battle ? race.timeLeft : race.time)}`, 20, 95);
   
   // Item box
   if (playerKart.item) {
-    roundedRect(CONFIG.WIDTH - 85, 10, 75, 55, 8);
+    ctx.fillStyle = 'rgba(26, 26, 46, 0.85)';
+    ctx.strokeStyle = '#e94560';
+    ctx.lineWidth = 2;
+    roundedRect(viewport.width - 85, 10, 75, 55, 8);
     
     ctx.fillStyle = '#FFFFFF';
     ctx.font = 'bold 12px system-ui, sans-serif';
     ctx.textAlign = 'center';
-    ctx.fillText('ITEM', CONFIG.WIDTH - 47, 28);
+    ctx.fillText('ITEM', viewport.width - 47, 28);
     
-    const itemColors = { boost: '#E74C3C', shield: '#3498DB', slow: '#9B59B6' };
-    const itemEmoji = { boost: '🚀', shield: '🛡️', slow: '🐌' };
-    
-    ctx.fillStyle = itemColors[playerKart.item] || '#FFFFFF';
-    ctx.font = 'bold 22px system-ui, sans-serif';
-    ctx.fillText(itemEmoji[playerKart.item] || '?', CONFIG.WIDTH - 47, 52);
+    // The roulette flicks through what the box could have given
+    let item = playerKart.item;
+    if (playerKart.itemRoulette > 0 && playerKart.lastRoll) {
+      const choices = Object.keys(race.itemOdds.tiers[playerKart.lastRoll.tier]);
+      item = choices[Math.floor(playerKart.itemRoulette * 15) % choices.length];
+    }
+    renderItemIcon(ctx, item, viewport.width - 47, 47, 1);
   }
   
-  // Drift boost meter
+  if (game.showItemDebug) {
+    renderItemOdds(ctx, race, playerKart);
+    renderAILog(ctx, race);
+  }
+  
+  // Mini-turbo meter: the charge, a notch per tier and the tier reached
   if (playerKart.drifting) {
     const boostWidth = 120;
     const boostHeight = 12;
-    const boostX = CONFIG.WIDTH / 2 - boostWidth / 2;
-    const boostY = CONFIG.HEIGHT - 50;
+    const boostX = viewport.width / 2 - boostWidth / 2;
+    const boostY = viewport.height - 50;
+    const tier = DRIFT_TIERS[playerKart.driftTier - 1];
     
+    ctx.fillStyle = 'rgba(26, 26, 46, 0.85)';
+    ctx.strokeStyle = '#e94560';
+    ctx.lineWidth = 2;
     roundedRect(boostX - 8, boostY - 20, boostWidth + 16, boostHeight + 28, 6);
     
     // Background bar
     ctx.fillStyle = '#333333';
     ctx.fillRect(boostX, boostY, boostWidth, boostHeight);
     
-    // Fill bar with gradient
+    // Fill bar in the colour of the tier reached
     const fillPercent = playerKart.driftBoost / CONFIG.DRIFT_BOOST_MAX;
-    const fillGradient = ctx.createLinearGradient(boostX, 0, boostX + boostWidth * fillPercent, 0);
-    
-    if (fillPercent < 0.33) {
-      fillGradient.addColorStop(0, '#F1C40F');
-      fillGradient.addColorStop(1, '#F39C12');
-    } else if (fillPercent < 0.66) {
-      fillGradient.addColorStop(0, '#E67E22');
-      fillGradient.addColorStop(1, '#D35400');
-    } else {
-      fillGradient.addColorStop(0, '#E74C3C');
-      fillGradient.addColorStop(1, '#C0392B');
-    }
-    
-    ctx.fillStyle = fillGradient;
+    ctx.fillStyle = tier ? tier.sparks[0] : '#F1C40F';
     ctx.fillRect(boostX, boostY, boostWidth * fillPercent, boostHeight);
     
-    // Border
-    ctx.strokeStyle = '#FFFFFF';
-    ctx.lineWidth = 2;
+    // Tier notches
+    ctx.fillStyle = '#FFFFFF';
+    for (const { charge } of DRIFT_TIERS) {
+      if (charge < CONFIG.DRIFT_BOOST_MAX) {
+        ctx.fillRect(boostX + boostWidth * charge / CONFIG.DRIFT_BOOST_MAX - 1, boostY, 2, boostHeight);
+      }
+    }
+    
+    // Border, lit in the tier's colour for a moment after each tier-up
+    ctx.strokeStyle = playerKart.tierFlash > 0 && tier ? tier.sparks[1] : '#FFFFFF';
+    ctx.lineWidth = playerKart.tierFlash > 0 ? 4 : 2;
     ctx.strokeRect(boostX, boostY, boostWidth, boostHeight);
     
     // Label
-    ctx.fillStyle = '#FFFFFF';
+    ctx.fillStyle = tier ? tier.sparks[1] : '#FFFFFF';
     ctx.font = 'bold 11px system-ui, sans-serif';
     ctx.textAlign = 'center';
-    ctx.fillText('BOOST', CONFIG.WIDTH / 2, boostY - 6);
+    ctx.fillText(tier ? `${tier.name} TURBO` : 'DRIFT', viewport.width / 2, boostY - 6);
   }
   
   // Mini-map
-  renderMiniMap(ctx);
+  renderMiniMap(ctx, race, playerKart);
+}
+
+// An item's icon centred on (x, y), `scale` times the item slot's size:
+// its own icon if it has one, otherwise the shell or hazard it puts out
+function renderItemIcon(ctx, item, x, y, scale) {
+  const { icon, color, projectile, hazard } = ITEMS[item];
+  
+  if (typeof icon === 'function') {
+    icon(ctx, x, y, scale);
+  } else if (icon) {
+    ctx.fillStyle = color || '#FFFFFF';
+    ctx.font = `bold ${Math.round(22 * scale)}px system-ui, sans-serif`;
+    ctx.textAlign = 'center';
+    ctx.fillText(icon, x, y + 5 * scale);
+  } else if (projectile) {
+    renderShell(ctx, { type: item, age: performance.now() / 1000 }, x, y - 1, 11 * scale);
+  } else if (hazard) {
+    renderHazardShape(ctx, { type: item }, x, y + 1, 0.8 * scale);
+  }
+}
+
+// Debug overlay (F3): the odds the kart would roll on if it hit an item
+// box now, and what its last box gave it
+function renderItemOdds(ctx, race, kart) {
+  const odds = race.itemOdds;
+  const { tier, gap } = itemTier(kart, race.karts, odds, race.track.checkpoints.length);
+  const weights = Object.entries(odds.tiers[tier]);
+  const total = weights.reduce((sum, [, w]) => sum + w, 0);
+  const x = 10;
+  const y = 125;
+  const rowHeight = 18;
+  
+  ctx.fillStyle = 'rgba(26, 26, 46, 0.85)';
+  ctx.strokeStyle = '#e94560';
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  ctx.roundRect(x, y, 180, 62 + weights.length * rowHeight, 8);
+  ctx.fill();
+  ctx.stroke();
+  
+  ctx.textAlign = 'left';
+  ctx.fillStyle = '#FFD700';
+  ctx.font = 'bold 12px system-ui, sans-serif';
+  ctx.fillText(`ITEM ODDS · TIER ${tier + 1}/${odds.tiers.length}`, x + 10, y + 18);
+  ctx.fillStyle = '#a0a0a0';
+  ctx.font = '11px system-ui, sans-serif';
+  ctx.fillText(`${ordinal(kart.position)}, ${gap.toFixed(2)} laps behind the leader`, x + 10, y + 34);
+  
+  weights.forEach(([item, weight], i) => {
+    const rowY = y + 52 + i * rowHeight;
+    renderItemIcon(ctx, item, x + 20, rowY - 4, 0.55);
+    ctx.fillStyle = kart.lastRoll && kart.lastRoll.item === item ? '#FFD700' : '#e94560';
+    ctx.fillRect(x + 36, rowY - 8, 100 * weight / total, 8);
+    ctx.fillStyle = '#FFFFFF';
+    ctx.font = 'bold 11px system-ui, sans-serif';
+    ctx.textAlign = 'right';
+    ctx.fillText(`${Math.round(100 * weight / total)}%`, x + 170, rowY);
+    ctx.textAlign = 'left';
+  });
+  
+  if (kart.lastRoll) {
+    const { item, tier: rolledTier, chance } = kart.lastRoll;
+    ctx.fillStyle = '#a0a0a0';
+    ctx.font = '11px system-ui, sans-serif';
+    ctx.fillText(`Last roll: ${item} (${Math.round(chance * 100)}%, tier ${rolledTier + 1})`, x + 10, y + 52 + weights.length * rowHeight);
+  }
+}
+
+// Debug overlay (F3): the last items CPU karts used, newest first, and why
+function renderAILog(ctx, race) {
+  const entries = [...race.aiLog].reverse();
+  const width = 250;
+  const x = viewport.width - width - 10;
+  const y = 75;
+  const rowHeight = 16;
+  
+  ctx.fillStyle = 'rgba(26, 26, 46, 0.85)';
+  ctx.strokeStyle = '#e94560';
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  ctx.roundRect(x, y, width, 30 + Math.max(1, entries.length) * rowHeight, 8);
+  ctx.fill();
+  ctx.stroke();
+  
+  ctx.textAlign = 'left';
+  ctx.fillStyle = '#FFD700';
+  ctx.font = 'bold 12px system-ui, sans-serif';
+  ctx.fillText('CPU ITEMS', x + 10, y + 18);
+  ctx.font = '11px system-ui, sans-serif';
+  
+  if (entries.length === 0) {
+    ctx.fillStyle = '#a0a0a0';
+    ctx.fillText('None used yet', x + 10, y + 36);
+  }
+  entries.forEach(({ time, kart, item, why }, i) => {
+    const rowY = y + 36 + i * rowHeight;
+    renderItemIcon(ctx, item, x + 18, rowY - 4, 0.45);
+    ctx.textAlign = 'left';
+    ctx.font = '11px system-ui, sans-serif';
+    ctx.fillStyle = '#a0a0a0';
+    ctx.fillText(time.toFixed(1), x + 32, rowY);
+    ctx.fillStyle = '#FFFFFF';
+    ctx.fillText(`${kart}: ${why}`, x + 66, rowY, width - 76);
+  });
 }
 
-function renderMiniMap(ctx) {
-  const mapX = CONFIG.WIDTH - 115;
-  const mapY = CONFIG.HEIGHT - 105;
+// The followed kart gets the white ring, human drivers a P1/P2 tag in
+// split-screen
+function renderMiniMap(ctx, race, focus) {
+  const mapX = viewport.width - 115;
+  const mapY = viewport.height - 105;
   const mapSize = 95;
   
   // Map background
@@ -1402,15 +1505,23 @@ function renderMiniMap(ctx) {
   ctx.fill();
   ctx.stroke();
   
+  // Fit the track bounds inside the map circle
+  const track = race.track;
+  const bounds = track.bounds;
+  const scale = (mapSize * 0.68) / Math.max(bounds.width, bounds.height);
+  const toMapX = x => mapX + mapSize / 2 + (x - bounds.x - bounds.width / 2) * scale;
+  const toMapY = y => mapY + mapSize / 2 + (y - bounds.y - bounds.height / 2) * scale;
+  
   // Track outline
+  ctx.lineJoin = 'round';
+  ctx.beginPath();
+  for (let i = 0; i < track.samples.length; i += 4) {
+    const p = track.samples[i];
+    if (i === 0) ctx.moveTo(toMapX(p.x), toMapY(p.y)); else ctx.lineTo(toMapX(p.x), toMapY(p.y));
+  }
+  ctx.closePath();
   ctx.strokeStyle = '#555555';
   ctx.lineWidth = 10;
-  ctx.beginPath();
-  ctx.ellipse(
-    mapX + mapSize / 2,
-    mapY + mapSize / 2,
-    32, 24, 0, 0, Math.PI * 2
-  );
   ctx.stroke();
   
   // Track surface
@@ -1419,33 +1530,42 @@ function renderMiniMap(ctx) {
   ctx.stroke();
   
   // Karts on mini-map
-  for (const kart of game.karts) {
-    const mx = mapX + mapSize / 2 + ((kart.x - CONFIG.TRACK_CENTER_X) / CONFIG.TRACK_RADIUS_X) * 32;
-    const my = mapY + mapSize / 2 + ((kart.y - CONFIG.TRACK_CENTER_Y) / CONFIG.TRACK_RADIUS_Y) * 24;
+  for (const kart of race.karts) {
+    const mx = toMapX(kart.x);
+    const my = toMapY(kart.y);
     
     ctx.fillStyle = kart.color;
     ctx.beginPath();
-    ctx.arc(mx, my, kart.isPlayer ? 5 : 4, 0, Math.PI * 2);
+    ctx.arc(mx, my, kart === focus ? 5 : 4, 0, Math.PI * 2);
     ctx.fill();
     
-    if (kart.isPlayer) {
+    if (kart === focus) {
       ctx.strokeStyle = '#FFFFFF';
       ctx.lineWidth = 2;
       ctx.stroke();
     }
+    
+    const label = playerLabel(race, kart);
+    if (label) {
+      ctx.font = 'bold 9px system-ui, sans-serif';
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.fillStyle = '#FFFFFF';
+      ctx.fillText(label, mx, my - 10);
+    }
   }
 }
 
-function renderCountdown(ctx) {
-  if (gameState.countdown > 0) {
+function renderCountdown(ctx, countdown) {
+  if (countdown > 0) {
     ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
-    ctx.fillRect(0, 0, CONFIG.WIDTH, CONFIG.HEIGHT);
+    ctx.fillRect(0, 0, viewport.width, viewport.height);
     
-    const countNum = Math.ceil(gameState.countdown);
-    const scale = 1 + (1 - (gameState.countdown % 1)) * 0.2;
+    const countNum = Math.ceil(countdown);
+    const scale = 1 + (1 - (countdown % 1)) * 0.2;
     
     ctx.save();
-    ctx.translate(CONFIG.WIDTH / 2, CONFIG.HEIGHT / 2);
+    ctx.translate(viewport.width / 2, viewport.height / 2);
     ctx.scale(scale, scale);
     
     // Countdown number with glow
@@ -1466,42 +1586,82 @@ function renderCountdown(ctx) {
   }
 }
 
-function renderFinish(ctx, playerKart) {
+// Flashes while a human driver heads back down the track
+function renderWrongWay(ctx, time) {
+  if (Math.floor(time * 3) % 2 === 1) return;
+  
+  const y = viewport.height / 2 - 80;
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+  ctx.fillRect(0, y - 30, viewport.width, 60);
+  
+  ctx.shadowColor = '#e94560';
+  ctx.shadowBlur = 20;
+  ctx.fillStyle = '#FFD700';
+  ctx.font = 'bold 40px system-ui, sans-serif';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText('⚠ WRONG WAY', viewport.width / 2, y);
+  ctx.shadowBlur = 0;
+  ctx.textBaseline = 'alphabetic';
+}
+
+// `headline` replaces the finishing position (time trials show the record)
+// and `prompt` the restart hint (cups go on to the standings)
+function renderFinish(ctx, race, playerKart, headline = null, prompt = null) {
   ctx.fillStyle = 'rgba(0, 0, 0, 0.8)';
-  ctx.fillRect(0, 0, CONFIG.WIDTH, CONFIG.HEIGHT);
+  ctx.fillRect(0, 0, viewport.width, viewport.height);
   
   ctx.textAlign = 'center';
   ctx.textBaseline = 'middle';
   
   if (playerKart.finished) {
+    const centerX = viewport.width / 2;
+    const centerY = viewport.height / 2;
+    
     // Trophy/medal based on position
     const trophies = ['🏆', '🥈', '🥉', ''];
     const colors = ['#FFD700', '#C0C0C0', '#CD7F32', '#FFFFFF'];
     
     ctx.font = '80px system-ui, sans-serif';
-    ctx.fillText(trophies[playerKart.position - 1], CONFIG.WIDTH / 2, CONFIG.HEIGHT / 2 - 80);
+    ctx.fillText(trophies[playerKart.position - 1] || '', centerX, centerY - 165);
     
-    ctx.fillStyle = colors[playerKart.position - 1];
+    ctx.fillStyle = colors[playerKart.position - 1] || '#FFFFFF';
     ctx.font = 'bold 56px system-ui, sans-serif';
-    ctx.shadowColor = colors[playerKart.position - 1];
+    ctx.shadowColor = ctx.fillStyle;
     ctx.shadowBlur = 20;
-    ctx.fillText('FINISH!', CONFIG.WIDTH / 2, CONFIG.HEIGHT / 2 - 10);
+    ctx.fillText('FINISH!', centerX, centerY - 100);
     
     ctx.shadowBlur = 0;
-    const posText = ['1ST PLACE!', '2ND PLACE!', '3RD PLACE!', '4TH PLACE!'][playerKart.position - 1];
-    ctx.fillText(posText, CONFIG.WIDTH / 2, CONFIG.HEIGHT / 2 + 50);
+    if (headline) {
+      ctx.font = 'bold 40px system-ui, sans-serif';
+      ctx.fillText(headline, centerX, centerY - 35);
+    } else {
+      ctx.fillText(`${ordinal(playerKart.position).toUpperCase()} PLACE!`, centerX, centerY - 35);
+    }
     
-    const minutes = Math.floor(playerKart.finishTime / 60);
-    const seconds = Math.floor(playerKart.finishTime % 60);
-    const ms = Math.floor((playerKart.finishTime % 1) * 100);
     ctx.font = 'bold 24px system-ui, sans-serif';
     ctx.fillStyle = '#FFFFFF';
-    ctx.fillText(`TIME: ${minutes}:${seconds.toString().padStart(2, '0')}.${ms.toString().padStart(2, '0')}`, CONFIG.WIDTH / 2, CONFIG.HEIGHT / 2 + 100);
+    const coins = race.coins.length > 0 ? `    COINS: ${playerKart.coins}` : '';
+    ctx.fillText(`TIME: ${formatTime(playerKart.finishTime)}${coins}`, centerX, centerY + 15);
+    
+    // Per-lap breakdown with the fastest lap marked
+    const laps = playerKart.lapTimes;
+    const fastest = Math.min(...laps);
+    ctx.font = 'bold 16px system-ui, sans-serif';
+    laps.forEach((time, i) => {
+      ctx.fillStyle = time === fastest ? '#2ECC71' : '#a0a0a0';
+      const mark = time === fastest ? ' ★' : '';
+      ctx.fillText(`LAP ${i + 1}  ${formatTime(time)}${mark}`, centerX, centerY + 50 + i * 22);
+    });
     
     ctx.font = 'bold 18px system-ui, sans-serif';
     ctx.fillStyle = '#a0a0a0';
-    const restartText = isTouchDevice ? 'Tap to restart' : 'Press SPACE to restart';
-    ctx.fillText(restartText, CONFIG.WIDTH / 2, CONFIG.HEIGHT / 2 + 140);
+    const restartText = prompt || (isTouchDevice ? 'Tap to restart' : 'Press SPACE to restart');
+    ctx.fillText(restartText, centerX, centerY + 75 + laps.length * 22);
+    if (!isTouchDevice && game.running) {
+      ctx.font = '14px system-ui, sans-serif';
+      ctx.fillText('R to watch the replay', centerX, centerY + 100 + laps.length * 22);
+    }
   }
 }
 
@@ -1597,10 +1757,17 @@ function initFullscreen() {
 const game = {
   canvas: null,
   ctx: null,
-  track: null,
-  karts: [],
-  powerUps: [],
+  race: null,
+  replay: null,
+  trackList: [],
+  trackData: null,
+  ready: null,
+  running: false,
+  loopId: 0,
   lastTime: 0,
+  accumulator: 0,
+  finishCelebrated: false,
+  showItemDebug: false,     // F3 toggles the item odds and CPU item debug overlays
   
   init() {
     this.canvas = document.getElementById('gameCanvas');
@@ -1618,6 +1785,7 @@ const game = {
     
     initInput();
     initFullscreen();
+    initSettings();
     
     // Handle window resize
     window.addEventListener('resize', () => {
@@ -1638,14 +1806,16 @@ const game = {
     // Touch restart on finish screen
     if (isTouchDevice) {
       this.canvas.addEventListener('touchstart', () => {
-        if (gameState.finished) {
-          this.reset();
+        if (this.playersFinished) {
+          this.advance();
         }
       });
     }
     
-    this.reset();
-    
+    this.ready = this.loadTrackList()
+      .then(() => this.loadTrack(CONFIG.DEFAULT_TRACK))
+      .then(() => this.reset());
+      
     // Hide loading screen
     const loadingScreen = document.getElementById('loadingScreen');
     if (loadingScreen) {
@@ -1653,169 +1823,309 @@ const game = {
     }
   },
   
-  reset() {
-    this.track = new Track();
-    this.karts = [];
-    
-    const startAngle = -Math.PI / 2;
-    const kartColors = ['#E60012', '#F472B6', '#22C55E', '#3B82F6'];
-    const kartNames = ['Player', 'Peach', 'Luigi', 'Toad'];
+  async loadTrackList() {
+    this.trackList = await fetchJSON(CONFIG.TRACK_LIST_URL);
     
-    for (let i = 0; i < 4; i++) {
-      const offset = (i - 1.5) * 30;
-      const rowOffset = Math.floor(i / 2) * 40;
-      const x = this.track.centerX + Math.cos(startAngle - 0.1) * (this.track.radiusX + offset);
-      const y = this.track.centerY + Math.sin(startAngle - 0.1) * (this.track.radiusY + offset) + rowOffset;
-      
-      const kart = new Kart(
-        x, y,
-        startAngle + Math.PI / 2,
-        kartColors[i],
-        i === 0,
-        kartNames[i]
-      );
-      this.karts.push(kart);
+    // Arenas are only offered for battles
+    const lists = {
+      trackSelect: this.trackList.filter(entry => !entry.arena),
+      arenaSelect: this.trackList.filter(entry => entry.arena),
+    };
+    for (const [id, entries] of Object.entries(lists)) {
+      const select = document.getElementById(id);
+      if (!select) continue;
+      select.innerHTML = '';
+      for (const entry of entries) {
+        const option = document.createElement('option');
+        option.value = entry.id;
+        option.textContent = entry.name;
+        select.appendChild(option);
+      }
+    }
+  },
+  
+  async fetchTrack(id) {
+    const entry = this.trackList.find(t => t.id === id) || this.trackList[0];
+    const baseUrl = CONFIG.TRACK_LIST_URL.slice(0, CONFIG.TRACK_LIST_URL.lastIndexOf('/') + 1);
+    const data = await fetchJSON(baseUrl + entry.file);
+    return { id: entry.id, ...data };
+  },
+  
+  async loadTrack(id) {
+    this.trackData = await this.fetchTrack(id);
+  },
+  
+  // Same seed, same track and same inputs always give the same race
+  reset(seed = randomSeed()) {
+    // Keep the race that just ended around for the replay viewer
+    if (this.replay) {
+      this.replay.save();
     }
     
-    this.powerUps = [];
-    for (let i = 0; i < CONFIG.POWERUP_COUNT; i++) {
-      const angle = (i / CONFIG.POWERUP_COUNT) * Math.PI * 2 + Math.PI / 4;
-      const variation = (Math.random() - 0.5) * 40;
-      const x = this.track.centerX + Math.cos(angle) * (this.track.radiusX + variation);
-      const y = this.track.centerY + Math.sin(angle) * (this.track.radiusY + variation);
-      this.powerUps.push(new PowerUp(x, y));
+    // Fresh Race (and Track) each time so the geometry always matches trackData
+    const options = this.raceOptions();
+    this.race = new Race(this.trackData, { ...options, seed });
+    this.replay = new Replay(this.trackData, seed, options);
+    this.finishCelebrated = false;
+    
+    if (settings.mode === 'timetrial') {
+      timeTrial.start(this.race, this.trackData.id);
+    } else {
+      timeTrial.stop();
     }
     
     // Clear particles
     particles.length = 0;
     
-    gameState.running = false;
-    gameState.countdown = 3;
-    gameState.raceTime = 0;
-    gameState.finished = false;
-    gameState.winner = null;
+    // Split the screen side by side between the humans
+    const players = this.race.players;
+    viewport.width = CONFIG.WIDTH / players.length;
+    viewport.height = CONFIG.HEIGHT;
+    players.forEach((kart, i) => cameras[i].snap(kart, this.race.track));
     
     this.lastTime = performance.now();
   },
   
-  update(dt) {
-    // Update screen shake
-    screenShake.update(dt);
-    
-    // Countdown
-    if (gameState.countdown > 0) {
-      gameState.countdown -= dt;
-      if (gameState.countdown <= 0) {
-        gameState.running = true;
-        if (supportsVibration) navigator.vibrate([100, 50, 100, 50, 200]);
-      }
-      return;
+  // Every human has finished (the race goes on for the CPU karts)
+  get playersFinished() {
+    return this.race.players.every(k => k.finished);
+  },
+  
+  // Past the finish: on through the cup screens, or straight into a new race
+  advance() {
+    if (cup.active) {
+      cup.advance(this.race);
+    } else {
+      this.reset();
     }
+  },
+  
+  // Race setup for the chosen mode and drivers (the replay keeps it to play
+  // back the same)
+  raceOptions() {
+    if (settings.mode === 'timetrial') {
+      return { racers: roster.lineup(1).slice(0, 1), items: false, startItem: settings.trialItem || null };
+    }
+    const humans = Number(settings.players);
+    const options = { racers: roster.lineup(humans), difficulty: settings.difficulty };
+    if (settings.mode === 'battle') {
+      options.mode = 'battle';
+    } else if (settings.rubberBand === 'off') {
+      options.rubberBand = false;
+    }
+    if (humans > 1) {
+      options.humans = humans;
+    }
+    return options;
+  },
+  
+  // Advance the race by one fixed step with this step's inputs (one per
+  // human, in player order)
+  update(inputs) {
+    // Update screen shake
+    screenShake.update(CONFIG.SIM_STEP);
     
-    if (!gameState.running) return;
-    
-    gameState.raceTime += dt;
+    // The race has to see the inputs exactly as the replay will play them back
+    inputs = this.replay.record(inputs);
+    this.race.step(inputs);
+    updateParticles(CONFIG.SIM_STEP);
     
-    const playerKart = this.karts.find(k => k.isPlayer);
+    if (timeTrial.active) {
+      timeTrial.update(this.race);
+    }
     
-    for (const kart of this.karts) {
-      if (kart.isPlayer) {
-        updatePlayerKart(kart, dt);
-      } else {
-        updateAIKart(kart, dt, this.track, playerKart, this.karts);
+    if (this.playersFinished) {
+      if (!this.finishCelebrated) {
+        fx.vibrate([100, 100, 100, 100, 300]);
+        this.replay.save();
+        this.finishCelebrated = true;
+      }
+      
+      if (inputs.some(input => input.useItem)) {
+        this.advance();
+        return;
       }
     }
     
-    handleCollisions(this.karts, this.track, this.powerUps);
-    
-    for (const powerUp of this.powerUps) {
-      powerUp.update(dt);
+    // Update DOM UI (for desktop)
+    if (!isTouchDevice) {
+      updateDOMUI(this.race.player);
     }
+  },
+  
+  render() {
+    const players = this.race.players;
     
-    updateParticles(dt);
-    calculatePositions(this.karts);
+    // Each human's view, side by side
+    players.forEach((kart, i) => {
+      this.inView(i, () => this.renderScene(this.race, kart, timeTrial.ghosts(), i));
+    });
     
-    if (playerKart.finished) {
-      gameState.finished = true;
-      if (supportsVibration && !gameState.vibratedFinish) {
-        navigator.vibrate([100, 100, 100, 100, 300]);
-        gameState.vibratedFinish = true;
-      }
+    if (players.length > 1) {
+      this.ctx.fillStyle = '#1a1a2e';
+      this.ctx.fillRect(viewport.width - 2, 0, 4, CONFIG.HEIGHT);
+    } else {
+      renderControls(this.ctx);
     }
     
-    if (gameState.finished && keys.useItem) {
-      this.reset();
-      keys.useItem = false;
+    if (timeTrial.active) {
+      timeTrial.render(this.ctx);
     }
     
-    // Update DOM UI (for desktop)
-    if (!isTouchDevice) {
-      updateDOMUI(playerKart);
+    // Finish overlays (the first one home waits for the rest), then the
+    // cup standings
+    if (cup.screen) {
+      cup.render(this.ctx);
+      return;
     }
+    players.forEach((kart, i) => {
+      if (!kart.finished) return;
+      const headline = timeTrial.active ? timeTrial.finishHeadline() : null;
+      let prompt = cup.active ? cup.prompt() : null;
+      if (!this.playersFinished) prompt = 'Waiting for the other player…';
+      this.inView(i, () => renderFinish(this.ctx, this.race, kart, headline, prompt));
+    });
   },
   
-  render() {
+  // Draw into player i's part of the screen
+  inView(i, draw) {
+    this.ctx.save();
+    this.ctx.translate(i * viewport.width, 0);
+    this.ctx.beginPath();
+    this.ctx.rect(0, 0, viewport.width, viewport.height);
+    this.ctx.clip();
+    draw();
+    this.ctx.restore();
+  },
+  
+  // The world and HUD as seen from one kart (the replay viewer can follow
+  // any of them) in the current viewport, through camera `view` (the
+  // player's number in split-screen). Ghosts are drawn like karts but take
+  // no part in the race.
+  renderScene(race, focus, ghosts = [], view = 0) {
     this.ctx.save();
-    
-    // Apply screen shake
-    this.ctx.translate(screenShake.x, screenShake.y);
     
     // Clear
     this.ctx.fillStyle = '#000000';
-    this.ctx.fillRect(-10, -10, CONFIG.WIDTH + 20, CONFIG.HEIGHT + 20);
+    this.ctx.fillRect(0, 0, viewport.width, viewport.height);
     
+    if (settings.view === 'mode7' && typeof mode7 !== 'undefined') {
+      // Apply screen shake
+      this.ctx.translate(screenShake.x, screenShake.y);
+      mode7.render(this.ctx, race, focus, ghosts, view);
+    } else {
+      cameras[view].apply(this.ctx);
+      this.renderTopDown(race, ghosts);
+    }
+    
+    this.ctx.restore();
+    
+    // Draw UI
+    renderUI(this.ctx, race, focus);
+    
+    if (focus.isPlayer && focus.wrongWayTimer > CONFIG.WRONG_WAY_TIME) {
+      renderWrongWay(this.ctx, race.time);
+    }
+    
+    // Countdown overlay
+    if (race.countdown > 0) {
+      renderCountdown(this.ctx, race.countdown);
+    }
+  },
+  
+  // Top-down view through the follow camera
+  renderTopDown(race, ghosts) {
     // Draw track
-    this.track.render(this.ctx);
+    renderTrack(this.ctx, race.track);
     
     // Draw power-ups
-    for (const powerUp of this.powerUps) {
-      powerUp.render(this.ctx);
+    for (const powerUp of race.powerUps) {
+      renderPowerUp(this.ctx, powerUp);
+    }
+    
+    for (const coin of race.coins) {
+      renderCoin(this.ctx, coin);
+    }
+    
+    // Hazards lying on the road
+    for (const hazard of race.hazards) {
+      renderHazard(this.ctx, hazard);
+    }
+    
+    // Shells slide along the road
+    for (const shot of race.projectiles) {
+      if (!ITEMS[shot.type].projectile.flying) renderProjectile(this.ctx, shot);
     }
     
     // Draw particles (behind karts)
     renderParticles(this.ctx);
     
+    // Ghosts under everything else
+    for (const ghost of ghosts) {
+      renderKart(this.ctx, ghost);
+    }
+    
     // Sort karts by Y position for proper layering
-    const sortedKarts = [...this.karts].sort((a, b) => a.y - b.y);
+    const sortedKarts = [...race.karts].sort((a, b) => a.drawY - b.drawY);
     
     // Draw karts
     for (const kart of sortedKarts) {
-      renderKart(this.ctx, kart);
+      renderKart(this.ctx, kart, playerLabel(race, kart));
     }
     
-    this.ctx.restore();
-    
-    // Find player kart for UI
-    const playerKart = this.karts.find(k => k.isPlayer);
+    // Spinies fly over them
+    for (const shot of race.projectiles) {
+      if (ITEMS[shot.type].projectile.flying) renderProjectile(this.ctx, shot);
+    }
+  },
+  
+  loop(currentTime, loopId) {
+    // A stop()/start() pair leaves a stale frame callback behind; drop it
+    if (!this.running || loopId !== this.loopId) return;
     
-    // Draw UI
-    renderUI(this.ctx, playerKart);
-    renderControls(this.ctx);
+    // Run whole fixed steps for the real time that passed and draw the
+    // karts blended between the last two steps
+    const frameTime = Math.min((currentTime - this.lastTime) / 1000, CONFIG.MAX_FRAME_TIME);
+    this.lastTime = currentTime;
+    this.accumulator += frameTime;
     
-    // Countdown overlay
-    if (gameState.countdown > 0) {
-      renderCountdown(this.ctx);
+    while (this.accumulator >= CONFIG.SIM_STEP) {
+      this.update(readInputs(this.race.players.length));
+      this.accumulator -= CONFIG.SIM_STEP;
     }
     
-    // Finish overlay
-    if (gameState.finished) {
-      renderFinish(this.ctx, playerKart);
+    const alpha = this.accumulator / CONFIG.SIM_STEP;
+    for (const kart of this.race.karts) {
+      kart.interpolate(alpha);
     }
-  },
-  
-  loop(currentTime) {
-    const dt = Math.min((currentTime - this.lastTime) / 1000, 0.05);
-    this.lastTime = currentTime;
+    for (const shot of this.race.projectiles) {
+      shot.interpolate(alpha);
+    }
+    for (const hazard of this.race.hazards) {
+      hazard.interpolate(alpha);
+    }
+    for (const coin of this.race.coins) {
+      coin.interpolate(alpha);
+    }
+    timeTrial.interpolate(alpha);
     
-    this.update(dt);
+    this.race.players.forEach((kart, i) => cameras[i].update(frameTime, kart, this.race.track));
     this.render();
     
-    requestAnimationFrame((t) => this.loop(t));
+    requestAnimationFrame((t) => this.loop(t, loopId));
   },
   
   start() {
-    this.init();
-    requestAnimationFrame((t) => this.loop(t));
+    if (this.running) return;
+    this.running = true;
+    this.lastTime = performance.now();
+    this.accumulator = 0;
+    const loopId = ++this.loopId;
+    requestAnimationFrame((t) => this.loop(t, loopId));
+  },
+  
+  stop() {
+    this.running = false;
   }
 };
 
@@ -1826,37 +2136,52 @@ function updateDOMUI(playerKart) {
   const positionEl = document.getElementById('position');
   const timeEl = document.getElementById('time');
   
-  if (lapEl) lapEl.textContent = `${Math.min(playerKart.lap + 1, CONFIG.TOTAL_LAPS)}/${CONFIG.TOTAL_LAPS}`;
+  if (lapEl) {
+    lapEl.textContent = game.race.battle
+      ? `🎈 ${playerKart.balloons}/${CONFIG.BATTLE_BALLOONS}`
+      : `${Math.min(playerKart.lap + 1, CONFIG.TOTAL_LAPS)}/${CONFIG.TOTAL_LAPS}`;
+  }
   if (speedEl) speedEl.textContent = Math.round(playerKart.speed);
   if (positionEl) {
-    const posText = ['1st', '2nd', '3rd', '4th'][playerKart.position - 1];
-    positionEl.textContent = `${posText}/4`;
-  }
-  if (timeEl) {
-    const minutes = Math.floor(gameState.raceTime / 60);
-    const seconds = Math.floor(gameState.raceTime % 60);
-    const ms = Math.floor((gameState.raceTime % 1) * 100);
-    timeEl.textContent = `${minutes}:${seconds.toString().padStart(2, '0')}.${ms.toString().padStart(2, '0')}`;
+    positionEl.textContent = `${ordinal(playerKart.position)}/${game.race.karts.length}`;
   }
+  if (timeEl) timeEl.textContent = formatTime(game.race.time);
 }
 
 // ============================================================================
 // START GAME
 // ============================================================================
 
-function startGame() {
+async function startGame() {
   const startScreen = document.getElementById('startScreen');
   if (startScreen) {
     startScreen.style.display = 'none';
   }
   
+  await game.ready;
+  
+  // Drivers first; ESC on the character select goes back to the menu
+  const humans = settings.mode === 'timetrial' ? 1 : Number(settings.players);
+  if (!(await characterSelect.open(humans))) {
+    if (startScreen) startScreen.style.display = 'flex';
+    return;
+  }
+  
+  if (settings.mode === 'cup') {
+    const cupSelect = document.getElementById('cupSelect');
+    await cup.start(cupSelect && cupSelect.value, humans);
+  } else {
+    cup.stop();
+    const trackSelect = document.getElementById(settings.mode === 'battle' ? 'arenaSelect' : 'trackSelect');
+    if (trackSelect && trackSelect.value) {
+      await game.loadTrack(trackSelect.value);
+    }
+  }
+  
   game.reset();
-  gameState.countdown = 3;
   
   // Start the game loop if not already running
-  if (!game.lastTime) {
-    game.start();
-  }
+  game.start();
   
   // Resize after hiding start screen
   setTimeout(resizeCanvas, 50);
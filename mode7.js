@@ -0,0 +1,439 @@
+/**
+ * MODE 7 RENDERER
+ * SNES-style chase view: the track texture is projected onto a perspective
+ * ground plane behind the player on the CPU (Canvas2D ImageData), with
+ * karts, item boxes and particles drawn as depth-sorted billboards under a
+ * parallax sky.
+ */
+
+// ============================================================================
+// CAMERA & PROJECTION
+// ============================================================================
+
+const MODE7 = {
+  SCALE: 2,             // ground is rendered at 1/SCALE resolution, then scaled up
+  HORIZON: 170,         // screen y of the horizon line
+  FOCAL: 360,           // projection distance in screen pixels
+  CAMERA_HEIGHT: 60,
+  CAMERA_DISTANCE: 90,  // how far behind the player the camera sits
+  CAMERA_LAG: 6,        // how quickly the camera swings round behind the kart
+  NEAR: 10,
+  FAR: 1400,
+  SKY_WIDTH: 1024,      // one full turn of the far mountains
+};
+
+// Pack an RGB color into the little-endian RGBA layout of an ImageData buffer
+function packColor(r, g, b) {
+  return ((255 << 24) | (b << 16) | (g << 8) | r) >>> 0;
+}
+
+const OUTSIDE_COLORS = [packColor(30, 132, 73), packColor(39, 150, 85)];
+
+const mode7 = {
+  cameras: [],      // one per split-screen view
+  camera: null,     // the one being drawn
+  track: null,
+  texels: null,
+  ground: null,
+  groundImage: null,
+  sky: null,
+  
+  // Draw the chase view of `focus` into the current viewport, with the
+  // camera of split-screen view number `view`
+  render(ctx, race, focus = race.player, ghosts = [], view = 0) {
+    if (this.track !== race.track) {
+      this.setTrack(race.track);
+    }
+    if (!this.ground || this.ground.width !== viewport.width / MODE7.SCALE) {
+      this.setSize(viewport.width, viewport.height);
+    }
+    
+    this.camera = this.cameras[view] || (this.cameras[view] = { x: 0, y: 0, angle: 0, focus: null, lastTime: 0 });
+    // New race, or the replay viewer switched karts
+    if (this.camera.focus !== focus) {
+      this.camera.focus = focus;
+      this.snapCamera(focus);
+    }
+    
+    const now = performance.now();
+    const dt = Math.min((now - this.camera.lastTime) / 1000, 0.05);
+    this.camera.lastTime = now;
+    this.updateCamera(focus, dt);
+    
+    this.renderSky(ctx);
+    this.renderGround(ctx);
+    this.renderSprites(ctx, race, ghosts);
+  },
+  
+  // Read the track texture back once per track so the ground can be
+  // sampled texel by texel
+  setTrack(track) {
+    const { canvas, rect } = getTrackTexture(track);
+    const pixels = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+    this.track = track;
+    this.texels = new Uint32Array(pixels.data.buffer);
+    this.textureRect = rect;
+  },
+  
+  // The ground is rendered at low resolution for the viewport below the horizon
+  setSize(width, height) {
+    this.ground = document.createElement('canvas');
+    this.ground.width = width / MODE7.SCALE;
+    this.ground.height = (height - MODE7.HORIZON) / MODE7.SCALE;
+    this.groundImage = this.ground.getContext('2d').createImageData(this.ground.width, this.ground.height);
+  },
+  
+  snapCamera(kart) {
+    this.camera.angle = kart.drawAngle;
+    this.camera.x = kart.drawX - Math.cos(kart.drawAngle) * MODE7.CAMERA_DISTANCE;
+    this.camera.y = kart.drawY - Math.sin(kart.drawAngle) * MODE7.CAMERA_DISTANCE;
+    this.camera.lastTime = performance.now();
+  },
+  
+  updateCamera(kart, dt) {
+    // Ease the heading (the shortest way round) so drifts swing the view
+    let diff = kart.drawAngle - this.camera.angle;
+    while (diff > Math.PI) diff -= Math.PI * 2;
+    while (diff < -Math.PI) diff += Math.PI * 2;
+    this.camera.angle += diff * (1 - Math.exp(-MODE7.CAMERA_LAG * dt));
+    
+    this.camera.x = kart.drawX - Math.cos(this.camera.angle) * MODE7.CAMERA_DISTANCE;
+    this.camera.y = kart.drawY - Math.sin(this.camera.angle) * MODE7.CAMERA_DISTANCE;
+  },
+  
+  // World position to screen position and scale, or null when behind the
+  // camera or out of view
+  project(x, y) {
+    const cam = this.camera;
+    const cos = Math.cos(cam.angle);
+    const sin = Math.sin(cam.angle);
+    const dx = x - cam.x;
+    const dy = y - cam.y;
+    const depth = dx * cos + dy * sin;
+    if (depth < MODE7.NEAR || depth > MODE7.FAR) return null;
+    
+    const lateral = dy * cos - dx * sin;
+    const scale = MODE7.FOCAL / depth;
+    const sx = viewport.width / 2 + lateral * scale;
+    if (sx < -100 || sx > viewport.width + 100) return null;
+    
+    return { sx, sy: MODE7.HORIZON + MODE7.CAMERA_HEIGHT * scale, scale, depth };
+  },
+  
+  // ==========================================================================
+  // SKY
+  // ==========================================================================
+  
+  renderSky(ctx) {
+    if (!this.sky) this.sky = this.buildSky();
+    
+    const gradient = ctx.createLinearGradient(0, 0, 0, MODE7.HORIZON);
+    gradient.addColorStop(0, '#3A7BD5');
+    gradient.addColorStop(1, '#A8D8F0');
+    ctx.fillStyle = gradient;
+    ctx.fillRect(-10, -10, viewport.width + 20, MODE7.HORIZON + 10);
+    
+    // Far mountains turn once per lap of the heading, near hills twice as fast
+    const turn = this.camera.angle / (Math.PI * 2);
+    this.drawSkyLayer(ctx, this.sky.mountains, turn * MODE7.SKY_WIDTH);
+    this.drawSkyLayer(ctx, this.sky.hills, turn * MODE7.SKY_WIDTH * 2);
+  },
+  
+  drawSkyLayer(ctx, layer, offset) {
+    const width = layer.width;
+    let x = -(((offset % width) + width) % width);
+    for (; x < viewport.width; x += width) {
+      ctx.drawImage(layer, x, MODE7.HORIZON - layer.height);
+    }
+  },
+  
+  // Tileable silhouettes built from a few sine waves
+  buildSky() {
+    const layer = (height, color, waves) => {
+      const canvas = document.createElement('canvas');
+      canvas.width = MODE7.SKY_WIDTH;
+      canvas.height = height;
+      const ctx = canvas.getContext('2d');
+      ctx.fillStyle = color;
+      ctx.beginPath();
+      ctx.moveTo(0, height);
+      for (let x = 0; x <= canvas.width; x += 4) {
+        const t = (x / canvas.width) * Math.PI * 2;
+        let h = 0;
+        for (const [freq, amp, phase] of waves) h += Math.sin(t * freq + phase) * amp;
+        ctx.lineTo(x, height * 0.55 - h);
+      }
+      ctx.lineTo(canvas.width, height);
+      ctx.closePath();
+      ctx.fill();
+      return canvas;
+    };
+    
+    return {
+      mountains: layer(90, '#5D6D9E', [[3, 18, 0], [7, 10, 1.3], [13, 5, 0.4]]),
+      hills: layer(40, '#2E8B57', [[4, 6, 0.7], [9, 4, 2.1], [17, 2, 1]]),
+    };
+  },
+  
+  // ==========================================================================
+  // GROUND PLANE
+  // ==========================================================================
+  
+  renderGround(ctx) {
+    const texels = this.texels;
+    const { x: originX, y: originY, width: textureWidth, height: textureHeight } = this.textureRect;
+    const out = new Uint32Array(this.groundImage.data.buffer);
+    const width = this.ground.width;
+    const height = this.ground.height;
+    const cam = this.camera;
+    const cos = Math.cos(cam.angle);
+    const sin = Math.sin(cam.angle);
+    
+    for (let row = 0; row < height; row++) {
+      // Distance to the ground seen through the middle of this row
+      const screenY = (row + 0.5) * MODE7.SCALE;
+      const depth = MODE7.CAMERA_HEIGHT * MODE7.FOCAL / screenY;
+      const step = depth / MODE7.FOCAL * MODE7.SCALE;
+      
+      // Walk left to right across the row in world space
+      const halfSpan = depth / MODE7.FOCAL * (viewport.width / 2);
+      let wx = cam.x + cos * depth + sin * halfSpan;
+      let wy = cam.y + sin * depth - cos * halfSpan;
+      const stepX = -sin * step;
+      const stepY = cos * step;
+      
+      let index = row * width;
+      for (let col = 0; col < width; col++) {
+        const tx = Math.floor(wx - originX);
+        const ty = Math.floor(wy - originY);
+        if (tx >= 0 && ty >= 0 && tx < textureWidth && ty < textureHeight) {
+          out[index] = texels[ty * textureWidth + tx];
+        } else {
+          out[index] = OUTSIDE_COLORS[((wx >> 5) + (wy >> 5)) & 1];
+        }
+        index++;
+        wx += stepX;
+        wy += stepY;
+      }
+    }
+    
+    this.ground.getContext('2d').putImageData(this.groundImage, 0, 0);
+    ctx.imageSmoothingEnabled = false;
+    ctx.drawImage(this.ground, 0, MODE7.HORIZON, viewport.width, viewport.height - MODE7.HORIZON);
+    
+    // Haze hides the aliasing near the horizon
+    const haze = ctx.createLinearGradient(0, MODE7.HORIZON, 0, MODE7.HORIZON + 60);
+    haze.addColorStop(0, 'rgba(168, 216, 240, 0.9)');
+    haze.addColorStop(1, 'rgba(168, 216, 240, 0)');
+    ctx.fillStyle = haze;
+    ctx.fillRect(-10, MODE7.HORIZON, viewport.width + 20, 60);
+  },
+  
+  // ==========================================================================
+  // BILLBOARDS
+  // ==========================================================================
+  
+  renderSprites(ctx, race, ghosts) {
+    const sprites = [];
+    
+    for (const kart of [...race.karts, ...ghosts]) {
+      const view = this.project(kart.drawX, kart.drawY);
+      if (view) sprites.push({ view, draw: () => this.renderKart(ctx, kart, view, playerLabel(race, kart)) });
+    }
+    for (const powerUp of race.powerUps) {
+      if (!powerUp.active) continue;
+      const view = this.project(powerUp.x, powerUp.y);
+      if (view) sprites.push({ view, draw: () => this.renderPowerUp(ctx, powerUp, view) });
+    }
+    for (const coin of race.coins) {
+      if (!coin.active) continue;
+      const view = this.project(coin.drawX, coin.drawY);
+      if (view) sprites.push({ view, draw: () => this.renderCoin(ctx, coin, view) });
+    }
+    for (const hazard of race.hazards) {
+      const view = this.project(hazard.drawX, hazard.drawY);
+      if (view) sprites.push({ view, draw: () => this.renderHazard(ctx, hazard, view) });
+    }
+    for (const shot of race.projectiles) {
+      const view = this.project(shot.drawX, shot.drawY);
+      if (view) sprites.push({ view, draw: () => this.renderProjectile(ctx, shot, view) });
+    }
+    for (const particle of particles) {
+      if (!particle.active) continue;
+      const view = this.project(particle.x, particle.y);
+      if (view) sprites.push({ view, draw: () => this.renderParticle(ctx, particle, view) });
+    }
+    
+    // Painter's algorithm: farthest first
+    sprites.sort((a, b) => b.view.depth - a.view.depth);
+    for (const sprite of sprites) {
+      sprite.draw();
+    }
+  },
+  
+  renderKart(ctx, kart, { sx, sy, scale }, label = null) {
+    // Seen from behind the kart is narrow, side-on it is long
+    const relative = kart.drawAngle - this.camera.angle;
+    const facing = Math.abs(Math.cos(relative));
+    const width = (facing * kart.height + (1 - facing) * kart.width) * scale;
+    const lift = kart.z * scale;
+    const baseY = sy - lift;
+    
+    // Ghosts are see-through, popped karts faded out
+    const opacity = kart.opacity ?? (kart.popped ? 0.4 : 1);
+    ctx.globalAlpha = opacity;
+    
+    // Ground shadow
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.35)';
+    ctx.beginPath();
+    ctx.ellipse(sx, sy, width * 0.6, 3 * scale, 0, 0, Math.PI * 2);
+    ctx.fill();
+    
+    if (kart.flashTimer > 0 && Math.floor(kart.flashTimer * 10) % 2 === 0) {
+      ctx.globalAlpha = opacity * 0.5;
+    }
+    
+    // Wheels
+    ctx.fillStyle = '#2C2C2C';
+    ctx.fillRect(sx - width / 2 - scale, baseY - 5 * scale, 4 * scale, 5 * scale);
+    ctx.fillRect(sx + width / 2 - 3 * scale, baseY - 5 * scale, 4 * scale, 5 * scale);
+    
+    // Body
+    const bodyGradient = ctx.createLinearGradient(0, baseY - 10 * scale, 0, baseY - 2 * scale);
+    bodyGradient.addColorStop(0, lightenColor(kart.color, 30));
+    bodyGradient.addColorStop(1, kart.color);
+    ctx.fillStyle = bodyGradient;
+    ctx.fillRect(sx - width / 2, baseY - 10 * scale, width, 7 * scale);
+    ctx.strokeStyle = '#000000';
+    ctx.lineWidth = Math.max(1, scale * 0.5);
+    ctx.strokeRect(sx - width / 2, baseY - 10 * scale, width, 7 * scale);
+    
+    // Driver, leaning towards the way the kart points
+    const headX = sx + Math.sin(relative) * 3 * scale;
+    const headY = baseY - 14 * scale;
+    ctx.fillStyle = '#FFE4C4';
+    ctx.beginPath();
+    ctx.arc(headX, headY, 4 * scale, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.fillStyle = kart.color;
+    ctx.beginPath();
+    ctx.arc(headX, headY - scale, 4 * scale, Math.PI, 0);
+    ctx.fill();
+    
+    ctx.globalAlpha = 1;
+    
+    // Boost flames out of the back
+    if (kart.boosting && Math.cos(relative) > 0) {
+      const flameColors = ['#FF0000', '#FF6B35', '#FFD93D'];
+      for (let i = 0; i < 5; i++) {
+        ctx.fillStyle = flameColors[i % 3];
+        const size = (2 + Math.random() * 3) * scale;
+        const ox = (Math.random() - 0.5) * width * 0.6;
+        const oy = Math.random() * 4 * scale;
+        ctx.fillRect(sx + ox - size / 2, baseY - 4 * scale + oy, size, size);
+      }
+    }
+    
+    if (kart.shielded) {
+      const pulse = 0.5 + Math.sin(Date.now() / 80) * 0.3;
+      ctx.strokeStyle = `rgba(52, 152, 219, ${pulse})`;
+      ctx.lineWidth = 2 * scale;
+      ctx.beginPath();
+      ctx.arc(sx, baseY - 8 * scale, 14 * scale, 0, Math.PI * 2);
+      ctx.stroke();
+    }
+    
+    if (kart.slowed) {
+      ctx.fillStyle = `rgba(142, 68, 173, ${0.3 + Math.sin(Date.now() / 100) * 0.2})`;
+      ctx.beginPath();
+      ctx.arc(sx, baseY - 8 * scale, 12 * scale, 0, Math.PI * 2);
+      ctx.fill();
+    }
+    
+    renderBalloons(ctx, kart, sx, baseY - 20 * scale, scale * 0.8);
+    
+    // The other split-screen player's kart is tagged
+    if (label && kart !== this.camera.focus) {
+      renderPlayerLabel(ctx, label, sx, baseY - (kart.balloons > 0 ? 34 : 22) * scale);
+    }
+  },
+  
+  renderPowerUp(ctx, powerUp, { sx, sy, scale }) {
+    const size = powerUp.size * 0.6 * scale;
+    const y = sy - (10 + Math.sin(powerUp.bobOffset) * 3) * scale - size / 2;
+    
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.3)';
+    ctx.beginPath();
+    ctx.ellipse(sx, sy, size * 0.5, 2 * scale, 0, 0, Math.PI * 2);
+    ctx.fill();
+    
+    const boxGradient = ctx.createLinearGradient(sx - size / 2, y - size / 2, sx + size / 2, y + size / 2);
+    boxGradient.addColorStop(0, '#FFD700');
+    boxGradient.addColorStop(0.5, '#FFA500');
+    boxGradient.addColorStop(1, '#FF8C00');
+    ctx.fillStyle = boxGradient;
+    ctx.fillRect(sx - size / 2, y - size / 2, size, size);
+    
+    ctx.strokeStyle = '#8B4513';
+    ctx.lineWidth = Math.max(1, scale);
+    ctx.strokeRect(sx - size / 2, y - size / 2, size, size);
+    
+    ctx.fillStyle = '#FFFFFF';
+    ctx.font = `bold ${Math.max(6, Math.round(size * 0.65))}px Arial`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText('?', sx, y);
+  },
+  
+  renderProjectile(ctx, shot, { sx, sy, scale }) {
+    const radius = CONFIG.PROJECTILE_RADIUS * 0.7 * scale;
+    
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.3)';
+    ctx.beginPath();
+    ctx.ellipse(sx, sy, radius, 2 * scale, 0, 0, Math.PI * 2);
+    ctx.fill();
+    
+    renderShell(ctx, shot, sx, sy - radius - projectileLift(shot) * scale, radius);
+  },
+  
+  // Coins stand on their edge, spinning
+  renderCoin(ctx, coin, { sx, sy, scale }) {
+    const radius = CONFIG.COIN_RADIUS * 0.6 * scale;
+    
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.3)';
+    ctx.beginPath();
+    ctx.ellipse(sx, sy, radius, 2 * scale, 0, 0, Math.PI * 2);
+    ctx.fill();
+    
+    renderCoinShape(ctx, coin, sx, sy - (coin.z + 4) * scale - radius, scale * 0.6);
+  },
+  
+  // Oil lies flat on the road; peels and boxes stand up off it
+  renderHazard(ctx, hazard, { sx, sy, scale }) {
+    const lift = hazard.z * scale;
+    if (hazard.type === 'oil') {
+      ctx.save();
+      ctx.translate(sx, sy - lift);
+      ctx.scale(1, 0.3);
+      renderHazardShape(ctx, hazard, 0, 0, scale * 0.5);
+      ctx.restore();
+      return;
+    }
+    
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.3)';
+    ctx.beginPath();
+    ctx.ellipse(sx, sy, 6 * scale, 2 * scale, 0, 0, Math.PI * 2);
+    ctx.fill();
+    
+    const size = hazard.type === 'fakeBox' ? 8 * scale : 5 * scale;
+    renderHazardShape(ctx, hazard, sx, sy - lift - size, scale * 0.6);
+  },
+  
+  renderParticle(ctx, particle, { sx, sy, scale }) {
+    const size = particle.size * scale * 0.5;
+    ctx.globalAlpha = particle.life / particle.maxLife;
+    ctx.fillStyle = particle.color;
+    ctx.fillRect(sx - size / 2, sy - size - 2 * scale, size, size);
+    ctx.globalAlpha = 1;
+  }
+};
@@ -0,0 +1,513 @@
+/**
+ * ONLINE RACES
+ * Client side of server/relay.js. The server runs the real race and sends
+ * snapshots of it; in between, this client predicts its own kart by running
+ * the same simulation on its own inputs, and when a snapshot arrives it
+ * rewinds to it and replays the inputs the server hasn't applied yet. Every
+ * other kart is drawn a little in the past, blended between two snapshots,
+ * so it moves smoothly however unevenly the packets arrive.
+ */
+
+// ============================================================================
+// ONLINE RACE CLIENT
+// ============================================================================
+
+const NET_PROTOCOL = 1;
+const NET_NAME_KEY = 'retroKart.netName';
+const NET_INTERP_DELAY = 0.1;   // seconds other karts are drawn behind the server
+const NET_RESEND = 30;          // unacknowledged inputs repeated in every message
+const NET_HISTORY = 30;         // snapshots kept for interpolation
+
+const netGame = {
+  active: false,
+  socket: null,
+  lobby: null,        // the room as the server last described it
+  status: '',
+  results: null,      // standings of the last race in this room
+  
+  // During a race
+  race: null,
+  index: -1,          // our kart
+  seq: 0,
+  pending: [],        // inputs sent but not yet applied by the server: { seq, code }
+  remoteCodes: [],    // every player's input in the last snapshot
+  lastTick: 0,
+  history: [],        // kart poses by server tick: { tick, poses }
+  clockOffset: Infinity,
+  accumulator: 0,
+  lastTime: 0,
+  
+  open() {
+    this.active = true;
+    game.stop();
+    
+    document.getElementById('startScreen').style.display = 'none';
+    document.getElementById('netPanel').style.display = 'flex';
+    document.getElementById('netName').value = localStorage.getItem(NET_NAME_KEY) || '';
+    
+    this.setStatus(location.protocol === 'file:'
+      ? 'Start node server/relay.js and open the game from it to race online'
+      : 'Enter a room code to join friends, or leave it empty for a new room');
+    this.syncPanel();
+    setTimeout(resizeCanvas, 50);
+    
+    this.lastTime = performance.now();
+    requestAnimationFrame((t) => this.loop(t));
+  },
+  
+  close() {
+    this.disconnect();
+    this.active = false;
+    document.getElementById('netPanel').style.display = 'none';
+    document.getElementById('startScreen').style.display = 'flex';
+  },
+  
+  // ==========================================================================
+  // CONNECTION
+  // ==========================================================================
+  
+  connect() {
+    if (this.socket) return Promise.resolve();
+    
+    const scheme = location.protocol === 'https:' ? 'wss:' : 'ws:';
+    const socket = new WebSocket(`${scheme}//${location.host || 'localhost:8080'}/ws`);
+    this.socket = socket;
+    
+    socket.addEventListener('message', (e) => this.handleMessage(JSON.parse(e.data)));
+    socket.addEventListener('close', () => {
+      if (this.socket !== socket) return;
+      this.socket = null;
+      this.lobby = null;
+      this.race = null;
+      this.setStatus('Disconnected from the server');
+      this.syncPanel();
+    });
+    
+    return new Promise((resolve, reject) => {
+      socket.addEventListener('open', resolve);
+      socket.addEventListener('error', () => reject(new Error('Could not reach the server')));
+    });
+  },
+  
+  disconnect() {
+    const socket = this.socket;
+    this.socket = null;
+    this.lobby = null;
+    this.race = null;
+    this.results = null;
+    if (socket) socket.close();
+  },
+  
+  send(message) {
+    if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+      this.socket.send(JSON.stringify(message));
+    }
+  },
+  
+  async join() {
+    const name = document.getElementById('netName').value.trim() || 'Player';
+    const room = document.getElementById('netRoom').value.trim();
+    const driver = document.getElementById('netDriver').value;
+    localStorage.setItem(NET_NAME_KEY, name);
+    
+    try {
+      await game.ready;
+      await this.connect();
+      this.send({ type: 'join', protocol: NET_PROTOCOL, name, room, driver });
+    } catch (err) {
+      this.socket = null;
+      this.setStatus(err.message);
+    }
+  },
+  
+  leave() {
+    this.send({ type: 'leave' });
+    this.lobby = null;
+    this.race = null;
+    this.results = null;
+    this.syncPanel();
+  },
+  
+  handleMessage(message) {
+    switch (message.type) {
+      case 'lobby':
+        this.lobby = message;
+        document.getElementById('netRoom').value = message.room;
+        if (!message.racing) {
+          this.setStatus(this.isHost ? 'Start the race once everyone is ready' : 'Waiting for the host to start');
+        }
+        this.syncPanel();
+        break;
+      case 'start':
+        this.startRace(message);
+        break;
+      case 'snapshot':
+        if (this.race) this.applySnapshot(message);
+        break;
+      case 'results':
+        this.results = message.results;
+        this.race = null;
+        break;
+      case 'error':
+        this.setStatus(message.message);
+        break;
+    }
+  },
+  
+  get me() {
+    return this.lobby && this.lobby.players.find(p => p.id === this.lobby.you);
+  },
+  
+  get isHost() {
+    return Boolean(this.lobby) && this.lobby.host === this.lobby.you;
+  },
+  
+  // ==========================================================================
+  // PREDICTION AND RECONCILIATION
+  // ==========================================================================
+  
+  startRace(message) {
+    this.race = new Race(message.track, { ...message.options, seed: message.seed });
+    this.index = message.index;
+    this.seq = 0;
+    this.pending = [];
+    this.remoteCodes = [];
+    this.lastTick = 0;
+    this.history = [];
+    this.clockOffset = Infinity;
+    this.accumulator = 0;
+    this.results = null;
+    
+    particles.length = 0;
+    viewport.width = CONFIG.WIDTH;
+    viewport.height = CONFIG.HEIGHT;
+    camera.snap(this.kart, this.race.track);
+    this.setStatus(`Racing in room ${this.lobby.room}`);
+    this.syncPanel();
+  },
+  
+  get kart() {
+    return this.race.karts[this.index];
+  },
+  
+  // Everyone's inputs for one step: ours, and the others' as last seen
+  stepInputs(code) {
+    const inputs = this.remoteCodes.map(c => (c === null ? undefined : decodeInput(c)));
+    inputs[this.index] = decodeInput(code);
+    return inputs;
+  },
+  
+  // One step of our own driving, predicted here and sent to the server
+  // along with every input it hasn't acknowledged yet
+  predict(input) {
+    const code = encodeInput(input);
+    this.pending.push({ seq: ++this.seq, code });
+    
+    screenShake.update(CONFIG.SIM_STEP);
+    this.race.step(this.stepInputs(code));
+    updateParticles(CONFIG.SIM_STEP);
+    
+    this.send({ type: 'input', inputs: this.pending.slice(-NET_RESEND).map(p => [p.seq, p.code]) });
+  },
+  
+  // Rewind to the server's race and replay what it hasn't seen yet. Effects
+  // already played when those steps were first predicted, so they're muted.
+  applySnapshot(message) {
+    if (message.tick <= this.lastTick) return;
+    this.lastTick = message.tick;
+    this.remoteCodes = message.inputs;
+    this.pending = this.pending.filter(p => p.seq > message.ack);
+    
+    const now = performance.now();
+    this.clockOffset = Math.min(this.clockOffset, now - message.tick * CONFIG.SIM_STEP * 1000);
+    this.history.push({
+      tick: message.tick,
+      poses: message.state.karts.map(k => ({ x: k.x, y: k.y, angle: k.angle })),
+    });
+    if (this.history.length > NET_HISTORY) this.history.shift();
+    
+    const effects = { ...fx };
+    for (const key of Object.keys(fx)) fx[key] = () => {};
+    
+    this.race.setState(message.state);
+    for (const { code } of this.pending) {
+      this.race.step(this.stepInputs(code));
+    }
+    
+    Object.assign(fx, effects);
+  },
+  
+  // Every kart but ours where the server had it NET_INTERP_DELAY ago
+  interpolateRemote() {
+    if (this.history.length === 0) return;
+    
+    const now = performance.now();
+    const tick = (now - this.clockOffset) / (CONFIG.SIM_STEP * 1000) - NET_INTERP_DELAY / CONFIG.SIM_STEP;
+    let from = this.history[0];
+    let to = from;
+    for (const entry of this.history) {
+      to = entry;
+      if (entry.tick >= tick) break;
+      from = entry;
+    }
+    const t = to.tick > from.tick ? Math.max(0, Math.min(1, (tick - from.tick) / (to.tick - from.tick))) : 1;
+    
+    this.race.karts.forEach((kart, i) => {
+      if (i === this.index) return;
+      const a = from.poses[i];
+      const b = to.poses[i];
+      let turn = b.angle - a.angle;
+      while (turn > Math.PI) turn -= Math.PI * 2;
+      while (turn < -Math.PI) turn += Math.PI * 2;
+      
+      kart.drawX = a.x + (b.x - a.x) * t;
+      kart.drawY = a.y + (b.y - a.y) * t;
+      kart.drawAngle = a.angle + turn * t;
+    });
+  },
+  
+  // ==========================================================================
+  // PANEL
+  // ==========================================================================
+  
+  setStatus(text) {
+    this.status = text;
+    document.getElementById('netStatus').textContent = text;
+  },
+  
+  // Mirror the room into the panel controls: the host picks the mode and
+  // track, everyone else can only get ready
+  syncPanel() {
+    const lobby = this.lobby;
+    const inLobby = Boolean(lobby) && !lobby.racing && !this.race;
+    const modeSelect = document.getElementById('netMode');
+    const trackSelect = document.getElementById('netTrack');
+    
+    document.getElementById('netJoin').disabled = Boolean(lobby);
+    document.getElementById('netRoom').disabled = Boolean(lobby);
+    document.getElementById('netDriver').disabled = Boolean(lobby);
+    document.getElementById('netReady').disabled = !inLobby || this.isHost;
+    document.getElementById('netStart').disabled = !inLobby || !this.isHost;
+    modeSelect.disabled = !inLobby || !this.isHost;
+    trackSelect.disabled = !inLobby || !this.isHost;
+    document.getElementById('netExit').textContent = lobby ? '✖ Leave room' : '✖ Exit (ESC)';
+    
+    const me = this.me;
+    document.getElementById('netReady').textContent = me && me.ready ? '⏳ Not ready' : '✅ Ready';
+    
+    const mode = lobby ? lobby.mode : modeSelect.value;
+    modeSelect.value = mode;
+    const tracks = game.trackList.filter(entry => Boolean(entry.arena) === (mode === 'battle'));
+    trackSelect.innerHTML = '';
+    for (const entry of tracks) {
+      const option = document.createElement('option');
+      option.value = entry.id;
+      option.textContent = entry.name;
+      trackSelect.appendChild(option);
+    }
+    if (lobby) trackSelect.value = lobby.track;
+  },
+  
+  // Host only: a mode change takes that mode's first track
+  sendSettings(changed) {
+    const mode = document.getElementById('netMode').value;
+    let track = document.getElementById('netTrack').value;
+    if (changed === 'mode') {
+      track = game.trackList.find(entry => Boolean(entry.arena) === (mode === 'battle')).id;
+    }
+    this.send({ type: 'settings', mode, track });
+  },
+  
+  // ==========================================================================
+  // LOOP AND RENDERING
+  // ==========================================================================
+  
+  loop(currentTime) {
+    if (!this.active) return;
+    
+    const frameTime = Math.min((currentTime - this.lastTime) / 1000, CONFIG.MAX_FRAME_TIME);
+    this.lastTime = currentTime;
+    
+    if (this.race) {
+      this.accumulator += frameTime;
+      while (this.accumulator >= CONFIG.SIM_STEP) {
+        this.accumulator -= CONFIG.SIM_STEP;
+        this.predict(readInputs(1)[0]);
+      }
+      
+      const alpha = this.accumulator / CONFIG.SIM_STEP;
+      this.kart.interpolate(alpha);
+      for (const shot of this.race.projectiles) {
+        shot.interpolate(alpha);
+      }
+      for (const hazard of this.race.hazards) {
+        hazard.interpolate(alpha);
+      }
+      for (const coin of this.race.coins) {
+        coin.interpolate(alpha);
+      }
+      this.interpolateRemote();
+      camera.update(frameTime, this.kart, this.race.track);
+    }
+    
+    this.render(game.ctx);
+    requestAnimationFrame((t) => this.loop(t));
+  },
+  
+  render(ctx) {
+    if (this.race) {
+      game.renderScene(this.race, this.kart);
+      if (this.kart.finished) {
+        renderFinish(ctx, this.race, this.kart, null, 'Waiting for the other racers…');
+      }
+      return;
+    }
+    
+    ctx.fillStyle = '#1a1a2e';
+    ctx.fillRect(0, 0, CONFIG.WIDTH, CONFIG.HEIGHT);
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    
+    if (!this.lobby) {
+      ctx.fillStyle = '#FFD700';
+      ctx.font = 'bold 36px system-ui, sans-serif';
+      ctx.fillText('ONLINE RACE', CONFIG.WIDTH / 2, CONFIG.HEIGHT / 2 - 30);
+      ctx.fillStyle = '#a0a0a0';
+      ctx.font = 'bold 18px system-ui, sans-serif';
+      ctx.fillText(this.status, CONFIG.WIDTH / 2, CONFIG.HEIGHT / 2 + 20);
+      return;
+    }
+    
+    this.renderLobby(ctx);
+  },
+  
+  // Who's in the room, and how the last race went
+  renderLobby(ctx) {
+    const lobby = this.lobby;
+    const left = this.results ? 60 : CONFIG.WIDTH / 2 - 190;
+    
+    ctx.fillStyle = '#FFD700';
+    ctx.font = 'bold 36px system-ui, sans-serif';
+    ctx.fillText(`ROOM ${lobby.room}`, CONFIG.WIDTH / 2, 60);
+    
+    const entry = game.trackList.find(t => t.id === lobby.track);
+    ctx.fillStyle = '#FFFFFF';
+    ctx.font = 'bold 18px system-ui, sans-serif';
+    const mode = lobby.mode === 'battle' ? 'BALLOON BATTLE' : 'RACE';
+    ctx.fillText(`${mode} · ${entry ? entry.name.toUpperCase() : lobby.track}`, CONFIG.WIDTH / 2, 100);
+    
+    lobby.players.forEach((player, i) => {
+      const y = 160 + i * 48;
+      
+      ctx.fillStyle = 'rgba(26, 26, 46, 0.9)';
+      ctx.strokeStyle = player.id === lobby.you ? '#e94560' : 'rgba(233, 69, 96, 0.4)';
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.roundRect(left, y - 19, 380, 38, 8);
+      ctx.fill();
+      ctx.stroke();
+      
+      ctx.fillStyle = player.color;
+      ctx.fillRect(left + 16, y - 9, 24, 18);
+      ctx.strokeStyle = '#000000';
+      ctx.strokeRect(left + 16, y - 9, 24, 18);
+      
+      ctx.textAlign = 'left';
+      ctx.fillStyle = '#FFFFFF';
+      ctx.font = 'bold 18px system-ui, sans-serif';
+      const you = player.id === lobby.you ? ' (you)' : '';
+      ctx.fillText(`${player.name}${you}`, left + 54, y);
+      ctx.fillStyle = '#a0a0a0';
+      ctx.font = 'bold 13px system-ui, sans-serif';
+      ctx.fillText(player.driver, left + 200, y);
+      ctx.fillStyle = '#FFFFFF';
+      ctx.font = 'bold 18px system-ui, sans-serif';
+      
+      ctx.textAlign = 'right';
+      const state = player.id === lobby.host ? '👑 HOST' : player.ready ? '✅ READY' : '⏳';
+      ctx.fillText(lobby.racing ? '🏎️' : state, left + 364, y);
+      ctx.textAlign = 'center';
+    });
+    
+    if (this.results) {
+      this.renderResults(ctx, CONFIG.WIDTH - 320);
+    }
+    
+    ctx.fillStyle = '#a0a0a0';
+    ctx.font = 'bold 16px system-ui, sans-serif';
+    ctx.fillText(lobby.racing ? 'A race is on: you can join the next one' : this.status, CONFIG.WIDTH / 2, CONFIG.HEIGHT - 40);
+  },
+  
+  renderResults(ctx, left) {
+    ctx.textAlign = 'left';
+    ctx.fillStyle = '#FFD700';
+    ctx.font = 'bold 18px system-ui, sans-serif';
+    ctx.fillText('LAST RACE', left, 160);
+    
+    // Battles have no coins to show
+    const coins = this.results.some(result => result.coins > 0);
+    ctx.font = 'bold 16px system-ui, sans-serif';
+    this.results.forEach((result, i) => {
+      const y = 196 + i * 30;
+      ctx.textAlign = 'left';
+      ctx.fillStyle = ['#FFD700', '#C0C0C0', '#CD7F32'][i] || '#FFFFFF';
+      ctx.fillText(`${ordinal(result.position)}  ${result.name}`, left, y);
+      ctx.textAlign = 'right';
+      if (coins) {
+        ctx.fillStyle = '#FFD700';
+        ctx.fillText(`×${result.coins}`, left + 170, y);
+      }
+      ctx.fillStyle = '#a0a0a0';
+      ctx.fillText(result.time === null ? '—' : formatTime(result.time), left + 260, y);
+    });
+    ctx.textAlign = 'center';
+  },
+};
+
+// ============================================================================
+// ONLINE PANEL INPUT
+// ============================================================================
+
+function initNetPanel() {
+  const panel = document.getElementById('netPanel');
+  if (!panel) return;
+  
+  panel.addEventListener('click', (e) => {
+    if (e.target.tagName === 'BUTTON') e.target.blur();
+  });
+  
+  document.getElementById('netJoin').addEventListener('click', () => netGame.join());
+  document.getElementById('netReady').addEventListener('click', () => {
+    const me = netGame.me;
+    netGame.send({ type: 'ready', ready: !(me && me.ready) });
+  });
+  document.getElementById('netStart').addEventListener('click', () => netGame.send({ type: 'start' }));
+  document.getElementById('netMode').addEventListener('change', () => netGame.sendSettings('mode'));
+  document.getElementById('netTrack').addEventListener('change', () => netGame.sendSettings('track'));
+  document.getElementById('netExit').addEventListener('click', () => {
+    if (netGame.lobby) {
+      netGame.leave();
+    } else {
+      netGame.close();
+    }
+  });
+  
+  window.addEventListener('keydown', (e) => {
+    if (netGame.active && e.code === 'Escape') netGame.close();
+  });
+}
+
+function openOnline() {
+  game.ready.then(() => netGame.open());
+}
+
+if (typeof window !== 'undefined') {
+  // Make openOnline globally accessible
+  window.openOnline = openOnline;
+  
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initNetPanel);
+  } else {
+    initNetPanel();
+  }
+}
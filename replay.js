@@ -0,0 +1,500 @@
+/**
+ * REPLAYS
+ * A replay is the track, the race seed and the players' controls for every
+ * simulation step. The race is deterministic, so the viewer rebuilds it by
+ * simulating those inputs again rather than storing kart positions.
+ */
+
+// ============================================================================
+// REPLAY FORMAT
+// ============================================================================
+
+const REPLAY_FORMAT = 'retro-kart-replay';
+const REPLAY_VERSION = 2;
+const REPLAY_KEY = 'retroKart.lastReplay';
+
+// One bit per button, in this order; append new buttons at the end so old
+// replays still decode
+const INPUT_BUTTONS = ['up', 'down', 'left', 'right', 'drift', 'useItem'];
+
+// Analog steering (touch joystick) is stored in this many steps
+const STEER_LEVELS = 16;
+
+// Pack one step's input into a small integer: the button bits, then the
+// steering level above them
+function encodeInput(input) {
+  let code = 0;
+  INPUT_BUTTONS.forEach((button, i) => {
+    if (input[button]) code |= 1 << i;
+  });
+  const steer = Math.round(Math.max(0, Math.min(1, input.steer)) * STEER_LEVELS);
+  return code | (steer << INPUT_BUTTONS.length);
+}
+
+function decodeInput(code) {
+  const input = {};
+  INPUT_BUTTONS.forEach((button, i) => {
+    input[button] = (code & (1 << i)) !== 0;
+  });
+  input.steer = (code >> INPUT_BUTTONS.length) / STEER_LEVELS;
+  return input;
+}
+
+/**
+ * Inputs are held for many steps at a time, so the file stores them
+ * run-length encoded as [code, steps] pairs. A step's code is a single
+ * number with one human and an array of codes, in player order, with
+ * several (version 2; version 1 files are all single-player). `version`
+ * is the file layout; `sim` is the CONFIG.SIM_VERSION of the race rules
+ * it was recorded under, and a replay only plays back under the same
+ * rules:
+ *
+ * {
+ *   "format": "retro-kart-replay",
+ *   "version": 2,
+ *   "sim": 1,
+ *   "seed": 123456789,
+ *   "options": { ...Race options other than the seed },
+ *   "track": { ...track JSON, see class Track },
+ *   "steps": 5400,
+ *   "inputs": [[0, 180], [1, 95], [5, 12], ...]
+ * }
+ */
+class Replay {
+  // `options` are the Race options besides the seed (racers, items...)
+  constructor(trackData, seed, options = {}, codes = []) {
+    this.track = trackData;
+    this.seed = seed;
+    this.options = options;
+    this.codes = codes;
+  }
+  
+  // Number of simulation steps recorded
+  get length() {
+    return this.codes.length;
+  }
+  
+  // Append this step's inputs, one per human. Returns them as they will
+  // play back (steering is quantized), which is what the live race must be
+  // given.
+  record(inputs) {
+    const codes = inputs.map(encodeInput);
+    this.codes.push(codes.length === 1 ? codes[0] : codes);
+    return codes.map(decodeInput);
+  }
+  
+  inputsAt(step) {
+    const code = this.codes[step] || 0;
+    return (Array.isArray(code) ? code : [code]).map(decodeInput);
+  }
+  
+  toJSON() {
+    const inputs = [];
+    for (const code of this.codes) {
+      const last = inputs[inputs.length - 1];
+      // Codes may be arrays, so compare them as text
+      if (last && String(last[0]) === String(code)) {
+        last[1]++;
+      } else {
+        inputs.push([code, 1]);
+      }
+    }
+    return {
+      format: REPLAY_FORMAT,
+      version: REPLAY_VERSION,
+      sim: CONFIG.SIM_VERSION,
+      seed: this.seed,
+      options: this.options,
+      track: this.track,
+      steps: this.codes.length,
+      inputs,
+    };
+  }
+  
+  static fromJSON(data) {
+    if (!data || data.format !== REPLAY_FORMAT) {
+      throw new Error('Not a replay file');
+    }
+    if (data.version > REPLAY_VERSION) {
+      throw new Error(`Replay version ${data.version} is newer than this game`);
+    }
+    // The same inputs would drive a different race under other rules
+    if (data.sim !== CONFIG.SIM_VERSION) {
+      throw new Error('Replay was recorded with a different version of the race rules');
+    }
+    
+    const codes = [];
+    for (const [code, steps] of data.inputs) {
+      for (let i = 0; i < steps; i++) codes.push(code);
+    }
+    return new Replay(data.track, data.seed, data.options || {}, codes);
+  }
+  
+  // The last race is kept in localStorage for the viewer
+  save() {
+    if (this.codes.length === 0) return;
+    try {
+      localStorage.setItem(REPLAY_KEY, JSON.stringify(this));
+    } catch (e) {
+      // Storage full or disabled: the race just isn't kept
+    }
+  }
+  
+  static loadLast() {
+    try {
+      const json = localStorage.getItem(REPLAY_KEY);
+      return json ? Replay.fromJSON(JSON.parse(json)) : null;
+    } catch (e) {
+      return null;
+    }
+  }
+}
+
+// ============================================================================
+// REPLAY VIEWER
+// ============================================================================
+
+const REPLAY_SPEEDS = [0.25, 0.5, 1, 2, 4];
+
+const replayViewer = {
+  active: false,
+  replay: null,
+  race: null,
+  track: null,
+  focusIndex: 0,
+  playing: false,
+  speed: 1,
+  accumulator: 0,
+  lastTime: 0,
+  
+  open(replay) {
+    this.active = true;
+    game.stop();
+    
+    document.getElementById('startScreen').style.display = 'none';
+    document.getElementById('replayPanel').style.display = 'flex';
+    
+    this.load(replay);
+    setTimeout(resizeCanvas, 50);
+    
+    this.lastTime = performance.now();
+    requestAnimationFrame((t) => this.loop(t));
+  },
+  
+  close() {
+    this.active = false;
+    this.playing = false;
+    document.getElementById('replayPanel').style.display = 'none';
+    document.getElementById('startScreen').style.display = 'flex';
+  },
+  
+  load(replay) {
+    this.replay = replay;
+    this.race = null;
+    this.track = replay ? new Track(replay.track) : null;
+    this.focusIndex = 0;
+    
+    if (replay) {
+      this.restart();
+      this.playing = true;
+    }
+    this.syncPanel();
+  },
+  
+  // Back to the grid; every later frame is simulated again from here
+  restart() {
+    this.race = new Race(this.track, { ...this.replay.options, seed: this.replay.seed });
+    this.accumulator = 0;
+    particles.length = 0;
+    
+    // Split-screen races play back one kart at a time on the whole screen
+    viewport.width = CONFIG.WIDTH;
+    viewport.height = CONFIG.HEIGHT;
+    camera.snap(this.focus, this.track);
+  },
+  
+  get focus() {
+    return this.race.karts[this.focusIndex];
+  },
+  
+  // Advance one recorded step. Returns false at the end of the recording.
+  step() {
+    if (this.race.tick >= this.replay.length) return false;
+    
+    screenShake.update(CONFIG.SIM_STEP);
+    this.race.step(this.replay.inputsAt(this.race.tick));
+    updateParticles(CONFIG.SIM_STEP);
+    return true;
+  },
+  
+  // Jump to a step. Going backwards has to replay from the start.
+  seek(tick) {
+    tick = Math.max(0, Math.min(tick, this.replay.length));
+    if (tick < this.race.tick) {
+      this.restart();
+    }
+    while (this.race.tick < tick && this.step()) {
+      // simulate forward
+    }
+    
+    for (const kart of this.race.karts) {
+      kart.interpolate(1);
+    }
+    for (const shot of this.race.projectiles) {
+      shot.interpolate(1);
+    }
+    for (const hazard of this.race.hazards) {
+      hazard.interpolate(1);
+    }
+    for (const coin of this.race.coins) {
+      coin.interpolate(1);
+    }
+    camera.snap(this.focus, this.track);
+  },
+  
+  stepBy(steps) {
+    if (!this.replay) return;
+    this.playing = false;
+    this.seek(this.race.tick + steps);
+    this.syncPanel();
+  },
+  
+  togglePlay() {
+    if (!this.replay) return;
+    // Play from the top again once the recording has run out
+    if (!this.playing && this.race.tick >= this.replay.length) {
+      this.restart();
+    }
+    this.playing = !this.playing;
+    this.syncPanel();
+  },
+  
+  setFocus(index) {
+    this.focusIndex = index;
+    camera.snap(this.focus, this.track);
+  },
+  
+  download() {
+    if (!this.replay) return;
+    const json = JSON.stringify(this.replay);
+    const blob = new Blob([json + '\n'], { type: 'application/json' });
+    const name = (this.replay.track.name || 'race').toLowerCase().replace(/[^a-z0-9]+/g, '-');
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `replay-${name}-${this.replay.seed}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  },
+  
+  async importFile(file) {
+    try {
+      this.load(Replay.fromJSON(JSON.parse(await file.text())));
+    } catch (err) {
+      alert(`Could not open replay: ${err.message}`);
+    }
+  },
+  
+  // Mirror the viewer state into the panel controls
+  syncPanel() {
+    const scrub = document.getElementById('replayScrub');
+    const playBtn = document.getElementById('replayPlay');
+    const focusSelect = document.getElementById('replayFocus');
+    
+    playBtn.textContent = this.playing ? '⏸ Pause' : '▶️ Play';
+    document.getElementById('replaySpeed').value = String(this.speed);
+    
+    if (!this.race) {
+      scrub.max = 0;
+      scrub.value = 0;
+      focusSelect.innerHTML = '';
+      return;
+    }
+    
+    scrub.max = this.replay.length;
+    scrub.value = this.race.tick;
+    
+    if (focusSelect.options.length !== this.race.karts.length) {
+      focusSelect.innerHTML = '';
+      this.race.karts.forEach((kart, i) => {
+        const option = document.createElement('option');
+        option.value = i;
+        option.textContent = kart.name;
+        focusSelect.appendChild(option);
+      });
+    }
+    focusSelect.value = String(this.focusIndex);
+  },
+  
+  // ==========================================================================
+  // PLAYBACK LOOP
+  // ==========================================================================
+  
+  loop(currentTime) {
+    if (!this.active) return;
+    
+    const frameTime = Math.min((currentTime - this.lastTime) / 1000, CONFIG.MAX_FRAME_TIME);
+    this.lastTime = currentTime;
+    
+    if (this.race) {
+      if (this.playing) {
+        this.accumulator += frameTime * this.speed;
+        while (this.accumulator >= CONFIG.SIM_STEP) {
+          this.accumulator -= CONFIG.SIM_STEP;
+          if (!this.step()) {
+            this.playing = false;
+            this.accumulator = 0;
+            break;
+          }
+        }
+        this.syncPanel();
+      }
+      
+      const alpha = this.accumulator / CONFIG.SIM_STEP;
+      for (const kart of this.race.karts) {
+        kart.interpolate(alpha);
+      }
+      for (const shot of this.race.projectiles) {
+        shot.interpolate(alpha);
+      }
+      for (const hazard of this.race.hazards) {
+        hazard.interpolate(alpha);
+      }
+      for (const coin of this.race.coins) {
+        coin.interpolate(alpha);
+      }
+      camera.update(frameTime, this.focus, this.track);
+    }
+    
+    this.render(game.ctx);
+    requestAnimationFrame((t) => this.loop(t));
+  },
+  
+  render(ctx) {
+    if (!this.race) {
+      ctx.fillStyle = '#1a1a2e';
+      ctx.fillRect(0, 0, CONFIG.WIDTH, CONFIG.HEIGHT);
+      ctx.fillStyle = '#a0a0a0';
+      ctx.font = 'bold 18px system-ui, sans-serif';
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.fillText('No replay yet: finish a race or open a replay file', CONFIG.WIDTH / 2, CONFIG.HEIGHT / 2);
+      return;
+    }
+    
+    game.renderScene(this.race, this.focus);
+    
+    // Replay badge with the playback state
+    const label = this.playing ? `▶ REPLAY ${this.speed}x` : '⏸ REPLAY';
+    ctx.fillStyle = 'rgba(26, 26, 46, 0.85)';
+    ctx.strokeStyle = '#e94560';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.roundRect(CONFIG.WIDTH / 2 - 80, 10, 160, 44, 8);
+    ctx.fill();
+    ctx.stroke();
+    
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'alphabetic';
+    ctx.fillStyle = '#e94560';
+    ctx.font = 'bold 15px system-ui, sans-serif';
+    ctx.fillText(label, CONFIG.WIDTH / 2, 29);
+    ctx.fillStyle = '#FFFFFF';
+    ctx.font = '12px system-ui, sans-serif';
+    ctx.fillText(`${this.focus.name} · step ${this.race.tick}/${this.replay.length}`, CONFIG.WIDTH / 2, 46);
+  },
+};
+
+// ============================================================================
+// REPLAY VIEWER INPUT
+// ============================================================================
+
+function initReplayViewer() {
+  const panel = document.getElementById('replayPanel');
+  if (!panel) return;
+  
+  // Drop focus after a click so SPACE and the arrows drive the viewer
+  // instead of pressing the button again
+  panel.addEventListener('click', (e) => {
+    if (e.target.tagName === 'BUTTON') e.target.blur();
+  });
+  
+  document.getElementById('replayRestart').addEventListener('click', () => {
+    if (replayViewer.replay) replayViewer.stepBy(-replayViewer.race.tick);
+  });
+  document.getElementById('replayBack').addEventListener('click', () => replayViewer.stepBy(-1));
+  document.getElementById('replayPlay').addEventListener('click', () => replayViewer.togglePlay());
+  document.getElementById('replayForward').addEventListener('click', () => replayViewer.stepBy(1));
+  
+  const speedSelect = document.getElementById('replaySpeed');
+  for (const speed of REPLAY_SPEEDS) {
+    const option = document.createElement('option');
+    option.value = String(speed);
+    option.textContent = `${speed}x`;
+    speedSelect.appendChild(option);
+  }
+  speedSelect.addEventListener('change', () => {
+    replayViewer.speed = Number(speedSelect.value);
+  });
+  
+  document.getElementById('replayScrub').addEventListener('input', (e) => {
+    if (!replayViewer.replay) return;
+    replayViewer.playing = false;
+    replayViewer.seek(Number(e.target.value));
+    replayViewer.syncPanel();
+  });
+  
+  document.getElementById('replayFocus').addEventListener('change', (e) => {
+    replayViewer.setFocus(Number(e.target.value));
+  });
+  
+  const fileInput = document.getElementById('replayFile');
+  document.getElementById('replayOpen').addEventListener('click', () => fileInput.click());
+  fileInput.addEventListener('change', () => {
+    if (fileInput.files[0]) replayViewer.importFile(fileInput.files[0]);
+    fileInput.value = '';
+  });
+  
+  document.getElementById('replayDownload').addEventListener('click', () => replayViewer.download());
+  document.getElementById('replayExit').addEventListener('click', () => replayViewer.close());
+  
+  window.addEventListener('keydown', (e) => {
+    // R on the finish screen watches the race that just ended
+    if (e.code === 'KeyR' && game.running && game.playersFinished) {
+      game.replay.save();
+      replayViewer.open(game.replay);
+      return;
+    }
+    
+    if (!replayViewer.active || e.target.tagName === 'INPUT' || e.target.tagName === 'SELECT') return;
+    switch (e.code) {
+      case 'Space':
+        replayViewer.togglePlay(); break;
+      case 'ArrowLeft':
+        replayViewer.stepBy(e.shiftKey ? -60 : -1); break;
+      case 'ArrowRight':
+        replayViewer.stepBy(e.shiftKey ? 60 : 1); break;
+      case 'Escape':
+        replayViewer.close(); break;
+    }
+  });
+}
+
+function openReplays() {
+  game.ready.then(() => replayViewer.open(Replay.loadLast()));
+}
+
+if (typeof window !== 'undefined') {
+  // Make openReplays globally accessible
+  window.openReplays = openReplays;
+  
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initReplayViewer);
+  } else {
+    initReplayViewer();
+  }
+}
+
+// Export for Node; in the browser these are globals
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { Replay, encodeInput, decodeInput };
+}
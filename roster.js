@@ -0,0 +1,339 @@
+/**
+ * DRIVER ROSTER
+ * The drivers from data/roster.json and the character select shown before
+ * a race. Every driver rates weight, acceleration, handling, top speed and
+ * drift from 1 to 5 (see kartStats in sim.js for what each point does)
+ * and has a personality for when the CPU drives it (PERSONALITIES in
+ * sim.js). Players pick theirs; CPU drivers fill the rest of the grid.
+ */
+
+// ============================================================================
+// ROSTER
+// ============================================================================
+
+const roster = {
+  drivers: [],
+  ready: null,
+  cpuOrder: [],     // driver ids in the order CPU karts are picked
+  
+  load() {
+    this.ready = fetchJSON(CONFIG.ROSTER_URL).then((drivers) => {
+      this.drivers = drivers;
+      this.cpuOrder = drivers.map(d => d.id);
+      
+      const select = document.getElementById('netDriver');
+      if (select) {
+        select.innerHTML = '';
+        for (const driver of drivers) {
+          const option = document.createElement('option');
+          option.value = driver.id;
+          option.textContent = driver.name;
+          select.appendChild(option);
+        }
+        select.value = this.find(settings.drivers[0]) ? settings.drivers[0] : drivers[0].id;
+      }
+    });
+  },
+  
+  find(id) {
+    return this.drivers.find(d => d.id === id) || null;
+  },
+  
+  // A different set of CPU rivals for every character select
+  shuffleCpus() {
+    const order = this.drivers.map(d => d.id);
+    for (let i = order.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [order[i], order[j]] = [order[j], order[i]];
+    }
+    this.cpuOrder = order;
+  },
+  
+  // Racers for `humans` players in grid order: their picks (or the first
+  // free driver for anyone who hasn't picked), then CPU drivers up to a
+  // full grid of four. Until the roster loads this is the default grid.
+  lineup(humans) {
+    if (this.drivers.length === 0) return RACERS;
+    
+    const picks = [];
+    for (let i = 0; i < humans; i++) {
+      let driver = this.find(settings.drivers[i]);
+      if (!driver || picks.includes(driver)) {
+        driver = this.drivers.find(d => !picks.includes(d));
+      }
+      picks.push(driver);
+    }
+    const cpus = this.cpuOrder.map(id => this.find(id)).filter(d => !picks.includes(d));
+    return [...picks, ...cpus].slice(0, Math.max(RACERS.length, humans));
+  },
+};
+
+// ============================================================================
+// CHARACTER SELECT
+// ============================================================================
+
+const SELECT_COLUMNS = 4;
+const SELECT_CARD = { width: 180, height: 225, gap: 12, top: 80 };
+const SELECT_CURSOR_COLORS = ['#e94560', '#3B82F6'];   // P1, P2
+
+const STAT_LABELS = [
+  ['weight', 'WEIGHT'],
+  ['acceleration', 'ACCEL'],
+  ['handling', 'HANDLING'],
+  ['topSpeed', 'SPEED'],
+  ['drift', 'DRIFT'],
+];
+
+const characterSelect = {
+  active: false,
+  players: [],      // per human: { cursor, confirmed }
+  held: [],         // buttons each human held last frame, so a press moves one card
+  karts: [],        // a kart per driver to draw on its card
+  doneTimer: 0,
+  resolve: null,
+  lastTime: 0,
+  
+  // Let `humans` players pick their drivers. Resolves with the driver ids
+  // in player order (also remembered in the settings), or null if the
+  // players backed out to the menu.
+  async open(humans) {
+    await roster.ready;
+    if (roster.drivers.length === 0) return [];
+    
+    game.stop();
+    this.active = true;
+    roster.shuffleCpus();
+    
+    this.players = Array.from({ length: humans }, (_, i) => {
+      const index = roster.drivers.findIndex(d => d.id === settings.drivers[i]);
+      return { cursor: index >= 0 ? index : i, confirmed: false };
+    });
+    this.held = this.players.map(() => ({ left: true, right: true, up: true, down: true }));
+    this.karts = roster.drivers.map(d => new Kart(0, 0, -Math.PI / 2, d.color, false, d.name));
+    this.doneTimer = 0;
+    
+    // Drop the item press that may still be pending from the menu
+    readInputs(humans);
+    setTimeout(resizeCanvas, 50);
+    
+    this.lastTime = performance.now();
+    requestAnimationFrame((t) => this.loop(t));
+    return new Promise((resolve) => {
+      this.resolve = resolve;
+    });
+  },
+  
+  finish(picks) {
+    this.active = false;
+    if (picks) {
+      settings.drivers = picks;
+      settings.save();
+    }
+    this.resolve(picks);
+  },
+  
+  // Move a cursor, wrapping around the grid of cards
+  move(player, step) {
+    const count = roster.drivers.length;
+    player.cursor = (player.cursor + step + count) % count;
+  },
+  
+  // One driver per kart: a driver another player has locked in is taken
+  confirm(index) {
+    const player = this.players[index];
+    const taken = this.players.some((other, i) => i !== index && other.confirmed && other.cursor === player.cursor);
+    if (!taken) player.confirmed = true;
+  },
+  
+  update(dt) {
+    const inputs = readInputs(this.players.length);
+    
+    this.players.forEach((player, i) => {
+      const input = inputs[i];
+      const pressed = button => input[button] && !this.held[i][button];
+      
+      if (!player.confirmed) {
+        if (pressed('left')) this.move(player, -1);
+        if (pressed('right')) this.move(player, 1);
+        if (pressed('up')) this.move(player, -SELECT_COLUMNS);
+        if (pressed('down')) this.move(player, SELECT_COLUMNS);
+        if (input.useItem) this.confirm(i);
+      } else if (pressed('down')) {
+        // Brake to change your mind
+        player.confirmed = false;
+      }
+      this.held[i] = input;
+    });
+    
+    // A moment on the finished picks before the race loads
+    if (this.players.every(p => p.confirmed)) {
+      this.doneTimer += dt;
+      if (this.doneTimer > 0.5) {
+        this.finish(this.players.map(p => roster.drivers[p.cursor].id));
+      }
+    } else {
+      this.doneTimer = 0;
+    }
+  },
+  
+  loop(currentTime) {
+    if (!this.active) return;
+    
+    const frameTime = Math.min((currentTime - this.lastTime) / 1000, CONFIG.MAX_FRAME_TIME);
+    this.lastTime = currentTime;
+    
+    this.update(frameTime);
+    this.render(game.ctx);
+    
+    if (this.active) requestAnimationFrame((t) => this.loop(t));
+  },
+  
+  // Card for driver `i` in canvas coordinates
+  cardRect(i) {
+    const { width, height, gap, top } = SELECT_CARD;
+    const left = (CONFIG.WIDTH - SELECT_COLUMNS * width - (SELECT_COLUMNS - 1) * gap) / 2;
+    const col = i % SELECT_COLUMNS;
+    const row = Math.floor(i / SELECT_COLUMNS);
+    return { x: left + col * (width + gap), y: top + row * (height + gap), width, height };
+  },
+  
+  cardAt(x, y) {
+    return roster.drivers.findIndex((_, i) => {
+      const rect = this.cardRect(i);
+      return x >= rect.x && x <= rect.x + rect.width && y >= rect.y && y <= rect.y + rect.height;
+    });
+  },
+  
+  // ==========================================================================
+  // RENDERING
+  // ==========================================================================
+  
+  render(ctx) {
+    ctx.fillStyle = '#1a1a2e';
+    ctx.fillRect(0, 0, CONFIG.WIDTH, CONFIG.HEIGHT);
+    
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillStyle = '#FFD700';
+    ctx.font = 'bold 32px system-ui, sans-serif';
+    ctx.fillText(this.players.length > 1 ? 'CHOOSE YOUR DRIVERS' : 'CHOOSE YOUR DRIVER', CONFIG.WIDTH / 2, 42);
+    
+    roster.drivers.forEach((driver, i) => this.renderCard(ctx, driver, i));
+    
+    ctx.textAlign = 'center';
+    ctx.fillStyle = '#a0a0a0';
+    ctx.font = 'bold 15px system-ui, sans-serif';
+    ctx.fillText(this.prompt(), CONFIG.WIDTH / 2, CONFIG.HEIGHT - 28);
+  },
+  
+  prompt() {
+    if (isTouchDevice) return 'Tap a driver';
+    if (this.players.length > 1) {
+      return 'P1: W A S D + SPACE · P2: arrows + ENTER · brake to change your mind · ESC back';
+    }
+    return 'Arrows to choose · SPACE to confirm · ESC back';
+  },
+  
+  renderCard(ctx, driver, i) {
+    const rect = this.cardRect(i);
+    const centerX = rect.x + rect.width / 2;
+    const here = this.players.map((p, n) => (p.cursor === i ? n : -1)).filter(n => n >= 0);
+    
+    ctx.fillStyle = 'rgba(45, 45, 74, 0.9)';
+    ctx.strokeStyle = here.length ? SELECT_CURSOR_COLORS[here[0]] : 'rgba(233, 69, 96, 0.3)';
+    ctx.lineWidth = here.length ? 4 : 2;
+    ctx.beginPath();
+    ctx.roundRect(rect.x, rect.y, rect.width, rect.height, 10);
+    ctx.fill();
+    ctx.stroke();
+    
+    // Second player's cursor on the same card, just inside the first
+    if (here.length > 1) {
+      ctx.strokeStyle = SELECT_CURSOR_COLORS[here[1]];
+      ctx.beginPath();
+      ctx.roundRect(rect.x + 5, rect.y + 5, rect.width - 10, rect.height - 10, 7);
+      ctx.stroke();
+    }
+    
+    // The kart itself, blown up
+    ctx.save();
+    ctx.translate(centerX, rect.y + 48);
+    ctx.scale(2.5, 2.5);
+    renderKart(ctx, this.karts[i]);
+    ctx.restore();
+    
+    ctx.textAlign = 'center';
+    ctx.fillStyle = '#FFFFFF';
+    ctx.font = 'bold 18px system-ui, sans-serif';
+    ctx.fillText(driver.name.toUpperCase(), centerX, rect.y + 100);
+    
+    STAT_LABELS.forEach(([stat, label], row) => {
+      const y = rect.y + 128 + row * 19;
+      ctx.textAlign = 'left';
+      ctx.fillStyle = '#a0a0a0';
+      ctx.font = 'bold 11px system-ui, sans-serif';
+      ctx.fillText(label, rect.x + 14, y);
+      
+      for (let pip = 0; pip < 5; pip++) {
+        ctx.fillStyle = pip < (driver.stats[stat] ?? 3) ? driver.color : 'rgba(255, 255, 255, 0.15)';
+        ctx.fillRect(rect.x + 90 + pip * 15, y - 5, 12, 10);
+      }
+    });
+    
+    // How the driver races when the CPU has it
+    const personality = PERSONALITIES[driver.personality || 'balanced'];
+    ctx.textAlign = 'center';
+    ctx.fillStyle = '#a0a0a0';
+    ctx.font = 'italic 11px system-ui, sans-serif';
+    ctx.fillText(`CPU: ${personality.name}`, centerX, rect.y + 218);
+    
+    // Who's on this card, and whether they've locked it in
+    here.forEach((n, k) => {
+      const player = this.players[n];
+      const tag = `${this.players.length > 1 ? `P${n + 1}` : ''}${player.confirmed ? ' ✔' : ''}`.trim();
+      if (!tag) return;
+      ctx.textAlign = k === 0 ? 'left' : 'right';
+      ctx.fillStyle = SELECT_CURSOR_COLORS[n];
+      ctx.font = 'bold 14px system-ui, sans-serif';
+      ctx.fillText(tag, k === 0 ? rect.x + 12 : rect.x + rect.width - 12, rect.y + 18);
+    });
+  },
+};
+
+// ============================================================================
+// CHARACTER SELECT INPUT
+// ============================================================================
+
+function initCharacterSelect() {
+  const canvas = game.canvas;
+  
+  // Click or tap a card to pick it for player 1
+  canvas.addEventListener('pointerdown', (e) => {
+    if (!characterSelect.active) return;
+    const rect = canvas.getBoundingClientRect();
+    const card = characterSelect.cardAt(
+      (e.clientX - rect.left) * CONFIG.WIDTH / rect.width,
+      (e.clientY - rect.top) * CONFIG.HEIGHT / rect.height
+    );
+    const player = characterSelect.players[0];
+    if (card < 0 || player.confirmed) return;
+    player.cursor = card;
+    characterSelect.confirm(0);
+  });
+  
+  window.addEventListener('keydown', (e) => {
+    if (characterSelect.active && e.code === 'Escape') {
+      characterSelect.finish(null);
+    }
+  });
+}
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', () => {
+    roster.load();
+    initCharacterSelect();
+  });
+} else {
+  roster.load();
+  initCharacterSelect();
+}
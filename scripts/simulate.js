@@ -0,0 +1,106 @@
+/**
+ * HEADLESS RACE BATCH
+ * Runs all-AI races through sim.js with no browser and prints how often each
+ * racer wins, its average finishing position, its average race time and
+ * how many coins it ends with on average.
+ *
+ *   node scripts/simulate.js [--track oval] [--races 1000] [--seed 1]
+ *   node scripts/simulate.js --track arena --mode battle
+ *   node scripts/simulate.js --drivers mario,toad,wario,bowser
+ *   node scripts/simulate.js --difficulty expert
+ *
+ * --drivers races those roster drivers (data/roster.json) instead of the
+ * default grid, whose karts all have middling stats. --difficulty sets how
+ * well every kart drives (a DIFFICULTIES key in sim.js).
+ *
+ * Race n uses seed + n, so a batch is reproducible.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { CONFIG, RACERS, Race } = require('../sim.js');
+
+const ROOT = path.join(__dirname, '..');
+const TRACKS_DIR = path.join(ROOT, 'tracks');
+
+// Give up on a race that has not finished after this much simulated time
+const MAX_RACE_TIME = 600;
+
+function parseArgs(argv) {
+  const options = { track: CONFIG.DEFAULT_TRACK, races: 100, seed: 1, mode: 'race', drivers: '', difficulty: CONFIG.AI_DIFFICULTY };
+  for (let i = 0; i < argv.length; i += 2) {
+    const key = argv[i].replace(/^--/, '');
+    if (!(key in options)) {
+      throw new Error(`Unknown option --${key}`);
+    }
+    options[key] = typeof options[key] === 'string' ? argv[i + 1] : Number(argv[i + 1]);
+  }
+  return options;
+}
+
+function loadTrack(id) {
+  const list = JSON.parse(fs.readFileSync(path.join(TRACKS_DIR, 'index.json'), 'utf8'));
+  const entry = list.find(t => t.id === id);
+  if (!entry) {
+    throw new Error(`Unknown track "${id}" (have: ${list.map(t => t.id).join(', ')})`);
+  }
+  const data = JSON.parse(fs.readFileSync(path.join(TRACKS_DIR, entry.file), 'utf8'));
+  return { id: entry.id, ...data };
+}
+
+function loadDrivers(ids) {
+  const roster = JSON.parse(fs.readFileSync(path.join(ROOT, CONFIG.ROSTER_URL), 'utf8'));
+  return ids.split(',').map((id) => {
+    const driver = roster.find(d => d.id === id);
+    if (!driver) {
+      throw new Error(`Unknown driver "${id}" (have: ${roster.map(d => d.id).join(', ')})`);
+    }
+    return driver;
+  });
+}
+
+// Step one race to the end and return its results
+function runRace(trackData, racers, seed, mode, difficulty) {
+  const race = new Race(trackData, { seed, racers, humans: 0, countdown: 0, mode, difficulty });
+  const maxTicks = Math.ceil(MAX_RACE_TIME / CONFIG.SIM_STEP);
+  while (!race.over && race.tick < maxTicks) {
+    race.step();
+  }
+  return race.results();
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const trackData = loadTrack(options.track);
+  const racers = options.drivers ? loadDrivers(options.drivers) : RACERS;
+  
+  const stats = new Map(racers.map(r => [r.name, { wins: 0, positions: 0, time: 0, finishes: 0, coins: 0 }]));
+  const started = Date.now();
+  
+  for (let n = 0; n < options.races; n++) {
+    for (const result of runRace(trackData, racers, options.seed + n, options.mode, options.difficulty)) {
+      const entry = stats.get(result.name);
+      entry.positions += result.position;
+      entry.coins += result.coins;
+      if (result.position === 1) entry.wins++;
+      if (result.time !== null) {
+        entry.time += result.time;
+        entry.finishes++;
+      }
+    }
+  }
+  
+  const seconds = (Date.now() - started) / 1000;
+  console.log(`${options.races} races on ${trackData.name}, seeds ${options.seed}..${options.seed + options.races - 1} (${seconds.toFixed(1)}s)\n`);
+  console.log('Racer     Wins    Avg pos  Avg time  Coins  DNF');
+  for (const [name, entry] of stats) {
+    const winRate = `${(100 * entry.wins / options.races).toFixed(1)}%`;
+    const avgPosition = (entry.positions / options.races).toFixed(2);
+    const avgTime = entry.finishes ? `${(entry.time / entry.finishes).toFixed(2)}s` : '-';
+    const coins = (entry.coins / options.races).toFixed(1);
+    const dnf = options.races - entry.finishes;
+    console.log(`${name.padEnd(10)}${winRate.padEnd(8)}${avgPosition.padEnd(9)}${avgTime.padEnd(10)}${coins.padEnd(7)}${dnf}`);
+  }
+}
+
+main();
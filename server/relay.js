@@ -0,0 +1,485 @@
+/**
+ * ONLINE RELAY SERVER
+ * Reference server for online races on one machine or a LAN. It serves the
+ * game files, keeps the lobbies and runs every race itself with sim.js:
+ * clients only send their inputs and draw the snapshots that come back, so
+ * the server's race is the real one (see net.js for the client side).
+ *
+ *   node server/relay.js [--port 8080] [--latency 0] [--jitter 0] [--loss 0]
+ *
+ * --latency and --jitter (milliseconds) delay every message both ways and
+ * --loss (0 to 1) drops that share of input and snapshot messages, to try
+ * the netcode out on localhost.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { CONFIG, RACERS, Race, randomSeed } = require('../sim.js');
+const { encodeInput, decodeInput } = require('../replay.js');
+const { acceptUpgrade } = require('./websocket.js');
+
+const ROOT = path.join(__dirname, '..');
+const TRACKS_DIR = path.join(ROOT, 'tracks');
+
+const NET_PROTOCOL = 1;
+const SNAPSHOT_STEPS = 3;       // a snapshot every this many steps (20 per second)
+const MAX_INPUT_QUEUE = 4;      // steps of input buffered per player before old ones are dropped
+const FINISH_GRACE = 30;        // seconds the last racers get once someone has finished
+const MAX_RACE_TIME = 600;
+
+// Kart colors handed out to players in join order
+const PLAYER_COLORS = ['#E60012', '#3B82F6', '#22C55E', '#F472B6', '#F59E0B', '#8B5CF6', '#14B8A6', '#F97316'];
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.png': 'image/png',
+  '.svg': 'image/svg+xml',
+};
+
+// What the game may be served from, by folder and extension: the page and
+// its scripts at the top level and the data it fetches. Nothing else under
+// ROOT (the relay's own source, git metadata, notes) is reachable over HTTP.
+const STATIC_FILES = {
+  '.': ['.html', '.js'],
+  tracks: ['.json'],
+  data: ['.json'],
+  assets: ['.png', '.svg', '.css'],
+};
+
+function parseArgs(argv) {
+  const options = { port: 8080, latency: 0, jitter: 0, loss: 0 };
+  for (let i = 0; i < argv.length; i += 2) {
+    const key = argv[i].replace(/^--/, '');
+    if (!(key in options)) {
+      throw new Error(`Unknown option --${key}`);
+    }
+    options[key] = Number(argv[i + 1]);
+  }
+  return options;
+}
+
+const options = parseArgs(process.argv.slice(2));
+
+function loadTrackList() {
+  return JSON.parse(fs.readFileSync(path.join(TRACKS_DIR, 'index.json'), 'utf8'));
+}
+
+const roster = JSON.parse(fs.readFileSync(path.join(ROOT, CONFIG.ROSTER_URL), 'utf8'));
+
+function loadTrack(id) {
+  const entry = loadTrackList().find(t => t.id === id);
+  if (!entry) return null;
+  const data = JSON.parse(fs.readFileSync(path.join(TRACKS_DIR, entry.file), 'utf8'));
+  return { id: entry.id, ...data };
+}
+
+// ============================================================================
+// CONNECTIONS
+// ============================================================================
+
+let nextPlayerId = 1;
+
+/**
+ * A connected client. Messages in both directions go through the simulated
+ * network: delayed by latency plus jitter (never reordered) and, for the
+ * kinds that are sent again anyway, sometimes dropped.
+ */
+class Player {
+  constructor(conn) {
+    this.id = nextPlayerId++;
+    this.conn = conn;
+    this.name = 'Player';
+    this.driver = roster[0];
+    this.color = PLAYER_COLORS[0];
+    this.room = null;
+    this.ready = false;
+    this.sendAt = 0;
+    this.receiveAt = 0;
+    
+    // During a race
+    this.index = -1;          // kart index
+    this.inputs = [];         // queued [seq, code] pairs
+    this.lastSeq = 0;         // newest input received
+    this.ack = 0;             // newest input applied to the race
+    this.code = 0;            // input applied on the last step
+  }
+  
+  send(message) {
+    if (message.type === 'snapshot' && Math.random() < options.loss) return;
+    const text = JSON.stringify(message);
+    this.sendAt = this.delay(this.sendAt, () => this.conn.send(text));
+  }
+  
+  receive(text, handle) {
+    this.receiveAt = this.delay(this.receiveAt, () => {
+      let message;
+      try {
+        message = JSON.parse(text);
+      } catch (e) {
+        return;
+      }
+      if (message.type === 'input' && Math.random() < options.loss) return;
+      // A malformed message only costs its sender the connection
+      try {
+        handle(message);
+      } catch (err) {
+        this.conn.close(1008);
+      }
+    });
+  }
+  
+  // Run `deliver` after the simulated latency, no earlier than the previous
+  // message in the same direction. Returns the new delivery time.
+  delay(previous, deliver) {
+    if (!options.latency && !options.jitter) {
+      deliver();
+      return 0;
+    }
+    const at = Math.max(previous, Date.now() + options.latency + Math.random() * options.jitter);
+    setTimeout(deliver, at - Date.now());
+    return at;
+  }
+}
+
+// ============================================================================
+// ROOMS
+// ============================================================================
+
+const rooms = new Map();
+
+function newRoomCode() {
+  const letters = 'ABCDEFGHJKLMNPQRSTUVWXYZ';
+  let code;
+  do {
+    code = Array.from({ length: 4 }, () => letters[Math.floor(Math.random() * letters.length)]).join('');
+  } while (rooms.has(code));
+  return code;
+}
+
+/**
+ * A lobby of up to CONFIG.MAX_RACERS players. The first to join is the host
+ * and picks the track and mode; the host starts the race once everyone
+ * else is ready. CPU karts fill the grid up to four.
+ */
+class Room {
+  constructor(code) {
+    this.code = code;
+    this.players = [];
+    this.trackId = CONFIG.DEFAULT_TRACK;
+    this.mode = 'race';
+    this.race = null;
+    this.timer = null;
+    this.firstFinish = null;
+  }
+  
+  get host() {
+    return this.players[0] || null;
+  }
+  
+  add(player) {
+    const used = this.players.map(p => p.color);
+    player.color = PLAYER_COLORS.find(color => !used.includes(color));
+    player.ready = false;
+    player.room = this;
+    this.players.push(player);
+    this.broadcastLobby();
+  }
+  
+  remove(player) {
+    this.players = this.players.filter(p => p !== player);
+    player.room = null;
+    
+    if (this.players.length === 0) {
+      this.stopRace();
+      rooms.delete(this.code);
+      return;
+    }
+    // A kart whose driver left coasts to a stop
+    if (!this.race) this.broadcastLobby();
+  }
+  
+  broadcast(message) {
+    for (const player of this.players) {
+      player.send(message);
+    }
+  }
+  
+  broadcastLobby() {
+    for (const player of this.players) {
+      player.send({
+        type: 'lobby',
+        room: this.code,
+        you: player.id,
+        host: this.host.id,
+        track: this.trackId,
+        mode: this.mode,
+        racing: Boolean(this.race),
+        players: this.players.map(p => ({ id: p.id, name: p.name, driver: p.driver.name, color: p.color, ready: p.ready })),
+      });
+    }
+  }
+  
+  // ==========================================================================
+  // RACE
+  // ==========================================================================
+  
+  startRace() {
+    const trackData = loadTrack(this.trackId);
+    if (!trackData) throw new Error(`Unknown track "${this.trackId}"`);
+    
+    // Players in their room colors with their drivers' stats, then CPU
+    // drivers nobody picked, in colors nobody has
+    const racers = this.players.map(p => ({ name: p.name, color: p.color, stats: p.driver.stats }));
+    for (const cpu of roster) {
+      if (racers.length >= RACERS.length) break;
+      if (this.players.some(p => p.driver === cpu) || racers.some(r => r.color === cpu.color)) continue;
+      racers.push(cpu);
+    }
+    
+    const seed = randomSeed();
+    const raceOptions = { racers, humans: this.players.length, mode: this.mode };
+    this.race = new Race(trackData, { ...raceOptions, seed });
+    this.firstFinish = null;
+    
+    this.players.forEach((player, i) => {
+      player.index = i;
+      player.inputs = [];
+      player.lastSeq = 0;
+      player.ack = 0;
+      player.code = 0;
+      player.send({
+        type: 'start',
+        seed,
+        track: trackData,
+        options: raceOptions,
+        index: i,
+        snapshotSteps: SNAPSHOT_STEPS,
+      });
+    });
+    
+    // Fixed steps against the wall clock
+    const stepMs = CONFIG.SIM_STEP * 1000;
+    let last = Date.now();
+    let accumulator = 0;
+    this.timer = setInterval(() => {
+      const now = Date.now();
+      accumulator = Math.min(accumulator + now - last, stepMs * 10);
+      last = now;
+      while (accumulator >= stepMs && this.race) {
+        accumulator -= stepMs;
+        this.step();
+      }
+    }, 4);
+  }
+  
+  stopRace() {
+    clearInterval(this.timer);
+    this.timer = null;
+    this.race = null;
+  }
+  
+  step() {
+    const race = this.race;
+    
+    // One queued input per player; a player whose input hasn't arrived keeps
+    // the last one (minus the item press) so a late packet doesn't brake
+    const inputs = [];
+    for (const player of this.players) {
+      const next = player.inputs.shift();
+      if (next) {
+        [player.ack, player.code] = next;
+      } else {
+        player.code = encodeInput({ ...decodeInput(player.code), useItem: false });
+      }
+      inputs[player.index] = decodeInput(player.code);
+    }
+    race.step(inputs);
+    
+    if (race.tick % SNAPSHOT_STEPS === 0) {
+      const state = race.getState();
+      const codes = [];
+      for (const player of this.players) codes[player.index] = player.code;
+      for (const player of this.players) {
+        player.send({ type: 'snapshot', tick: race.tick, ack: player.ack, inputs: codes, state });
+      }
+    }
+    
+    this.checkFinish();
+  }
+  
+  // A race is over when every player still here has finished, or when the
+  // stragglers' grace time or the time limit runs out; a battle runs until
+  // its own clock or the last balloon decides it
+  checkFinish() {
+    const race = this.race;
+    const karts = this.players.map(p => race.karts[p.index]);
+    if (this.firstFinish === null && karts.some(k => k.finished)) {
+      this.firstFinish = race.time;
+    }
+    
+    const done = race.battle
+      ? race.over
+      : karts.every(k => k.finished)
+        || (this.firstFinish !== null && race.time - this.firstFinish > FINISH_GRACE)
+        || race.time > MAX_RACE_TIME;
+    if (!done) return;
+    
+    this.broadcast({ type: 'results', results: race.results() });
+    this.stopRace();
+    for (const player of this.players) player.ready = false;
+    this.broadcastLobby();
+  }
+}
+
+// ============================================================================
+// MESSAGES
+// ============================================================================
+
+function handleMessage(player, message) {
+  const room = player.room;
+  
+  switch (message.type) {
+    case 'join': {
+      if (message.protocol !== NET_PROTOCOL) {
+        return player.send({ type: 'error', message: 'The game and the server are different versions' });
+      }
+      if (room) room.remove(player);
+      player.name = String(message.name || 'Player').slice(0, 12);
+      player.driver = roster.find(d => d.id === message.driver) || roster[0];
+      
+      const code = String(message.room || '').toUpperCase().slice(0, 8) || newRoomCode();
+      let target = rooms.get(code);
+      if (!target) {
+        target = new Room(code);
+        rooms.set(code, target);
+      }
+      if (target.race) return player.send({ type: 'error', message: 'That room is racing, try again after the race' });
+      if (target.players.length >= CONFIG.MAX_RACERS) return player.send({ type: 'error', message: 'That room is full' });
+      target.add(player);
+      break;
+    }
+    
+    case 'leave':
+      if (room) room.remove(player);
+      break;
+      
+    case 'ready':
+      if (!room || room.race) return;
+      player.ready = Boolean(message.ready);
+      room.broadcastLobby();
+      break;
+      
+    case 'settings':
+      if (!room || room.race || room.host !== player) return;
+      // Battles need an arena and races a circuit
+      if (['race', 'battle'].includes(message.mode)) {
+        const entry = loadTrackList().find(t => t.id === message.track && Boolean(t.arena) === (message.mode === 'battle'));
+        if (entry) {
+          room.mode = message.mode;
+          room.trackId = entry.id;
+        }
+      }
+      room.broadcastLobby();
+      break;
+      
+    case 'start':
+      if (!room || room.race || room.host !== player) return;
+      if (!room.players.every(p => p === player || p.ready)) {
+        return player.send({ type: 'error', message: 'Waiting for everyone to be ready' });
+      }
+      try {
+        room.startRace();
+      } catch (err) {
+        player.send({ type: 'error', message: err.message });
+      }
+      break;
+      
+    // Clients send every input the server hasn't acknowledged yet, so a
+    // dropped message is covered by the next one
+    case 'input':
+      if (!room || !room.race || !Array.isArray(message.inputs)) return;
+      for (const [seq, code] of message.inputs) {
+        if (seq <= player.lastSeq) continue;
+        player.lastSeq = seq;
+        player.inputs.push([seq, code]);
+      }
+      // Catch up after a burst instead of lagging behind for the rest of the
+      // race, keeping any item press from the skipped steps
+      if (player.inputs.length > MAX_INPUT_QUEUE) {
+        const skipped = player.inputs.splice(0, player.inputs.length - MAX_INPUT_QUEUE);
+        if (skipped.some(([, code]) => decodeInput(code).useItem)) {
+          const [seq, code] = player.inputs[0];
+          player.inputs[0] = [seq, encodeInput({ ...decodeInput(code), useItem: true })];
+        }
+      }
+      break;
+  }
+}
+
+// ============================================================================
+// HTTP + WEBSOCKET SERVER
+// ============================================================================
+
+// Whether a path relative to ROOT is one of the game's static files. Hidden
+// files and folders (any segment starting with a dot) never are.
+function isStaticFile(relPath) {
+  const segments = relPath.split(/[\\/]/);
+  if (segments.some(segment => !segment || segment.startsWith('.'))) return false;
+  const dir = segments.length === 1 ? '.' : segments.slice(0, -1).join('/');
+  return (STATIC_FILES[dir] || []).includes(path.extname(relPath));
+}
+
+// The game itself, so one command serves everything
+function serveFile(req, res) {
+  let file;
+  try {
+    const urlPath = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+    const relPath = urlPath === '/' ? 'index.html' : urlPath.slice(1);
+    file = isStaticFile(relPath) ? path.join(ROOT, relPath) : null;
+  } catch (err) {
+    file = null;
+  }
+  if (!file || !file.startsWith(ROOT + path.sep)) {
+    res.writeHead(404);
+    res.end('Not found');
+    return;
+  }
+  
+  fs.readFile(file, (err, data) => {
+    if (err) {
+      res.writeHead(404);
+      res.end('Not found');
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(file)] || 'application/octet-stream' });
+    res.end(data);
+  });
+}
+
+const server = http.createServer(serveFile);
+
+server.on('upgrade', (req, socket) => {
+  if (new URL(req.url, 'http://localhost').pathname !== '/ws') {
+    socket.destroy();
+    return;
+  }
+  const conn = acceptUpgrade(req, socket);
+  if (!conn) return;
+  
+  const player = new Player(conn);
+  conn.on('message', text => player.receive(text, message => handleMessage(player, message)));
+  conn.on('close', () => {
+    if (player.room) player.room.remove(player);
+  });
+});
+
+server.listen(options.port, () => {
+  const network = options.latency || options.jitter || options.loss
+    ? ` (simulating ${options.latency}±${options.jitter} ms, ${options.loss * 100}% loss)`
+    : '';
+  console.log(`Retro Kart relay on http://localhost:${options.port}/${network}`);
+});
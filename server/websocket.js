@@ -0,0 +1,197 @@
+/**
+ * MINIMAL WEBSOCKET SERVER SIDE
+ * Just enough of RFC 6455 for the relay: the upgrade handshake, text
+ * messages (fragmented or not), ping/pong and close. No extensions, no
+ * binary messages (a client sending one is cut off), no dependencies.
+ */
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_BYTES = 1 << 20;
+
+const OPCODES = {
+  CONTINUATION: 0x0,
+  TEXT: 0x1,
+  BINARY: 0x2,
+  CLOSE: 0x8,
+  PING: 0x9,
+  PONG: 0xA,
+};
+
+/**
+ * One client connection. Emits 'message' (string) and 'close'.
+ */
+class WebSocketConnection extends EventEmitter {
+  constructor(socket) {
+    super();
+    this.socket = socket;
+    this.buffer = Buffer.alloc(0);
+    this.fragments = [];       // payloads of the text message so far
+    this.fragmentBytes = 0;
+    this.closed = false;
+    
+    socket.setNoDelay(true);
+    socket.on('data', (data) => this.receive(data));
+    socket.on('close', () => this.finish());
+    socket.on('error', () => this.finish());
+  }
+  
+  send(text) {
+    if (this.closed) return;
+    this.writeFrame(OPCODES.TEXT, Buffer.from(text, 'utf8'));
+  }
+  
+  close(code = 1000) {
+    if (this.closed) return;
+    const payload = Buffer.alloc(2);
+    payload.writeUInt16BE(code, 0);
+    this.writeFrame(OPCODES.CLOSE, payload);
+    this.socket.end();
+    this.finish();
+  }
+  
+  finish() {
+    if (this.closed) return;
+    this.closed = true;
+    this.emit('close');
+  }
+  
+  // Server frames are never masked
+  writeFrame(opcode, payload) {
+    let header;
+    if (payload.length < 126) {
+      header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+      header = Buffer.alloc(4);
+      header[0] = 0x80 | opcode;
+      header[1] = 126;
+      header.writeUInt16BE(payload.length, 2);
+    } else {
+      header = Buffer.alloc(10);
+      header[0] = 0x80 | opcode;
+      header[1] = 127;
+      header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    this.socket.write(Buffer.concat([header, payload]));
+  }
+  
+  receive(data) {
+    this.buffer = Buffer.concat([this.buffer, data]);
+    
+    let frame;
+    while ((frame = this.readFrame())) {
+      this.handleFrame(frame);
+      if (this.closed) return;
+    }
+  }
+  
+  // Take one complete frame off the buffer, or null if it hasn't all arrived
+  readFrame() {
+    const buffer = this.buffer;
+    if (buffer.length < 2) return null;
+    
+    const fin = (buffer[0] & 0x80) !== 0;
+    const opcode = buffer[0] & 0x0F;
+    const masked = (buffer[1] & 0x80) !== 0;
+    let length = buffer[1] & 0x7F;
+    let offset = 2;
+    
+    if (length === 126) {
+      if (buffer.length < 4) return null;
+      length = buffer.readUInt16BE(2);
+      offset = 4;
+    } else if (length === 127) {
+      if (buffer.length < 10) return null;
+      length = Number(buffer.readBigUInt64BE(2));
+      offset = 10;
+    }
+    
+    if (length > MAX_MESSAGE_BYTES) {
+      this.close(1009);
+      return null;
+    }
+    
+    const maskOffset = offset;
+    if (masked) offset += 4;
+    if (buffer.length < offset + length) return null;
+    
+    const payload = Buffer.from(buffer.subarray(offset, offset + length));
+    if (masked) {
+      for (let i = 0; i < payload.length; i++) {
+        payload[i] ^= buffer[maskOffset + (i % 4)];
+      }
+    }
+    
+    this.buffer = buffer.subarray(offset + length);
+    return { fin, opcode, payload };
+  }
+  
+  handleFrame({ fin, opcode, payload }) {
+    switch (opcode) {
+      case OPCODES.BINARY:
+        this.close(1003);
+        break;
+        
+      case OPCODES.CONTINUATION:
+      case OPCODES.TEXT:
+        // A continuation has to follow a text frame that wasn't the last,
+        // and a new text message can't start before that one is done
+        if (opcode === OPCODES.CONTINUATION && this.fragments.length === 0) {
+          this.close(1003);
+          break;
+        }
+        if (opcode === OPCODES.TEXT && this.fragments.length > 0) {
+          this.close(1002);
+          break;
+        }
+        // Each frame is capped in readFrame, the message as a whole here
+        this.fragmentBytes += payload.length;
+        if (this.fragmentBytes > MAX_MESSAGE_BYTES) {
+          this.close(1009);
+          break;
+        }
+        this.fragments.push(payload);
+        if (fin) {
+          const message = Buffer.concat(this.fragments).toString('utf8');
+          this.fragments = [];
+          this.fragmentBytes = 0;
+          this.emit('message', message);
+        }
+        break;
+        
+      case OPCODES.PING:
+        this.writeFrame(OPCODES.PONG, payload);
+        break;
+        
+      case OPCODES.CLOSE:
+        this.close();
+        break;
+    }
+  }
+}
+
+// Answer an HTTP upgrade request; returns the connection, or null after
+// refusing a request that isn't a WebSocket handshake
+function acceptUpgrade(req, socket) {
+  const key = req.headers['sec-websocket-key'];
+  if (!key || (req.headers.upgrade || '').toLowerCase() !== 'websocket') {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return null;
+  }
+  
+  const accept = crypto.createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${accept}`,
+    '',
+    '',
+  ].join('\r\n'));
+  
+  return new WebSocketConnection(socket);
+}
+
+module.exports = { WebSocketConnection, acceptUpgrade };
@@ -0,0 +1,2824 @@
+/**
+ * RACE SIMULATION
+ * Karts, tracks, items, AI and the race rules with no DOM: game.js runs it
+ * in the browser and scripts/simulate.js runs it headless in Node. Visual
+ * and haptic feedback goes out through the `fx` hooks.
+ */
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const CONFIG = {
+  // Canvas
+  WIDTH: 800,
+  HEIGHT: 600,
+  
+  // Physics
+  MAX_SPEED: 200,
+  ACCELERATION: 120,
+  DECELERATION: 80,
+  BRAKE_POWER: 200,
+  REVERSE_SPEED: 60,        // top speed backing up, braking from a standstill
+  STEERING_BASE: 3.5,
+  STEERING_SPEED_FACTOR: 0.7,
+  FRICTION: 0.98,
+  
+  // Drift
+  DRIFT_GRIP: 0.92,           // share of top speed a drift keeps
+  DRIFT_BOOST_RATE: 40,        // mini-turbo charge per second of drifting
+  DRIFT_COUNTER_CHARGE: 2.5,   // charge multiplier while counter-steering
+  DRIFT_HOLD_CHARGE: 0.6,      // ...and while steering into the drift or not at all
+  DRIFT_BOOST_MAX: 100,
+  DRIFT_BOOST_SPEED: 50,       // boost pads (mini-turbos use DRIFT_TIERS)
+  DRIFT_BOOST_DURATION: 1.5,
+  DRIFT_HOP_TIME: 0.2,
+  DRIFT_HOP_HEIGHT: 6,
+  
+  // Track
+  TRACK_WIDTH: 120,
+  TRACK_SAMPLE_SPACING: 8,
+  WAYPOINT_SPACING: 55,
+  TRACK_LIST_URL: 'tracks/index.json',
+  CUP_LIST_URL: 'tracks/cups.json',
+  ROSTER_URL: 'data/roster.json',
+  DEFAULT_TRACK: 'oval',
+  
+  // Jump ramps
+  RAMP_MIN_SPEED: 60,
+  RAMP_AIR_TIME: 0.6,
+  RAMP_HEIGHT: 18,
+  
+  // Simulation
+  SIM_STEP: 1 / 60,         // fixed physics step in seconds
+  SIM_VERSION: 1,           // bump whenever the same seed and inputs would race differently
+  MAX_FRAME_TIME: 0.25,     // longest frame the simulation catches up on
+  
+  // Race
+  TOTAL_LAPS: 3,
+  COUNTDOWN: 3,
+  CHECKPOINT_COUNT: 4,
+  MAX_RACERS: 8,            // grid slots every track provides (online races)
+  WRONG_WAY_TIME: 1,        // seconds driving back down the track before the WRONG WAY warning
+  STUCK_PROGRESS: 40,       // px further round the track that count as getting somewhere
+  STUCK_TIME: 4,            // seconds without getting anywhere before a kart is put back on the road
+  STUCK_SPEED: 20,          // speed under which a player on the gas counts as held up
+  RESPAWN_BLINK: 2,         // seconds a kart put back blinks, and nothing can hit it
+  
+  // Balloon battle
+  BATTLE_BALLOONS: 3,
+  BATTLE_TIME: 120,         // seconds before the most balloons wins
+  
+  // AI
+  AI_COUNT: 3,
+  AI_DIFFICULTY: 'normal',   // see DIFFICULTIES
+  AI_LINE_MARGIN: 0.6,       // share of the road either side of the middle the racing line may use
+  AI_CORNER_GRIP: 0.9,       // share of the steering the racing line's corner speeds count on
+  AI_BRAKING: 0.6,           // share of BRAKE_POWER the AI plans its braking with
+  AI_LOOKAHEAD: 40,          // px along the racing line CPU karts aim ahead...
+  AI_LOOKAHEAD_TIME: 0.4,    // ...plus this much per unit of speed
+  AI_DRIFT_TURN: 0.9,        // heading change just ahead (radians) worth drifting through
+  AI_STUCK_TIME: 1,          // seconds barely moving before a CPU kart backs off...
+  AI_REVERSE_TIME: 0.8,      // ...for this long
+  
+  // Power-ups
+  POWERUP_COUNT: 4,
+  ITEM_ROULETTE_TIME: 1,    // seconds the item slot spins before the item can be used
+  BOOST_DURATION: 2,
+  SHIELD_DURATION: 5,
+  SLOW_DURATION: 3,
+  SLOW_FACTOR: 0.5,
+  AI_THREAT_RANGE: 150,     // CPU karts raise a shield against karts or shells this close
+  AI_PACK_RANGE: 250,       // ...and slow the karts ahead when they're this close
+  AI_STRAIGHT: 300,         // px of road ahead that must run straight for a CPU boost
+  AI_LOG_SIZE: 8,           // CPU item decisions the race keeps for the debug overlay
+  
+  // Shells (see Projectile)
+  PROJECTILE_RADIUS: 8,
+  PROJECTILE_ARM_TIME: 0.3,   // the thrower can't run into its own shot or hazard before this
+  HOMING_RANGE: 220,          // homing shots leave the racing line this close to the target
+  SPINY_BLAST_RADIUS: 70,
+  AI_SHELL_RANGE: 300,        // CPU karts line up green shells on karts this close
+  
+  // Hazards (see Hazard)
+  HAZARD_THROW_SPEED: 220,    // px/s on top of the kart's own speed
+  HAZARD_THROW_TIME: 0.5,     // seconds in the air when thrown forward
+  AI_HAZARD_LOOKAHEAD: 160,   // how far ahead CPU karts watch for hazards
+  
+  // Coins
+  COIN_MAX: 10,
+  COIN_SPEED_BONUS: 0.01,     // top speed gained per coin held, as a share of the kart's
+  COIN_RADIUS: 7,
+  COIN_ROWS: 6,               // rows of coins on a track without its own
+  COIN_ROW_LENGTH: 5,
+  COIN_SPACING: 26,           // px between coins in a row
+  COIN_RESPAWN: 8,            // seconds before a track coin comes back
+  COIN_HIT_LOSS: 3,           // coins a kart spills when it spins out
+  COIN_OFFROAD_TIME: 1,       // seconds off-road per coin spilled
+  COIN_SPILL_SPEED: 120,
+  COIN_SPILL_TIME: 0.4,       // seconds a spilled coin is in the air
+  COIN_DROP_LIFE: 10,         // seconds a spilled coin lies there
+  COIN_REGRAB_TIME: 1,        // before the kart that spilled a coin can take it back
+  
+  // Camera
+  CAMERA_ZOOM: 1.5,
+  CAMERA_MIN_ZOOM: 1.15,    // zoomed out this far at top speed
+  CAMERA_LOOKAHEAD: 0.8,    // seconds of velocity to look ahead
+  CAMERA_SMOOTHING: 4,
+  CAMERA_MARGIN: 60,        // grass shown around the track at the edges
+  
+  // Visuals
+  PIXEL_SIZE: 2,
+  
+  // Mobile
+  MOBILE_PARTICLE_REDUCTION: 0.5,
+  TOUCH_THRESHOLD: 10,
+  JOYSTICK_RADIUS: 40,
+};
+
+// Surface types a track can paint onto its surface map. `topSpeed` scales
+// the kart's max speed, `grip` is how quickly the velocity follows the
+// heading (1 = instantly), `driftGrip` scales CONFIG.DRIFT_GRIP. Karts
+// driving `offroad` spill coins.
+const SURFACES = {
+  road: { topSpeed: 1, grip: 1, driftGrip: 1, color: null, particles: null },
+  grass: { topSpeed: 0.55, grip: 0.85, driftGrip: 1, offroad: true, color: '#27AE60', particles: ['#1E8449', '#27AE60', '#58D68D'], shake: 1.5 },
+  sand: { topSpeed: 0.4, grip: 0.7, driftGrip: 0.97, offroad: true, color: '#E3C08D', particles: ['#D4A574', '#C49A6C', '#F0D9B5'], shake: 2.5 },
+  ice: { topSpeed: 1, grip: 0.1, driftGrip: 0.98, color: '#BFE9FF', particles: ['#FFFFFF', '#D6F3FF', '#A9D8F0'], shake: 0 },
+  boost: { topSpeed: 1, grip: 1, driftGrip: 1, color: '#F39C12', particles: ['#FF6B35', '#FFD93D', '#FF0000'], boost: true },
+  ramp: { topSpeed: 1, grip: 1, driftGrip: 1, color: '#8E5B3A', particles: ['#8B4513', '#A0522D', '#CD853F'], ramp: true },
+};
+
+// ============================================================================
+// RANDOM NUMBERS
+// ============================================================================
+
+// Seeded PRNG (mulberry32) for everything that affects the race, so a seed
+// plus an input stream always plays out the same. Purely cosmetic effects
+// (particle spread, screen shake) keep using Math.random.
+function createRng(seed) {
+  let state = seed >>> 0;
+  const rng = function rng() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  // Race snapshots save and restore where the sequence is
+  rng.getState = () => state;
+  rng.setState = (value) => { state = value >>> 0; };
+  return rng;
+}
+
+function randomSeed() {
+  return Math.floor(Math.random() * 4294967296);
+}
+
+// Mini-turbo tiers a drift charges through. Letting go of the drift fires
+// the boost of the highest tier reached; `sparks` colour the drift sparks
+// once it's reached.
+const DRIFT_TIERS = [
+  { name: 'BLUE', charge: 35, speed: 30, duration: 0.6, sparks: ['#3B82F6', '#93C5FD', '#FFFFFF'] },
+  { name: 'ORANGE', charge: 70, speed: 45, duration: 1.0, sparks: ['#F97316', '#FDBA74', '#FFFFFF'] },
+  { name: 'PURPLE', charge: 100, speed: 60, duration: 1.4, sparks: ['#A855F7', '#E9D5FF', '#FFFFFF'] },
+];
+
+// ============================================================================
+// EFFECT HOOKS
+// ============================================================================
+
+// Feedback the simulation asks for but never depends on. The browser shell
+// points these at particles, screen shake, the vibration API and sound
+// effects; headless they do nothing.
+const fx = {
+  particles(x, y, count, colors, speedRange, lifeRange, sizeRange) {},
+  shake(intensity, duration) {},
+  rumble(intensity) {},
+  vibrate(pattern) {},
+  sound(name) {},
+};
+
+// ============================================================================
+// DRIVER STATS
+// ============================================================================
+
+// Drivers in the roster (data/roster.json) rate each stat from 1 to 5. A 3
+// is the kart every CONFIG constant was tuned for; each point above or
+// below scales that part of the physics by this fraction.
+const STAT_EFFECTS = {
+  weight: 0.25,         // mass in kart-to-kart bumps
+  acceleration: 0.12,
+  handling: 0.08,       // steering rate
+  topSpeed: 0.05,
+  drift: 0.15,          // how fast a drift charges its boost
+};
+
+// Physics multipliers for a roster entry's stats; missing stats are 3
+function kartStats(stats = {}) {
+  const multipliers = {};
+  for (const [stat, effect] of Object.entries(STAT_EFFECTS)) {
+    multipliers[stat] = 1 + ((stats[stat] ?? 3) - 3) * effect;
+  }
+  return multipliers;
+}
+
+// ============================================================================
+// CPU DRIVERS
+// ============================================================================
+
+// How well CPU karts drive at each difficulty. `pace` scales the speed
+// they aim for on the straights and `cornering` the share of the racing
+// line's corner speeds they dare (so weaker drivers brake earlier and
+// harder), `wander` is how far (radians) their line drifts either side of
+// the racing line, `reaction` the seconds between looks at the road (they
+// steer on what they saw last), `mistakes` the chance per second of running
+// wide and lifting off, and `rubberBand` how hard they close on or wait for
+// the leading human (0 = not at all).
+const DIFFICULTIES = {
+  easy: { name: 'Easy', pace: 0.88, cornering: 0.82, wander: 0.2, reaction: 0.3, mistakes: 0.15, rubberBand: 0.2 },
+  normal: { name: 'Normal', pace: 1, cornering: 0.9, wander: 0.08, reaction: 0.15, mistakes: 0.05, rubberBand: 0.3 },
+  hard: { name: 'Hard', pace: 1.06, cornering: 0.96, wander: 0.04, reaction: 0.08, mistakes: 0.02, rubberBand: 0.3 },
+  expert: { name: 'Expert', pace: 1.12, cornering: 1, wander: 0.015, reaction: 0.03, mistakes: 0.005, rubberBand: 0.15 },
+};
+
+// How CPU drivers race, picked per driver in the roster. `block` weaves in
+// front of a kart on their tail, `caution` lifts off for tight corners and
+// gives other karts a wider berth, and `hoard` sits on items until the last
+// lap or until someone is right behind.
+const PERSONALITIES = {
+  balanced: { name: 'Balanced', block: 0, caution: 0, hoard: false },
+  aggressive: { name: 'Aggressive', block: 1, caution: 0, hoard: false },
+  cautious: { name: 'Cautious', block: 0, caution: 1, hoard: false },
+  hoarder: { name: 'Item hoarder', block: 0, caution: 0, hoard: true },
+};
+
+function racerPersonality(racer) {
+  const personality = PERSONALITIES[racer.personality || 'balanced'];
+  if (!personality) throw new Error(`Unknown personality "${racer.personality}"`);
+  return personality;
+}
+
+// ============================================================================
+// MOVING BODIES
+// ============================================================================
+
+// Where things on the track are, blended for drawing: each field with its
+// copy from the previous simulation step and the blend drawn. Angles blend
+// the short way round.
+const POSITION = [
+  { field: 'x', prev: 'prevX', draw: 'drawX' },
+  { field: 'y', prev: 'prevY', draw: 'drawY' },
+];
+const HEADING = { field: 'angle', prev: 'prevAngle', draw: 'drawAngle', angular: true };
+
+// Anything that moves over the track between steps: karts, shells, hazards
+// and coins. POSE lists the fields blended for drawing.
+class Body {
+  static POSE = POSITION;
+  
+  // Start the previous and drawn pose where the body is now
+  resetPose() {
+    for (const { field, prev, draw } of this.constructor.POSE) {
+      this[prev] = this[draw] = this[field];
+    }
+  }
+  
+  // Everything the simulation reads, as plain data (the drawn pose is left
+  // out). Online races send this in snapshots.
+  getState() {
+    const state = { ...this };
+    for (const { prev, draw } of this.constructor.POSE) {
+      delete state[prev];
+      delete state[draw];
+    }
+    return JSON.parse(JSON.stringify(state));
+  }
+  
+  setState(state) {
+    Object.assign(this, JSON.parse(JSON.stringify(state)));
+  }
+  
+  storePrevious() {
+    for (const { field, prev } of this.constructor.POSE) {
+      this[prev] = this[field];
+    }
+  }
+  
+  // Blend between the last two simulation steps for drawing
+  interpolate(alpha) {
+    for (const { field, prev, draw, angular } of this.constructor.POSE) {
+      let change = this[field] - this[prev];
+      if (angular) {
+        while (change > Math.PI) change -= Math.PI * 2;
+        while (change < -Math.PI) change += Math.PI * 2;
+      }
+      this[draw] = this[prev] + change * alpha;
+    }
+  }
+}
+
+// ============================================================================
+// KART CLASS
+// ============================================================================
+
+class Kart extends Body {
+  static POSE = [...POSITION, HEADING];
+  
+  constructor(x, y, angle, color, isPlayer = false, name = 'CPU') {
+    super();
+    this.x = x;
+    this.y = y;
+    this.angle = angle;
+    this.speed = 0;
+    this.velocity = { x: 0, y: 0 };
+    
+    this.color = color;
+    this.isPlayer = isPlayer;
+    this.playerIndex = -1;   // which human drives it (0 is player 1), set by Race
+    this.name = name;
+    this.stats = kartStats();   // the driver's physics multipliers, set by Race
+    
+    // Drift state
+    this.drifting = false;
+    this.driftDirection = 0;
+    this.driftBoost = 0;
+    this.driftTier = 0;        // mini-turbo tiers charged so far (0 = none)
+    this.tierFlash = 0;        // counts down after each tier-up, for the HUD
+    this.driftAngleOffset = 0;
+    this.hopTimer = 0;
+    
+    // Boost state
+    this.boosting = false;
+    this.boostTimer = 0;
+    this.boostSpeed = CONFIG.DRIFT_BOOST_SPEED;
+    
+    // Surface and ramp jumps
+    this.surface = 'road';
+    this.airborne = false;
+    this.airTimer = 0;
+    this.airDuration = 0;
+    this.z = 0;
+    
+    // Effects
+    this.slowed = false;
+    this.slowTimer = 0;
+    this.shielded = false;
+    this.shieldTimer = 0;
+    
+    // Coins held, and ones knocked loose this step for the race to scatter
+    this.coins = 0;
+    this.coinSpill = 0;
+    this.offroadTimer = 0;
+    
+    // Power-up
+    this.item = null;
+    this.itemRoulette = 0;   // seconds until the rolled item can be used
+    this.lastRoll = null;    // { item, tier, gap, chance } of the last item box
+    
+    // Race progress
+    this.lap = 0;
+    this.checkpoint = 0;
+    this.lastCheckpoint = -1;
+    this.totalProgress = 0;
+    this.position = 1;
+    this.finished = false;
+    this.finishTime = 0;
+    this.splits = [];   // race time at every checkpoint passed
+    this.gateDistance = 0;   // trackDistance at the last checkpoint passed
+    this.lapTimes = [];
+    
+    // Getting somewhere (see trackProgress): lap distance at the last
+    // step, distance covered round the track, and the furthest point
+    // reached (and its lap distance) with how long ago that was
+    this.trackS = null;
+    this.trackDistance = 0;
+    this.progressMark = 0;
+    this.progressS = 0;
+    this.stuckTimer = 0;
+    this.throttle = false;    // gas held at the last step driven
+    this.wrongWayTimer = 0;   // seconds heading back down the track
+    this.invulnerable = 0;    // seconds left that nothing can hit it, after a respawn
+    
+    // Balloon battle
+    this.balloons = 0;
+    this.popped = false;
+    
+    // AI state
+    this.targetAngle = angle;
+    this.aiWaypointIndex = 0;
+    this.skill = DIFFICULTIES[CONFIG.AI_DIFFICULTY];   // set by Race
+    this.personality = PERSONALITIES.balanced;         // set by Race
+    this.aiTimer = 0;         // seconds of driving, for the wandering line
+    this.aiPhase = 0;         // so karts don't all wander in step
+    this.aiLookTimer = 0;     // until the next look at the road
+    this.aiSeenAngle = angle; // where the road went at the last look
+    this.aiMistake = 0;       // seconds left running wide
+    this.aiMistakeSide = 0;
+    this.aiStuckTimer = 0;    // seconds barely moving
+    this.aiReverse = 0;       // seconds left backing away from whatever stopped it
+    
+    // Visual
+    this.width = 24;
+    this.height = 16;
+    this.sparkTimer = 0;
+    
+    // Collision flash, and seconds left of getting over a spin-out (a
+    // respawn flashes too, but isn't a hit)
+    this.flashTimer = 0;
+    this.lastHitTimer = 0;
+    
+    // Pose at the previous simulation step and the blended pose to draw
+    this.resetPose();
+  }
+  
+  getMaxSpeed() {
+    let max = this.topSpeed();
+    if (this.boosting) max += this.boostSpeed;
+    // Boosts punch through off-road slowdown
+    else if (!this.airborne) max *= SURFACES[this.surface].topSpeed;
+    if (this.slowed) max *= CONFIG.SLOW_FACTOR;
+    return max;
+  }
+  
+  // Top speed on the road with no boost: the driver's, plus a little for
+  // every coin held
+  topSpeed() {
+    return CONFIG.MAX_SPEED * this.stats.topSpeed * (1 + this.coins * CONFIG.COIN_SPEED_BONUS);
+  }
+  
+  update(dt, track) {
+    // Update timers
+    if (this.boostTimer > 0) {
+      this.boostTimer -= dt;
+      if (this.boostTimer <= 0) this.boosting = false;
+    }
+    if (this.slowTimer > 0) {
+      this.slowTimer -= dt;
+      if (this.slowTimer <= 0) this.slowed = false;
+    }
+    if (this.shieldTimer > 0) {
+      this.shieldTimer -= dt;
+      if (this.shieldTimer <= 0) this.shielded = false;
+    }
+    if (this.flashTimer > 0) {
+      this.flashTimer -= dt;
+    }
+    if (this.lastHitTimer > 0) {
+      this.lastHitTimer -= dt;
+    }
+    if (this.invulnerable > 0) {
+      this.invulnerable -= dt;
+    }
+    if (this.tierFlash > 0) {
+      this.tierFlash -= dt;
+    }
+    
+    // Every second driving off-road shakes a coin loose
+    if (SURFACES[this.surface].offroad && !this.airborne && this.speed > 40) {
+      this.offroadTimer += dt;
+      if (this.offroadTimer >= CONFIG.COIN_OFFROAD_TIME) {
+        this.offroadTimer = 0;
+        this.spillCoins(1);
+      }
+    } else {
+      this.offroadTimer = 0;
+    }
+    if (this.itemRoulette > 0) {
+      this.itemRoulette -= dt;
+      if (this.itemRoulette <= 0 && this.isPlayer) fx.sound('itemGet');
+    }
+    if (this.airTimer > 0) {
+      this.airTimer -= dt;
+      const t = Math.min(1, 1 - this.airTimer / this.airDuration);
+      this.z = Math.sin(t * Math.PI) * CONFIG.RAMP_HEIGHT;
+      if (this.airTimer <= 0) this.land();
+    } else if (this.hopTimer > 0) {
+      // The little hop into a drift is only for show: the kart stays on
+      // the ground as far as the physics goes
+      this.hopTimer = Math.max(0, this.hopTimer - dt);
+      this.z = Math.sin(this.hopTimer / CONFIG.DRIFT_HOP_TIME * Math.PI) * CONFIG.DRIFT_HOP_HEIGHT;
+    }
+    
+    // Update spark animation
+    if (this.drifting) {
+      this.sparkTimer += dt;
+    } else {
+      this.sparkTimer = 0;
+    }
+  }
+  
+  applyBoost(speed = CONFIG.DRIFT_BOOST_SPEED, duration = CONFIG.DRIFT_BOOST_DURATION) {
+    this.boosting = true;
+    this.boostSpeed = speed;
+    this.boostTimer = duration;
+    this.driftBoost = 0;
+    
+    // Spawn boost particles
+    fx.particles(
+      this.x - Math.cos(this.angle) * 15,
+      this.y - Math.sin(this.angle) * 15,
+      15,
+      ['#FF6B35', '#FFD93D', '#FF0000'],
+      [50, 150],
+      [0.3, 0.6],
+      [3, 6]
+    );
+  }
+  
+  launch() {
+    this.airborne = true;
+    this.airDuration = CONFIG.RAMP_AIR_TIME * (0.5 + 0.5 * this.speed / CONFIG.MAX_SPEED);
+    this.airTimer = this.airDuration;
+    
+    fx.particles(this.x, this.y, 8, SURFACES.ramp.particles, [40, 90], [0.2, 0.4], [3, 5]);
+    if (this.isPlayer) {
+      fx.shake(4, 0.15);
+      fx.vibrate(20);
+    }
+  }
+  
+  land() {
+    this.airborne = false;
+    this.airTimer = 0;
+    this.z = 0;
+    
+    fx.particles(this.x, this.y, 10, ['#FFFFFF', '#D5D8DC', '#AAB7B8'], [50, 110], [0.2, 0.4], [3, 6]);
+    if (this.isPlayer) {
+      fx.shake(6, 0.2);
+      fx.vibrate(40);
+    }
+  }
+  
+  // Put the kart back on the road at `point` (see Track.pointAt), at a
+  // standstill and facing down the track. It blinks for a moment in which
+  // nothing can hit it and it passes through other karts.
+  respawn(point) {
+    this.x = this.prevX = point.x;
+    this.y = this.prevY = point.y;
+    this.angle = this.prevAngle = point.angle;
+    this.speed = 0;
+    this.velocity = { x: 0, y: 0 };
+    
+    this.drifting = false;
+    this.driftDirection = 0;
+    this.driftBoost = 0;
+    this.driftTier = 0;
+    this.driftAngleOffset = 0;
+    this.boosting = false;
+    this.boostTimer = 0;
+    
+    this.flashTimer = CONFIG.RESPAWN_BLINK;
+    this.lastHitTimer = 0;
+    this.invulnerable = CONFIG.RESPAWN_BLINK;
+    this.stuckTimer = 0;
+    this.wrongWayTimer = 0;
+    this.aiSeenAngle = point.angle;
+    this.aiLookTimer = 0;
+    this.aiMistake = 0;
+    this.aiStuckTimer = 0;
+    this.aiReverse = 0;
+    
+    fx.particles(this.x, this.y, 12, ['#FFFFFF', '#87CEEB', '#FFD700'], [40, 100], [0.3, 0.5], [3, 6]);
+    if (this.isPlayer) fx.vibrate([40, 30, 40]);
+  }
+  
+  hit() {
+    if (this.invulnerable > 0) return false;
+    if (this.shielded) {
+      this.shielded = false;
+      this.shieldTimer = 0;
+      // Shield break particles
+      fx.particles(this.x, this.y, 20, ['#00BFFF', '#87CEEB', '#FFFFFF'], [100, 200], [0.3, 0.5], [4, 8]);
+      return false;
+    }
+    
+    // Spin out
+    this.speed *= 0.3;
+    this.flashTimer = 0.5;
+    this.lastHitTimer = 0.5;
+    this.spillCoins(CONFIG.COIN_HIT_LOSS);
+    
+    // Collision particles
+    fx.particles(this.x, this.y, 10, ['#FFD700', '#FFFFFF', '#FFA500'], [80, 150], [0.2, 0.4], [2, 5]);
+    
+    // Screen shake for player
+    if (this.isPlayer) {
+      fx.shake(8, 0.3);
+    }
+    
+    return true;
+  }
+  
+  // Knock up to `count` coins loose; the race scatters them on the track
+  spillCoins(count) {
+    const lost = Math.min(count, this.coins);
+    this.coins -= lost;
+    this.coinSpill += lost;
+  }
+}
+
+// ============================================================================
+// TRACK
+// ============================================================================
+
+/**
+ * A track is a closed centerline spline with a road width at every control
+ * point. The JSON format (see tracks/*.json):
+ *
+ *   {
+ *     "name": "Retro Oval",
+ *     "width": 120,                           // default road width
+ *     "points": [{ "x": 400, "y": 80, "width": 120 }, ...],
+ *     "checkpoints": [0, 0.25, 0.5, 0.75],    // gates at fractions of the lap
+ *     "powerUps": [{ "x": 626, "y": 144 }, ...],
+ *     "coins": [{ "x": 610, "y": 160 }, ...],
+ *     "grid": [{ "x": 380, "y": 70, "angle": 0 }, ...],
+ *     "runoff": 40,                           // drivable px beyond the road edge
+ *     "offroad": "grass",                     // surface of the run-off
+ *     "surfaces": [{ "type": "boost", "from": 0.1, "to": 0.12, "lane": [-0.5, 0.5] }, ...],
+ *     "arena": true                           // battle arena, not a circuit
+ *   }
+ *
+ * An arena is a wide closed loop around a central block; it is drawn
+ * without the start line and racing stripes and offered for battles only.
+ *
+ * Points are listed in racing order and the first point is the start/finish
+ * line. Everything except "points" is optional and derived from the
+ * geometry when missing.
+ *
+ * Surface zones span lap fractions `from`..`to` (wrapping past the line is
+ * allowed) and a lateral `lane` in half-widths: -1..1 is the road, beyond
+ * that is run-off. Later zones win where they overlap.
+ */
+class Track {
+  constructor(data) {
+    this.data = data;
+    this.id = data.id || null;
+    this.name = data.name || 'Untitled';
+    this.arena = Boolean(data.arena);
+    this.width = data.width || CONFIG.TRACK_WIDTH;
+    this.controlPoints = data.points.map(p => ({
+      x: p.x,
+      y: p.y,
+      width: p.width || this.width,
+    }));
+    
+    this.runoff = data.runoff || 0;
+    this.offroad = data.offroad || 'grass';
+    this.surfaces = (data.surfaces || []).map(zone => {
+      if (!SURFACES[zone.type]) throw new Error(`Unknown surface type "${zone.type}"`);
+      return { type: zone.type, from: zone.from, to: zone.to, lane: zone.lane || [-1, 1] };
+    });
+    if (!SURFACES[this.offroad]) throw new Error(`Unknown surface type "${this.offroad}"`);
+    
+    this.buildGeometry();
+    
+    // Checkpoint gates at fractions of the lap (checkpoint 0 is the start
+    // line), from `a` to `b` right across the road and its run-off. `span`
+    // is the distance from the gate before.
+    const fractions = data.checkpoints ||
+      Array.from({ length: CONFIG.CHECKPOINT_COUNT }, (_, i) => i / CONFIG.CHECKPOINT_COUNT);
+    this.checkpoints = fractions.map((f, i) => {
+      const p = this.pointAt(f * this.length);
+      const reach = p.halfWidth + this.runoff;
+      const before = fractions[(i + fractions.length - 1) % fractions.length];
+      return {
+        x: p.x,
+        y: p.y,
+        angle: p.angle,
+        s: p.s,
+        span: ((f - before + 1) % 1 || 1) * this.length,
+        index: i,
+        a: { x: p.x - p.nx * reach, y: p.y - p.ny * reach },
+        b: { x: p.x + p.nx * reach, y: p.y + p.ny * reach },
+      };
+    });
+    
+    // Racing line waypoints for AI, evenly spaced along the lap
+    this.waypoints = this.buildRacingLine();
+    
+    // Start/finish line position
+    const start = this.pointAt(0);
+    this.startLine = {
+      x: start.x,
+      y: start.y,
+      angle: start.angle,
+      halfWidth: start.halfWidth,
+    };
+    
+    // Grid slots from the file first, topped up with derived ones
+    const grid = data.grid || [];
+    this.grid = grid.concat(this.buildGrid(CONFIG.MAX_RACERS).slice(grid.length));
+    this.powerUpSpots = data.powerUps || this.buildPowerUpSpots(CONFIG.POWERUP_COUNT);
+    this.coinSpots = data.coins || this.buildCoinSpots(CONFIG.COIN_ROWS);
+    
+  }
+  
+  // Sample the closed Catmull-Rom spline into a dense polyline with
+  // cumulative distance, unit tangents/normals and half-widths.
+  buildGeometry() {
+    const cps = this.controlPoints;
+    const n = cps.length;
+    this.samples = [];
+    
+    for (let i = 0; i < n; i++) {
+      const p0 = cps[(i - 1 + n) % n];
+      const p1 = cps[i];
+      const p2 = cps[(i + 1) % n];
+      const p3 = cps[(i + 2) % n];
+      const steps = Math.max(2, Math.ceil(Math.hypot(p2.x - p1.x, p2.y - p1.y) / CONFIG.TRACK_SAMPLE_SPACING));
+      
+      for (let j = 0; j < steps; j++) {
+        const t = j / steps;
+        this.samples.push({
+          x: catmullRom(p0.x, p1.x, p2.x, p3.x, t),
+          y: catmullRom(p0.y, p1.y, p2.y, p3.y, t),
+          halfWidth: (p1.width + (p2.width - p1.width) * t) / 2,
+          segment: i,
+        });
+      }
+    }
+    
+    const count = this.samples.length;
+    let s = 0;
+    for (let i = 0; i < count; i++) {
+      const a = this.samples[i];
+      const b = this.samples[(i + 1) % count];
+      const len = Math.hypot(b.x - a.x, b.y - a.y) || 1;
+      a.s = s;
+      a.len = len;
+      a.tx = (b.x - a.x) / len;
+      a.ty = (b.y - a.y) / len;
+      // Normal points to the driver's right (screen y grows downwards)
+      a.nx = -a.ty;
+      a.ny = a.tx;
+      s += len;
+    }
+    this.length = s;
+    
+    // World bounds including the road edges
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    for (const p of this.samples) {
+      minX = Math.min(minX, p.x - p.halfWidth);
+      minY = Math.min(minY, p.y - p.halfWidth);
+      maxX = Math.max(maxX, p.x + p.halfWidth);
+      maxY = Math.max(maxY, p.y + p.halfWidth);
+    }
+    this.bounds = { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+    
+    // Everything the camera may show: road, run-off and a grass margin
+    const margin = this.runoff + CONFIG.CAMERA_MARGIN;
+    this.area = {
+      x: minX - margin,
+      y: minY - margin,
+      width: maxX - minX + margin * 2,
+      height: maxY - minY + margin * 2,
+    };
+  }
+  
+  // Centerline position, direction and width at distance s along the lap
+  pointAt(s) {
+    s = ((s % this.length) + this.length) % this.length;
+    
+    let lo = 0;
+    let hi = this.samples.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (this.samples[mid].s <= s) lo = mid; else hi = mid - 1;
+    }
+    
+    const a = this.samples[lo];
+    const b = this.samples[(lo + 1) % this.samples.length];
+    const t = (s - a.s) / a.len;
+    return {
+      x: a.x + (b.x - a.x) * t,
+      y: a.y + (b.y - a.y) * t,
+      s: s,
+      angle: Math.atan2(a.ty, a.tx),
+      nx: a.nx,
+      ny: a.ny,
+      halfWidth: a.halfWidth + (b.halfWidth - a.halfWidth) * t,
+      index: lo,
+    };
+  }
+  
+  // Nearest point on the centerline. `offset` is the signed distance from
+  // the centerline (positive to the driver's right).
+  project(x, y) {
+    const samples = this.samples;
+    const count = samples.length;
+    let best = null;
+    let bestDist = Infinity;
+    
+    for (let i = 0; i < count; i++) {
+      const a = samples[i];
+      const t = Math.max(0, Math.min(a.len, (x - a.x) * a.tx + (y - a.y) * a.ty));
+      const px = a.x + a.tx * t;
+      const py = a.y + a.ty * t;
+      const dist = (x - px) * (x - px) + (y - py) * (y - py);
+      if (dist < bestDist) {
+        bestDist = dist;
+        best = { index: i, t: t, x: px, y: py };
+      }
+    }
+    
+    const a = samples[best.index];
+    const b = samples[(best.index + 1) % count];
+    const k = best.t / a.len;
+    best.s = a.s + best.t;
+    best.offset = (x - best.x) * a.nx + (y - best.y) * a.ny;
+    best.halfWidth = a.halfWidth + (b.halfWidth - a.halfWidth) * k;
+    best.nx = a.nx;
+    best.ny = a.ny;
+    best.angle = Math.atan2(a.ty, a.tx);
+    return best;
+  }
+  
+  isOnTrack(x, y) {
+    const p = this.project(x, y);
+    return Math.abs(p.offset) <= p.halfWidth;
+  }
+  
+  // Distance from the centerline as a fraction of the road half-width
+  // (0 on the centerline, 1 on the road edge)
+  getTrackDistance(x, y) {
+    const p = this.project(x, y);
+    return Math.abs(p.offset) / p.halfWidth;
+  }
+  
+  // Point on the racing line level with distance s along the lap. It
+  // follows the road between waypoints rather than cutting straight across
+  // to the next, so it never leaves the middle AI_LINE_MARGIN of the road.
+  racingLineAt(s) {
+    const count = this.waypoints.length;
+    const f = ((s / this.length * count) % count + count) % count;
+    const a = this.waypoints[Math.floor(f)];
+    const b = this.waypoints[(Math.floor(f) + 1) % count];
+    const t = f - Math.floor(f);
+    const c = this.pointAt(s);
+    const limit = c.halfWidth * CONFIG.AI_LINE_MARGIN;
+    const offset = Math.max(-limit, Math.min(limit, a.offset + (b.offset - a.offset) * t));
+    return { x: c.x + c.nx * offset, y: c.y + c.ny * offset };
+  }
+  
+  // The waypoint level with (x, y) along the lap. Going by the road rather
+  // than the distance to each waypoint keeps a kart out wide from latching
+  // on to the line of a neighbouring stretch of track.
+  getNearestWaypoint(x, y) {
+    const count = this.waypoints.length;
+    return Math.round(this.project(x, y).s / this.length * count) % count;
+  }
+  
+  // Staggered two-wide grid behind the start line
+  buildGrid(count) {
+    const grid = [];
+    for (let i = 0; i < count; i++) {
+      const p = this.pointAt(-(25 + i * 25));
+      const side = i % 2 === 0 ? -1 : 1;
+      const lateral = side * p.halfWidth * 0.4;
+      grid.push({
+        x: p.x + p.nx * lateral,
+        y: p.y + p.ny * lateral,
+        angle: p.angle,
+      });
+    }
+    return grid;
+  }
+  
+  buildPowerUpSpots(count) {
+    const spots = [];
+    for (let i = 0; i < count; i++) {
+      const p = this.pointAt(((i + 0.5) / count) * this.length);
+      spots.push({ x: p.x, y: p.y });
+    }
+    return spots;
+  }
+  
+  // The AI's racing line: a waypoint every WAYPOINT_SPACING or so, pulled
+  // tight through the corners (in from the outside, clipping the apex,
+  // back out) without leaving the middle AI_LINE_MARGIN of the road. Each
+  // waypoint carries its `offset` from the centerline, the heading change
+  // there (`turn`, radians, positive to the right) and `speed`, the
+  // fastest a baseline kart can take it and still brake in time for the
+  // waypoints after it.
+  buildRacingLine() {
+    const count = Math.max(16, Math.round(this.length / CONFIG.WAYPOINT_SPACING));
+    const centers = Array.from({ length: count }, (_, i) => this.pointAt((i / count) * this.length));
+    const offsets = new Array(count).fill(0);
+    const at = (i) => {
+      const c = centers[(i + count) % count];
+      const offset = offsets[(i + count) % count];
+      return { x: c.x + c.nx * offset, y: c.y + c.ny * offset };
+    };
+    
+    // Ease every point toward the smoothest curve through its neighbours
+    // (least change in curvature), until the edge of the allowed band
+    // holds it: corners open out to the widest arc the road allows
+    for (let pass = 0; pass < 200; pass++) {
+      for (let i = 0; i < count; i++) {
+        const a = at(i - 1);
+        const b = at(i + 1);
+        const a2 = at(i - 2);
+        const b2 = at(i + 2);
+        const x = (4 * (a.x + b.x) - a2.x - b2.x) / 6;
+        const y = (4 * (a.y + b.y) - a2.y - b2.y) / 6;
+        const c = centers[i];
+        const limit = c.halfWidth * CONFIG.AI_LINE_MARGIN;
+        const offset = (x - c.x) * c.nx + (y - c.y) * c.ny;
+        offsets[i] = Math.max(-limit, Math.min(limit, offset));
+      }
+    }
+    
+    const waypoints = centers.map((c, i) => {
+      const a = at(i - 1);
+      const p = at(i);
+      const b = at(i + 1);
+      let turn = Math.atan2(b.y - p.y, b.x - p.x) - Math.atan2(p.y - a.y, p.x - a.x);
+      while (turn > Math.PI) turn -= Math.PI * 2;
+      while (turn < -Math.PI) turn += Math.PI * 2;
+      return { x: p.x, y: p.y, angle: c.angle, s: c.s, offset: offsets[i], turn, speed: 0 };
+    });
+    
+    // Steering weakens with speed (STEERING_SPEED_FACTOR), so the tighter
+    // the bend the slower the kart must be to turn with it. Karts cover
+    // speed / 2 px a second.
+    const spacing = this.length / count;
+    const steer = CONFIG.STEERING_BASE * CONFIG.AI_CORNER_GRIP;
+    for (const wp of waypoints) {
+      const curvature = Math.abs(wp.turn) / spacing;
+      wp.speed = steer / (curvature / 2 + steer * CONFIG.STEERING_SPEED_FACTOR / CONFIG.MAX_SPEED);
+    }
+    
+    // Brake in time: going backwards round the lap (twice, to carry over
+    // the line), no waypoint may be faster than the one after it allows
+    const braking = CONFIG.BRAKE_POWER * CONFIG.AI_BRAKING;
+    for (let k = count * 2 - 1; k >= 0; k--) {
+      const wp = waypoints[k % count];
+      const next = waypoints[(k + 1) % count];
+      const gap = Math.hypot(next.x - wp.x, next.y - wp.y);
+      wp.speed = Math.min(wp.speed, Math.sqrt(next.speed * next.speed + 4 * braking * gap));
+    }
+    return waypoints;
+  }
+  
+  // Short rows of coins between the item boxes, alternately on the inside
+  // and outside of the road so that collecting them means leaving the
+  // middle
+  buildCoinSpots(rows) {
+    const spots = [];
+    for (let row = 0; row < rows; row++) {
+      const start = (row + 0.25) / rows * this.length;
+      const side = row % 2 === 0 ? -1 : 1;
+      for (let i = 0; i < CONFIG.COIN_ROW_LENGTH; i++) {
+        const p = this.pointAt(start + i * CONFIG.COIN_SPACING);
+        const lateral = side * p.halfWidth * 0.6;
+        spots.push({ x: p.x + p.nx * lateral, y: p.y + p.ny * lateral });
+      }
+    }
+    return spots;
+  }
+  
+  // Pass the kart's next checkpoint if it drove through that gate this
+  // step, from (prevX, prevY). Gates count only in order, driven through
+  // the way the track runs, and after covering at least half the road from
+  // the gate before (see trackProgress), so cutting across to one or
+  // backing over one and driving through it again doesn't.
+  checkCheckpoint(kart, prevX, prevY, time) {
+    const checkpointCount = this.checkpoints.length;
+    const checkpoint = this.checkpoints[kart.checkpoint];
+    const crossed = crossesGate(checkpoint, prevX, prevY, kart.x, kart.y);
+    const earned = kart.lastCheckpoint < 0 || kart.trackDistance - kart.gateDistance > checkpoint.span / 2;
+    
+    if (crossed && earned) {
+      // A lap is done back at the start line, after every other checkpoint
+      const lapDone = kart.checkpoint === 0 && kart.lastCheckpoint === checkpointCount - 1;
+      kart.lastCheckpoint = kart.checkpoint;
+      kart.checkpoint = (kart.checkpoint + 1) % checkpointCount;
+      kart.splits.push(time);
+      kart.gateDistance = kart.trackDistance;
+      
+      if (lapDone) {
+        kart.lap++;
+        kart.lapTimes.push(time - kart.lapTimes.reduce((sum, t) => sum + t, 0));
+        
+        // Lap completion effects
+        if (kart.isPlayer) {
+          fx.shake(3, 0.2);
+          fx.vibrate([50, 50, 50]);
+        }
+        
+        if (kart.lap >= CONFIG.TOTAL_LAPS && !kart.finished) {
+          kart.finished = true;
+          kart.finishTime = time;
+        }
+      }
+    }
+    
+    // Checkpoints passed plus the share of the way to the next one. Off the
+    // grid that's how close the kart is to the start line.
+    const next = this.checkpoints[kart.checkpoint];
+    const covered = kart.lastCheckpoint < 0
+      ? next.span - ((next.s - kart.trackS) % this.length + this.length) % this.length
+      : kart.trackDistance - kart.gateDistance;
+    kart.totalProgress = kart.splits.length + Math.max(0, Math.min(1, covered / next.span));
+  }
+  
+  // Surface type under a projected position (see project())
+  surfaceAt(proj) {
+    const lane = proj.offset / proj.halfWidth;
+    const f = proj.s / this.length;
+    for (let i = this.surfaces.length - 1; i >= 0; i--) {
+      const zone = this.surfaces[i];
+      const inSpan = zone.from <= zone.to
+        ? f >= zone.from && f <= zone.to
+        : f >= zone.from || f <= zone.to;
+      if (inSpan && lane >= zone.lane[0] && lane <= zone.lane[1]) return zone.type;
+    }
+    return Math.abs(lane) > 1 ? this.offroad : 'road';
+  }
+  
+  getSurface(x, y) {
+    return this.surfaceAt(this.project(x, y));
+  }
+  
+  // Walk a surface zone along the centerline, calling fn(point, t) every
+  // sample spacing where t runs 0..1 over the zone
+  forEachZonePoint(zone, fn) {
+    const span = ((zone.to - zone.from) % 1 + 1) % 1 * this.length || this.length;
+    const steps = Math.max(1, Math.ceil(span / CONFIG.TRACK_SAMPLE_SPACING));
+    for (let i = 0; i <= steps; i++) {
+      fn(this.pointAt(zone.from * this.length + span * i / steps), i / steps);
+    }
+  }
+}
+
+// Whether a kart moving from (x1, y1) to (x2, y2) went through checkpoint
+// `gate` the way the track runs
+function crossesGate(gate, x1, y1, x2, y2) {
+  const forward = (x2 - x1) * Math.cos(gate.angle) + (y2 - y1) * Math.sin(gate.angle);
+  if (forward <= 0) return false;
+  
+  // The ends of each segment lie on opposite sides of the other
+  const cross = (o, p, qx, qy) => (p.x - o.x) * (qy - o.y) - (p.y - o.y) * (qx - o.x);
+  const from = { x: x1, y: y1 };
+  const to = { x: x2, y: y2 };
+  return (cross(gate.a, gate.b, x1, y1) > 0) !== (cross(gate.a, gate.b, x2, y2) > 0) &&
+    (cross(from, to, gate.a.x, gate.a.y) > 0) !== (cross(from, to, gate.b.x, gate.b.y) > 0);
+}
+
+// Uniform Catmull-Rom interpolation between p1 and p2
+function catmullRom(p0, p1, p2, p3, t) {
+  const t2 = t * t;
+  const t3 = t2 * t;
+  return 0.5 * (
+    2 * p1 +
+    (p2 - p0) * t +
+    (2 * p0 - 5 * p1 + 4 * p2 - p3) * t2 +
+    (3 * p1 - p0 - 3 * p2 + p3) * t3
+  );
+}
+
+// ============================================================================
+// POWER-UPS
+// ============================================================================
+
+class PowerUp {
+  constructor(x, y, rng) {
+    this.x = x;
+    this.y = y;
+    this.active = true;
+    this.respawnTimer = 0;
+    this.size = 28;
+    this.bobOffset = rng() * Math.PI * 2;
+    this.rotationOffset = rng() * Math.PI * 2;
+  }
+  
+  update(dt) {
+    if (!this.active) {
+      this.respawnTimer -= dt;
+      if (this.respawnTimer <= 0) {
+        this.active = true;
+      }
+    }
+    this.bobOffset += dt * 3;
+    this.rotationOffset += dt * 2;
+  }
+  
+  getState() {
+    return {
+      active: this.active,
+      respawnTimer: this.respawnTimer,
+      bobOffset: this.bobOffset,
+      rotationOffset: this.rotationOffset,
+    };
+  }
+  
+  setState(state) {
+    Object.assign(this, state);
+  }
+  
+  collect() {
+    this.active = false;
+    this.respawnTimer = 5;
+    
+    // Collection particles
+    fx.particles(this.x, this.y, 12, ['#FFD700', '#FFA500', '#FFFFFF'], [60, 120], [0.3, 0.5], [4, 8]);
+  }
+}
+
+// Item box odds per race mode. `tiers` are relative weights per item, from
+// the leader's table to last place's, filled in from each item's `weights`
+// as it is registered. A kart rolls on the tier for its place in the field
+// (spread over however many karts race), or on tier i + 1 once it is
+// `gaps[i]` laps or more behind the leader. Items left out of a tier never
+// come up on it.
+const ITEM_ODDS = {
+  race: {
+    tiers: [{}, {}, {}, {}],
+    gaps: [0.15, 0.35, 0.6],
+  },
+  battle: {
+    tiers: [{}],
+    gaps: [],
+  },
+};
+
+// The tier of `odds` a kart rolls on; `lapLength` is the checkpoints in a
+// lap, the unit of totalProgress. Also returns how many laps behind the
+// leader the kart is.
+function itemTier(kart, karts, odds, lapLength) {
+  const last = odds.tiers.length - 1;
+  let tier = karts.length > 1 ? Math.round((kart.position - 1) / (karts.length - 1) * last) : 0;
+  
+  const leader = Math.max(...karts.map(k => k.totalProgress));
+  const gap = (leader - kart.totalProgress) / lapLength;
+  odds.gaps.forEach((laps, i) => {
+    if (gap >= laps) tier = Math.max(tier, i + 1);
+  });
+  return { tier: Math.min(tier, last), gap };
+}
+
+// Roll the item for a kart that just hit an item box. It sits spinning in
+// the item slot for a moment before it can be used.
+function rollItem(kart, karts, odds, lapLength, rng) {
+  const { tier, gap } = itemTier(kart, karts, odds, lapLength);
+  const weights = odds.tiers[tier];
+  const total = Object.values(weights).reduce((sum, w) => sum + w, 0);
+  
+  let roll = rng() * total;
+  let item = null;
+  for (const [name, weight] of Object.entries(weights)) {
+    item = name;
+    roll -= weight;
+    if (roll < 0) break;
+  }
+  
+  kart.item = item;
+  kart.itemRoulette = CONFIG.ITEM_ROULETTE_TIME;
+  kart.lastRoll = { item, tier, gap, chance: weights[item] / total };
+}
+
+// ============================================================================
+// ITEM REGISTRY
+// ============================================================================
+
+// Every item an item box can give, keyed by id in registration order (the
+// built-in ones are under ITEM USAGE). A definition has:
+//
+//   id        what kart.item holds while a kart carries it
+//   icon      how the item slot shows it: an emoji, or a function
+//             (ctx, x, y, scale) drawing it centred on (x, y), which only
+//             the renderer calls. Without one a shell or hazard is drawn
+//             the way it looks on the track.
+//   color     the emoji's colour
+//   weights   item box weights per race mode, one per tier of ITEM_ODDS
+//             from the leader's to last place's, e.g. { race: [4, 3, 1, 0],
+//             battle: [2] }. A mode it leaves out never gives it.
+//   onUse     (kart, use) what using it does. `use` holds the race's karts,
+//             projectiles and hazards to add to, and `reverse` (a player
+//             braking as they use it).
+//   aiUse     (kart, ai, rng) whether a CPU kart uses it this step: a few
+//             words on why (which the race logs, see Race.aiLog) or null to
+//             keep it. `ai` holds the karts, projectiles, track, battle flag
+//             (and in a battle the nearest `rival`), the mark and how far
+//             the kart's heading is off it (`aim`). Defaults to what suits
+//             the item's kind, see defaultAiUse.
+//   aiMark    (kart, ai) the kart a CPU kart steers at before using it, or
+//             null. Defaults to a kart just ahead (the nearest rival in a
+//             battle) for a shot that doesn't home. In a battle, aiUse is
+//             only asked about the mark once there is one.
+//   projectile  a shot it puts out, see Projectile
+//   hazard      something it leaves on the track, see Hazard
+//   onUpdate  (entity, dt, world) runs every step for each of its shots
+//             or hazards, after they move. `world` holds the track, karts,
+//             race time and battle flag.
+//   onHit     (entity, kart, world) what its shot or hazard does to a kart
+//             that runs into it. Defaults to spinning the kart out.
+const ITEMS = {};
+
+function registerItem(item) {
+  if (!item.id || typeof item.onUse !== 'function') {
+    throw new Error('An item needs an id and an onUse hook');
+  }
+  if (ITEMS[item.id]) throw new Error(`Item "${item.id}" is already registered`);
+  const weights = Object.entries(item.weights || {});
+  for (const [mode] of weights) {
+    if (!ITEM_ODDS[mode]) throw new Error(`Unknown race mode "${mode}"`);
+  }
+  
+  ITEMS[item.id] = {
+    aiUse: defaultAiUse(item),
+    aiMark: item.projectile && !item.projectile.homing ? shotMark : null,
+    onUpdate: null,
+    onHit: (entity, kart, world) => knockOut(kart, world.time, world.battle),
+    ...item,
+  };
+  
+  for (const [mode, modeWeights] of weights) {
+    const { tiers } = ITEM_ODDS[mode];
+    modeWeights.forEach((weight, tier) => {
+      if (weight > 0 && tiers[tier]) tiers[tier][item.id] = weight;
+    });
+  }
+  return ITEMS[item.id];
+}
+
+// ============================================================================
+// PROJECTILES
+// ============================================================================
+
+// A shot flies the way its item's `projectile` says: `speed` in px/s (a
+// kart at top speed covers about 100 px/s) for `life` seconds, glancing off
+// `bounces` walls before it breaks. Homing shots follow the track to their
+// target, the kart a place ahead of the thrower ('ahead') or whoever is
+// leading ('leader'), and turn `turn` radians a second. A `flying` shot
+// sails over the walls and the karts; its item's onUpdate decides where it
+// comes down. `color` is the shell's and `trail` its particles'.
+class Projectile extends Body {
+  constructor(type, x, y, angle, owner, target) {
+    super();
+    this.type = type;
+    this.x = x;
+    this.y = y;
+    this.angle = angle;
+    this.owner = owner;     // index of the thrower in the race's karts
+    this.target = target;   // index of the kart it homes on, -1 for none
+    this.age = 0;
+    this.bounces = 0;
+    this.trailTimer = 0;
+    this.dead = false;
+    
+    // Drawn pose, blended between steps like a kart's
+    this.resetPose();
+  }
+  
+  update(dt, track, karts) {
+    const kind = ITEMS[this.type].projectile;
+    this.age += dt;
+    if (this.age >= kind.life) {
+      this.shatter();
+      return;
+    }
+    
+    // Homing shots run the racing line until the target is in sight up
+    // ahead; the spiny chases whoever leads right now
+    if (kind.homing) {
+      if (kind.homing === 'leader') this.target = projectileTarget('leader', karts, this.owner);
+      const target = karts[this.target];
+      let aim = waypointAngle(this, track, 1);
+      if (target && !target.finished && Math.hypot(target.x - this.x, target.y - this.y) < CONFIG.HOMING_RANGE) {
+        const toTarget = Math.atan2(target.y - this.y, target.x - this.x);
+        const inSight = track.getTrackDistance((this.x + target.x) / 2, (this.y + target.y) / 2) < 0.9;
+        if (inSight && Math.cos(toTarget - this.angle) > 0) aim = toTarget;
+      }
+      let turn = aim - this.angle;
+      while (turn > Math.PI) turn -= Math.PI * 2;
+      while (turn < -Math.PI) turn += Math.PI * 2;
+      this.angle += Math.sign(turn) * Math.min(Math.abs(turn), kind.turn * dt);
+    }
+    
+    this.x += Math.cos(this.angle) * kind.speed * dt;
+    this.y += Math.sin(this.angle) * kind.speed * dt;
+    
+    if (!kind.flying) this.bounce(track, kind);
+    
+    this.trailTimer -= dt;
+    if (this.trailTimer <= 0) {
+      this.trailTimer = 0.04;
+      fx.particles(this.x, this.y, 1, kind.trail, [10, 30], [0.2, 0.4], [2, 4]);
+    }
+  }
+  
+  // Glance off the wall like a ball off a cushion, or break on it
+  bounce(track, kind) {
+    const proj = track.project(this.x, this.y);
+    const limit = proj.halfWidth + track.runoff - CONFIG.PROJECTILE_RADIUS;
+    if (Math.abs(proj.offset) <= limit) return;
+    
+    if (this.bounces >= kind.bounces) {
+      this.shatter();
+      return;
+    }
+    this.bounces++;
+    
+    const side = Math.sign(proj.offset);
+    const nx = proj.nx * side;
+    const ny = proj.ny * side;
+    const dx = Math.cos(this.angle);
+    const dy = Math.sin(this.angle);
+    const along = dx * nx + dy * ny;
+    if (along > 0) this.angle = Math.atan2(dy - 2 * along * ny, dx - 2 * along * nx);
+    
+    this.x = proj.x + nx * limit;
+    this.y = proj.y + ny * limit;
+  }
+  
+  shatter() {
+    this.dead = true;
+    fx.particles(this.x, this.y, 8, ITEMS[this.type].projectile.trail, [40, 100], [0.2, 0.4], [3, 5]);
+  }
+}
+
+// The kart a homing shot thrown by karts[owner] goes after, as an index
+// into `karts`: the one a place ahead of the thrower, or the leader (the
+// runner-up when the thrower leads). -1 when there is nobody to chase.
+function projectileTarget(homing, karts, owner) {
+  const thrower = karts[owner];
+  let place = thrower.position - 1;
+  if (homing === 'leader') place = thrower.position === 1 ? 2 : 1;
+  return karts.findIndex(k => k !== thrower && k.position === place && !k.finished);
+}
+
+// Move every shot and hit the karts they reach. Returns the shots still
+// flying.
+function updateProjectiles(projectiles, karts, track, dt, time, battle) {
+  const world = { track, karts, time, battle };
+  for (const shot of projectiles) {
+    const item = ITEMS[shot.type];
+    shot.update(dt, track, karts);
+    if (!shot.dead && item.onUpdate) item.onUpdate(shot, dt, world);
+    if (shot.dead || item.projectile.flying) continue;
+    
+    // Shells pass under karts in the air
+    for (let i = 0; i < karts.length; i++) {
+      const kart = karts[i];
+      if (kart.finished || kart.airborne) continue;
+      if (i === shot.owner && shot.age < CONFIG.PROJECTILE_ARM_TIME) continue;
+      if (Math.hypot(kart.x - shot.x, kart.y - shot.y) < CONFIG.PROJECTILE_RADIUS + 12) {
+        item.onHit(shot, kart, world);
+        shot.shatter();
+        break;
+      }
+    }
+  }
+  return projectiles.filter(shot => !shot.dead);
+}
+
+// A shell or blast spins the kart out (unless a shield soaks it) and in a
+// battle costs it a balloon. The spin-out flash keeps one hit from popping
+// several balloons.
+function knockOut(kart, time, battle) {
+  if (battle && kart.flashTimer > 0) return;
+  if (kart.hit() && battle) {
+    popBalloon(kart, time);
+  }
+}
+
+// ============================================================================
+// HAZARDS
+// ============================================================================
+
+// Something left lying on the track, the way its item's `hazard` says. It
+// catches whoever drives into it (within `radius`) and goes after `uses`
+// karts or `life` seconds. CPU karts only steer round the `visible` ones,
+// so a fake item box fools them.
+class Hazard extends Body {
+  constructor(type, x, y, angle, owner, thrownSpeed = 0) {
+    super();
+    this.type = type;
+    this.x = x;
+    this.y = y;
+    this.angle = angle;
+    this.owner = owner;           // index of the kart that left it
+    this.speed = thrownSpeed;     // px/s while flying after a forward throw
+    this.flight = thrownSpeed > 0 ? CONFIG.HAZARD_THROW_TIME : 0;
+    this.z = 0;
+    this.age = 0;
+    this.uses = ITEMS[type].hazard.uses;
+    this.dead = false;
+    
+    this.resetPose();
+  }
+  
+  // Lying on the track where karts can run into it
+  get landed() {
+    return this.flight <= 0;
+  }
+  
+  update(dt, track) {
+    this.age += dt;
+    if (this.age >= ITEMS[this.type].hazard.life) {
+      this.dead = true;
+      return;
+    }
+    if (this.landed) return;
+    
+    // A thrown hazard arcs forward and stops where it lands, short of the
+    // wall
+    this.flight -= dt;
+    this.x += Math.cos(this.angle) * this.speed * dt;
+    this.y += Math.sin(this.angle) * this.speed * dt;
+    this.z = Math.sin(Math.max(0, this.flight) / CONFIG.HAZARD_THROW_TIME * Math.PI) * CONFIG.RAMP_HEIGHT;
+    
+    const proj = track.project(this.x, this.y);
+    const limit = proj.halfWidth + track.runoff - ITEMS[this.type].hazard.radius;
+    if (Math.abs(proj.offset) > limit) {
+      const side = Math.sign(proj.offset);
+      this.x = proj.x + proj.nx * side * limit;
+      this.y = proj.y + proj.ny * side * limit;
+    }
+    if (this.landed) {
+      this.z = 0;
+      fx.particles(this.x, this.y, 5, ['#FFFFFF', '#D5D8DC'], [30, 60], [0.2, 0.3], [2, 4]);
+    }
+  }
+  
+  // Hit `kart` with the hazard if it has run into it
+  trigger(kart, owned, world) {
+    if (!this.landed || (owned && this.age < CONFIG.PROJECTILE_ARM_TIME)) return;
+    // Already spinning from this or something else
+    if (kart.flashTimer > 0) return;
+    if (Math.hypot(kart.x - this.x, kart.y - this.y) > ITEMS[this.type].hazard.radius + 10) return;
+    
+    ITEMS[this.type].onHit(this, kart, world);
+    this.uses--;
+    if (this.uses <= 0) this.dead = true;
+  }
+}
+
+// Step every hazard. Returns the ones still on the track.
+function updateHazards(hazards, karts, track, dt, time, battle) {
+  const world = { track, karts, time, battle };
+  for (const hazard of hazards) {
+    const item = ITEMS[hazard.type];
+    hazard.update(dt, track);
+    if (!hazard.dead && item.onUpdate) item.onUpdate(hazard, dt, world);
+  }
+  return hazards.filter(hazard => !hazard.dead);
+}
+
+// ============================================================================
+// COINS
+// ============================================================================
+
+// A coin on the track. Track coins sit on their spot and come back a while
+// after they're taken; coins a kart spills fly out from it, slide to a stop
+// and are gone once taken or after a while.
+class Coin extends Body {
+  constructor(x, y, owner = -1, angle = 0) {
+    super();
+    this.x = x;
+    this.y = y;
+    this.active = true;
+    this.respawnTimer = 0;
+    this.spilled = owner >= 0;
+    this.owner = owner;     // index of the kart that spilled it
+    this.angle = angle;
+    this.speed = this.spilled ? CONFIG.COIN_SPILL_SPEED : 0;
+    this.flight = this.spilled ? CONFIG.COIN_SPILL_TIME : 0;
+    this.z = 0;
+    this.age = 0;
+    this.dead = false;
+    
+    this.resetPose();
+  }
+  
+  update(dt, track) {
+    this.age += dt;
+    if (!this.spilled) {
+      if (!this.active) {
+        this.respawnTimer -= dt;
+        if (this.respawnTimer <= 0) this.active = true;
+      }
+      return;
+    }
+    
+    if (this.age >= CONFIG.COIN_DROP_LIFE) {
+      this.dead = true;
+      return;
+    }
+    if (this.speed <= 0) return;
+    
+    // Bounce out of the kart and skid to a stop, short of the wall
+    this.x += Math.cos(this.angle) * this.speed * dt;
+    this.y += Math.sin(this.angle) * this.speed * dt;
+    this.speed = Math.max(0, this.speed - CONFIG.COIN_SPILL_SPEED * 1.5 * dt);
+    if (this.flight > 0) {
+      this.flight = Math.max(0, this.flight - dt);
+      this.z = Math.sin(this.flight / CONFIG.COIN_SPILL_TIME * Math.PI) * CONFIG.RAMP_HEIGHT;
+    }
+    
+    const proj = track.project(this.x, this.y);
+    const limit = proj.halfWidth + track.runoff - CONFIG.COIN_RADIUS;
+    if (Math.abs(proj.offset) > limit) {
+      const side = Math.sign(proj.offset);
+      this.x = proj.x + proj.nx * side * limit;
+      this.y = proj.y + proj.ny * side * limit;
+    }
+  }
+  
+  // Whether `kart` (index `index`) picks the coin up now. Spilled coins
+  // can't be caught in the air, or straight back by the kart that lost
+  // them.
+  reachedBy(kart, index) {
+    if (!this.active || this.dead || this.flight > 0 || kart.airborne) return false;
+    if (this.spilled && index === this.owner && this.age < CONFIG.COIN_REGRAB_TIME) return false;
+    return Math.hypot(kart.x - this.x, kart.y - this.y) < CONFIG.COIN_RADIUS + 12;
+  }
+  
+  collect(kart) {
+    kart.coins++;
+    if (this.spilled) {
+      this.dead = true;
+    } else {
+      this.active = false;
+      this.respawnTimer = CONFIG.COIN_RESPAWN;
+    }
+    fx.particles(this.x, this.y, 5, ['#FFD700', '#FFF3B0', '#FFFFFF'], [30, 70], [0.2, 0.3], [2, 4]);
+    if (kart.isPlayer) fx.sound('coin');
+  }
+}
+
+// Scatter the coins karts knocked loose this step, move the loose ones and
+// let karts below the cap pick up any they reach. Returns the coins still
+// in play.
+function updateCoins(coins, karts, track, dt, rng) {
+  karts.forEach((kart, index) => {
+    for (; kart.coinSpill > 0; kart.coinSpill--) {
+      coins.push(new Coin(kart.x, kart.y, index, rng() * Math.PI * 2));
+    }
+  });
+  
+  for (const coin of coins) {
+    coin.update(dt, track);
+  }
+  
+  karts.forEach((kart, index) => {
+    if (kart.finished || kart.coins >= CONFIG.COIN_MAX) return;
+    for (const coin of coins) {
+      if (kart.coins < CONFIG.COIN_MAX && coin.reachedBy(kart, index)) coin.collect(kart);
+    }
+  });
+  return coins.filter(coin => !coin.dead);
+}
+
+// ============================================================================
+// PHYSICS ENGINE
+// ============================================================================
+
+function updatePlayerKart(kart, input, dt, karts, projectiles, hazards, rng) {
+  if (kart.finished) return;
+  
+  // No throttle or steering in the air, the kart carries its momentum
+  if (kart.airborne) {
+    moveKart(kart, kart.angle + kart.driftAngleOffset, dt);
+    kart.update(dt);
+    return;
+  }
+  
+  driveKart(kart, input, dt, rng);
+  
+  // Use item
+  if (input.useItem && kart.item) {
+    useItem(kart, karts, projectiles, hazards, input.down);
+  }
+  
+  kart.update(dt);
+}
+
+// Throttle, steering and drifting for one step of controls. Players and
+// CPU drivers both drive through here, so they play by the same rules.
+function driveKart(kart, input, dt, rng) {
+  const maxSpeed = kart.getMaxSpeed();
+  kart.throttle = input.up;
+  
+  // Acceleration (including touch joystick for vertical movement if needed)
+  if (input.up) {
+    kart.speed += CONFIG.ACCELERATION * kart.stats.acceleration * dt;
+  } else if (input.down) {
+    // Brake to a standstill, then back up slowly
+    kart.speed -= (kart.speed > 0 ? CONFIG.BRAKE_POWER : CONFIG.ACCELERATION * 0.5) * dt;
+  } else if (kart.speed > 0) {
+    kart.speed = Math.max(0, kart.speed - CONFIG.DECELERATION * dt * 0.5);
+  } else {
+    kart.speed = Math.min(0, kart.speed + CONFIG.DECELERATION * dt * 0.5);
+  }
+  
+  kart.speed = Math.max(-CONFIG.REVERSE_SPEED, Math.min(maxSpeed, kart.speed));
+  
+  // Steering
+  const speedFactor = 1 - (Math.abs(kart.speed) / CONFIG.MAX_SPEED) * CONFIG.STEERING_SPEED_FACTOR;
+  // Joystick magnitude gives more nuanced steering
+  const steerRate = CONFIG.STEERING_BASE * kart.stats.handling * speedFactor * input.steer;
+  
+  let steering = 0;
+  if (input.left) steering = -1;
+  if (input.right) steering = 1;
+  
+  // Drift mechanics: a drift starts with a steer and then holds its
+  // direction for as long as the drift button is down
+  if (input.drift && kart.speed > 50 && (steering !== 0 || kart.drifting)) {
+    if (!kart.drifting) {
+      kart.drifting = true;
+      kart.driftDirection = steering;
+      kart.driftTier = 0;
+      kart.hopTimer = CONFIG.DRIFT_HOP_TIME;
+      if (kart.isPlayer) fx.vibrate(30);
+    }
+    
+    // The kart always turns into the drift; steering tightens the line and
+    // counter-steering widens it. The wide line is what charges the
+    // mini-turbo quickly, so a good drift works the stick both ways.
+    const counterSteering = steering === -kart.driftDirection;
+    const turn = steering === kart.driftDirection ? 1 : counterSteering ? 0.3 : 0.6;
+    const charge = counterSteering ? CONFIG.DRIFT_COUNTER_CHARGE : CONFIG.DRIFT_HOLD_CHARGE;
+    
+    kart.driftBoost = Math.min(CONFIG.DRIFT_BOOST_MAX, kart.driftBoost + CONFIG.DRIFT_BOOST_RATE * charge * kart.stats.drift * dt);
+    kart.driftAngleOffset += kart.driftDirection * steerRate * 0.5 * dt;
+    kart.driftAngleOffset = Math.max(-0.5, Math.min(0.5, kart.driftAngleOffset));
+    kart.angle += kart.driftDirection * steerRate * turn * 0.7 * dt;
+    // A drift runs a little under top speed
+    kart.speed = Math.min(kart.speed, maxSpeed * CONFIG.DRIFT_GRIP * SURFACES[kart.surface].driftGrip);
+    
+    // Tier up
+    const next = DRIFT_TIERS[kart.driftTier];
+    if (next && kart.driftBoost >= next.charge) {
+      kart.driftTier++;
+      kart.tierFlash = 0.3;
+      fx.particles(
+        kart.x - Math.cos(kart.angle) * 12,
+        kart.y - Math.sin(kart.angle) * 12,
+        8, next.sparks, [60, 120], [0.2, 0.4], [2, 5]
+      );
+      if (kart.isPlayer) {
+        fx.sound(`driftTier${kart.driftTier}`);
+        fx.vibrate(15);
+      }
+    }
+    
+    // Drift sparks in the colour of the tier reached
+    if (rng() < 0.3) {
+      const colors = kart.driftTier > 0 ? DRIFT_TIERS[kart.driftTier - 1].sparks : ['#FFFF00', '#FFA500'];
+      fx.particles(
+        kart.x - Math.cos(kart.angle) * 12,
+        kart.y - Math.sin(kart.angle) * 12,
+        2, colors, [30, 80], [0.1, 0.3], [2, 4]
+      );
+    }
+    
+  } else {
+    if (kart.drifting) {
+      if (kart.driftTier > 0) {
+        const tier = DRIFT_TIERS[kart.driftTier - 1];
+        kart.applyBoost(tier.speed, tier.duration);
+        if (kart.isPlayer) {
+          fx.sound('miniTurbo');
+          fx.vibrate([30, 20, 50]);
+        }
+      }
+      kart.drifting = false;
+      kart.driftAngleOffset = 0;
+      kart.driftBoost = 0;
+      kart.driftTier = 0;
+    }
+    
+    // Backing up swings the nose the other way, like a car
+    kart.angle += steering * steerRate * dt * (kart.speed < 0 ? -1 : 1);
+  }
+  
+  moveKart(kart, kart.angle + kart.driftAngleOffset, dt);
+}
+
+function updateAIKart(kart, dt, track, playerKart, allKarts, projectiles, hazards, rng, log) {
+  if (kart.finished) return;
+  
+  if (kart.airborne) {
+    moveKart(kart, kart.angle, dt);
+    kart.update(dt);
+    return;
+  }
+  
+  const { skill, personality } = kart;
+  kart.aiTimer += dt;
+  
+  // Chase a point on the racing line a little way ahead, further the
+  // faster the kart goes
+  const proj = track.project(kart.x, kart.y);
+  kart.aiWaypointIndex = Math.round(proj.s / track.length * track.waypoints.length) % track.waypoints.length;
+  const aim = track.racingLineAt(proj.s + CONFIG.AI_LOOKAHEAD + kart.speed * CONFIG.AI_LOOKAHEAD_TIME);
+  let targetAngle = Math.atan2(aim.y - kart.y, aim.x - kart.x);
+  
+  // Weaker drivers never quite hold the racing line
+  if (skill.wander > 0) {
+    targetAngle += Math.sin(kart.aiTimer * 1.3 + kart.aiPhase) * skill.wander;
+  }
+  
+  // Steer back toward the middle of the road when running wide or cutting in
+  const edge = Math.abs(proj.offset) / proj.halfWidth;
+  const wide = CONFIG.AI_LINE_MARGIN + 0.1;
+  if (edge > wide) {
+    targetAngle -= Math.sign(proj.offset) * (edge - wide) * 2;
+  }
+  
+  // Blockers weave across the nose of whoever is on their tail
+  const chaser = tailgater(kart, allKarts);
+  if (personality.block > 0 && chaser && edge < 0.5) {
+    const side = (chaser.y - kart.y) * Math.cos(kart.angle) - (chaser.x - kart.x) * Math.sin(kart.angle);
+    targetAngle += Math.sign(side) * 0.25 * personality.block;
+  }
+  
+  // Hoarders keep their item for the last lap, or for someone on their tail
+  const hoarding = personality.hoard && kart.lap < CONFIG.TOTAL_LAPS - 1 && !chaser;
+  
+  // Line an aimed item up on its mark, as long as it's safe to leave the
+  // racing line
+  const item = kart.item && !hoarding ? ITEMS[kart.item] : null;
+  const ai = { karts: allKarts, projectiles, hazards, track, battle: false, mark: null, aim: 0 };
+  const mark = item && item.aiMark ? item.aiMark(kart, ai) : null;
+  ai.mark = mark;
+  if (mark && edge < 0.5) {
+    targetAngle = Math.atan2(mark.y - kart.y, mark.x - kart.x);
+  }
+  targetAngle = avoidHazards(kart, targetAngle, hazards);
+  
+  // Now and then a weaker driver runs wide and lifts off
+  if (kart.aiMistake > 0) {
+    kart.aiMistake -= dt;
+    targetAngle += kart.aiMistakeSide * 0.6;
+  } else if (skill.mistakes > 0 && rng() < skill.mistakes * dt) {
+    kart.aiMistake = 0.6;
+    kart.aiMistakeSide = rng() < 0.5 ? -1 : 1;
+  }
+  
+  // Slow reactions steer on where the road went at the last look
+  kart.aiLookTimer -= dt;
+  if (kart.aiLookTimer <= 0) {
+    kart.aiLookTimer = skill.reaction;
+    kart.aiSeenAngle = targetAngle;
+  }
+  
+  // Aim the way the kart is actually going, which a drift swings out
+  let angleDiff = kart.aiSeenAngle - (kart.angle + kart.driftAngleOffset);
+  while (angleDiff > Math.PI) angleDiff -= Math.PI * 2;
+  while (angleDiff < -Math.PI) angleDiff += Math.PI * 2;
+  
+  if (aiBackOff(kart, kart.aiSeenAngle, dt, rng)) return;
+  
+  let targetSpeed = kart.topSpeed() * 0.85 * skill.pace;
+  if (kart.aiMistake > 0) targetSpeed *= 0.8;
+  
+  if (playerKart && skill.rubberBand > 0) {
+    const positionDiff = kart.totalProgress - playerKart.totalProgress;
+    
+    if (positionDiff > 0.5) {
+      targetSpeed *= (1 - skill.rubberBand * 0.5);
+    } else if (positionDiff < -0.5) {
+      targetSpeed *= (1 + skill.rubberBand);
+    }
+  }
+  
+  // Keep clear of other karts, careful drivers by a wider margin
+  const berth = 1 + personality.caution * 0.5;
+  for (const other of allKarts) {
+    if (other === kart) continue;
+    
+    const dist = Math.hypot(other.x - kart.x, other.y - kart.y);
+    if (dist < 60 * berth) {
+      const avoidAngle = Math.atan2(kart.y - other.y, kart.x - other.x);
+      let avoidDiff = avoidAngle - kart.angle;
+      while (avoidDiff > Math.PI) avoidDiff -= Math.PI * 2;
+      while (avoidDiff < -Math.PI) avoidDiff += Math.PI * 2;
+      
+      kart.angle += Math.sign(avoidDiff) * 0.5 * dt;
+    }
+    if (dist < 40 * berth) {
+      targetSpeed *= 0.9;
+    }
+  }
+  
+  // The racing line's speed here, which handling stretches and weaker and
+  // careful drivers leave a margin under. Above it the kart brakes; below the
+  // driver's own pace it accelerates, and a boost it rides up to the line's
+  // speed.
+  const count = track.waypoints.length;
+  const here = track.waypoints[kart.aiWaypointIndex];
+  const next = track.waypoints[(kart.aiWaypointIndex + 1) % count];
+  let lineSpeed = Math.min(here.speed, next.speed) * kart.stats.handling * skill.cornering * (1 - personality.caution * 0.15);
+  // Knocked off line, slow to where the steering can swing the kart back
+  // round within half a second
+  const lock = Math.abs(angleDiff) * 2 / (CONFIG.STEERING_BASE * kart.stats.handling);
+  lineSpeed = Math.min(lineSpeed, CONFIG.MAX_SPEED / CONFIG.STEERING_SPEED_FACTOR * Math.max(0, 1 - lock));
+  const input = { ...IDLE_INPUT };
+  input.up = kart.speed < Math.min(targetSpeed, lineSpeed) || (kart.boosting && kart.speed < lineSpeed);
+  input.down = kart.speed > lineSpeed + 10;
+  
+  // Drift through the bends: in when the line just ahead turns hard, out
+  // (firing the mini-turbo) once it straightens or before running wide
+  let bend = 0;
+  for (let i = 1; i <= 4; i++) bend += track.waypoints[(kart.aiWaypointIndex + i) % count].turn;
+  let turn = 0;
+  if (kart.drifting) {
+    // Steer into the drift only to tighten it; the rest of the time work
+    // against it, which charges the mini-turbo fastest. Hold on at least
+    // until it's charged, unless the bend ends or the kart runs wide.
+    const want = angleDiff * kart.driftDirection;
+    const outside = -proj.offset * kart.driftDirection / proj.halfWidth;
+    turn = want > 0.1 ? kart.driftDirection : -kart.driftDirection;
+    const charged = kart.driftTier === DRIFT_TIERS.length;
+    input.drift = bend * kart.driftDirection > (kart.driftTier > 0 ? CONFIG.AI_DRIFT_TURN * 0.3 : 0) && outside < 0.9 && want > -0.4 && want < 0.6 && !charged;
+  } else if (Math.abs(bend) > CONFIG.AI_DRIFT_TURN && kart.speed > 80 && !kart.boosting && edge < 0.7 &&
+             angleDiff * Math.sign(bend) > 0.1 && angleDiff * Math.sign(bend) < 0.5) {
+    turn = Math.sign(bend);
+    input.drift = true;
+  } else if (Math.abs(angleDiff) > 0.01) {
+    turn = Math.sign(angleDiff);
+    input.steer = Math.min(1, Math.abs(angleDiff) * 4);
+  }
+  input.left = turn < 0;
+  input.right = turn > 0;
+  
+  driveKart(kart, input, dt, rng);
+  
+  ai.aim = angleDiff;
+  if (item) aiUseItem(kart, item, ai, rng, log);
+  
+  kart.update(dt);
+}
+
+// Battle AI: collect item boxes until it has an item with a mark (a boost
+// to ram with or a green shell to throw), then hunt the nearest kart still
+// holding balloons and use it once its aiUse says the rival is lined up
+function updateBattleAIKart(kart, dt, track, allKarts, powerUps, projectiles, hazards, rng, log) {
+  if (kart.finished) return;
+  
+  if (kart.airborne) {
+    moveKart(kart, kart.angle, dt);
+    kart.update(dt);
+    return;
+  }
+  
+  const distanceTo = other => Math.hypot(other.x - kart.x, other.y - kart.y);
+  const nearest = list => list.reduce((best, other) => (!best || distanceTo(other) < distanceTo(best) ? other : best), null);
+  const rival = nearest(allKarts.filter(other => other !== kart && !other.popped));
+  
+  // Items with a mark are saved for the rival; the rest are used when their
+  // aiUse sees a reason to
+  const item = kart.item ? ITEMS[kart.item] : null;
+  const ai = { karts: allKarts, projectiles, hazards, track, battle: true, rival, mark: null, aim: 0 };
+  const mark = item && item.aiMark && rival ? item.aiMark(kart, ai) : null;
+  ai.mark = mark;
+  
+  let target = rival;
+  if (!mark && !kart.boosting) {
+    target = nearest(powerUps.filter(p => p.active)) || rival;
+  }
+  
+  // Straight at the target when nothing is in the way, otherwise the short
+  // way round the arena
+  let targetAngle;
+  if (!target) {
+    targetAngle = waypointAngle(kart, track, 1);
+  } else if (track.getTrackDistance((kart.x + target.x) / 2, (kart.y + target.y) / 2) < 0.9) {
+    targetAngle = Math.atan2(target.y - kart.y, target.x - kart.x);
+  } else {
+    const ahead = (track.project(target.x, target.y).s - track.project(kart.x, kart.y).s + track.length) % track.length;
+    targetAngle = waypointAngle(kart, track, ahead < track.length / 2 ? 1 : -1);
+  }
+  targetAngle = avoidHazards(kart, targetAngle, hazards);
+  if (aiBackOff(kart, targetAngle, dt, rng)) return;
+  
+  const angleDiff = steerToward(kart, targetAngle, dt);
+  
+  // Ease off to turn in tight
+  const targetSpeed = kart.topSpeed() * kart.skill.pace * (Math.abs(angleDiff) > 1 ? 0.5 : 0.8);
+  approachSpeed(kart, targetSpeed, dt);
+  moveKart(kart, kart.angle, dt);
+  
+  ai.aim = angleDiff;
+  if (item && (mark || !item.aiMark)) aiUseItem(kart, item, ai, rng, log);
+  
+  kart.update(dt);
+}
+
+// Barely moving for a moment means something is in the way: back off,
+// swinging the nose round toward `targetAngle`, then drive on. True while
+// backing off, when the kart has already been driven for this step.
+function aiBackOff(kart, targetAngle, dt, rng) {
+  kart.aiStuckTimer = Math.abs(kart.speed) < 15 ? kart.aiStuckTimer + dt : 0;
+  if (kart.aiStuckTimer > CONFIG.AI_STUCK_TIME) {
+    kart.aiStuckTimer = 0;
+    kart.aiReverse = CONFIG.AI_REVERSE_TIME;
+  }
+  if (kart.aiReverse <= 0) return false;
+  
+  let angleDiff = targetAngle - (kart.angle + kart.driftAngleOffset);
+  while (angleDiff > Math.PI) angleDiff -= Math.PI * 2;
+  while (angleDiff < -Math.PI) angleDiff += Math.PI * 2;
+  
+  kart.aiReverse -= dt;
+  driveKart(kart, { ...IDLE_INPUT, down: true, left: angleDiff > 0, right: angleDiff < 0 }, dt, rng);
+  kart.update(dt);
+  return true;
+}
+
+// Use a CPU kart's item once it has stopped spinning in the slot, if its
+// aiUse finds a reason to, and `log` the reason
+function aiUseItem(kart, item, ai, rng, log) {
+  if (kart.itemRoulette > 0) return;
+  const why = item.aiUse(kart, ai, rng);
+  if (!why) return;
+  log(kart, item.id, why);
+  useItem(kart, ai.karts, ai.projectiles, ai.hazards);
+}
+
+// The nearest kart worth a green shell from `kart`: close, in a narrow
+// cone ahead and with no wall in between
+function shellMark(kart, karts, track) {
+  let mark = null;
+  let markDist = CONFIG.AI_SHELL_RANGE;
+  for (const other of karts) {
+    if (other === kart || other.finished) continue;
+    
+    const dist = Math.hypot(other.x - kart.x, other.y - kart.y);
+    if (dist > markDist) continue;
+    
+    let off = Math.atan2(other.y - kart.y, other.x - kart.x) - kart.angle;
+    while (off > Math.PI) off -= Math.PI * 2;
+    while (off < -Math.PI) off += Math.PI * 2;
+    if (Math.abs(off) > 0.5) continue;
+    
+    if (track.getTrackDistance((kart.x + other.x) / 2, (kart.y + other.y) / 2) > 0.9) continue;
+    mark = other;
+    markDist = dist;
+  }
+  return mark;
+}
+
+// The first kart found right on this kart's tail, or null
+function tailgater(kart, karts) {
+  return karts.find((other) => {
+    if (other === kart || other.finished) return false;
+    const dx = other.x - kart.x;
+    const dy = other.y - kart.y;
+    const behind = -(dx * Math.cos(kart.angle) + dy * Math.sin(kart.angle));
+    return behind > 0 && Math.hypot(dx, dy) < 120;
+  }) || null;
+}
+
+// Turn `targetAngle` away from the nearest hazard the kart can see lying in
+// its path
+function avoidHazards(kart, targetAngle, hazards) {
+  const cos = Math.cos(kart.angle);
+  const sin = Math.sin(kart.angle);
+  let nearest = null;
+  let nearestAhead = CONFIG.AI_HAZARD_LOOKAHEAD;
+  let nearestSide = 0;
+  
+  for (const hazard of hazards) {
+    if (!ITEMS[hazard.type].hazard.visible || !hazard.landed) continue;
+    const dx = hazard.x - kart.x;
+    const dy = hazard.y - kart.y;
+    const ahead = dx * cos + dy * sin;
+    const side = dy * cos - dx * sin;   // > 0 when it's to the kart's right
+    if (ahead <= 0 || ahead >= nearestAhead) continue;
+    if (Math.abs(side) > ITEMS[hazard.type].hazard.radius + 20) continue;
+    nearest = hazard;
+    nearestAhead = ahead;
+    nearestSide = side;
+  }
+  if (!nearest) return targetAngle;
+  
+  // Swerve harder the closer it is
+  const urgency = 1 - nearestAhead / CONFIG.AI_HAZARD_LOOKAHEAD;
+  return targetAngle - (nearestSide >= 0 ? 1 : -1) * (0.3 + 0.6 * urgency);
+}
+
+// Angle to a waypoint three ahead along the track (direction 1) or behind
+// it (-1), or closer when the straight line there would cut across the
+// infield of a tight corner
+function waypointAngle(kart, track, direction) {
+  const count = track.waypoints.length;
+  const current = track.getNearestWaypoint(kart.x, kart.y);
+  let lookahead = 3;
+  let target = track.waypoints[(current + direction * lookahead + count) % count];
+  while (lookahead > 1 && track.getTrackDistance((kart.x + target.x) / 2, (kart.y + target.y) / 2) > 0.8) {
+    lookahead--;
+    target = track.waypoints[(current + direction * lookahead + count) % count];
+  }
+  return Math.atan2(target.y - kart.y, target.x - kart.x);
+}
+
+// Turn at the AI steering rate; returns how far off the heading still is
+function steerToward(kart, targetAngle, dt) {
+  let angleDiff = targetAngle - kart.angle;
+  while (angleDiff > Math.PI) angleDiff -= Math.PI * 2;
+  while (angleDiff < -Math.PI) angleDiff += Math.PI * 2;
+  
+  const steerRate = CONFIG.STEERING_BASE * kart.stats.handling * 0.8;
+  if (Math.abs(angleDiff) > 0.1) {
+    kart.angle += Math.sign(angleDiff) * Math.min(Math.abs(angleDiff), steerRate * dt);
+  }
+  return angleDiff;
+}
+
+function approachSpeed(kart, targetSpeed, dt) {
+  if (kart.speed < targetSpeed) {
+    kart.speed += CONFIG.ACCELERATION * kart.stats.acceleration * 0.8 * dt;
+  } else {
+    kart.speed -= CONFIG.DECELERATION * 0.5 * dt;
+  }
+  
+  kart.speed = Math.max(0, Math.min(kart.getMaxSpeed(), kart.speed));
+}
+
+// Velocity eases toward the heading at the surface's grip, so karts slide
+// on ice and track true on tarmac
+function moveKart(kart, moveAngle, dt) {
+  const targetX = Math.cos(moveAngle) * kart.speed * 0.5;
+  const targetY = Math.sin(moveAngle) * kart.speed * 0.5;
+  const grip = kart.airborne ? 0 : 1 - Math.pow(1 - SURFACES[kart.surface].grip, dt * 60);
+  
+  kart.velocity.x += (targetX - kart.velocity.x) * grip;
+  kart.velocity.y += (targetY - kart.velocity.y) * grip;
+  
+  kart.x += kart.velocity.x * dt;
+  kart.y += kart.velocity.y * dt;
+}
+
+// ============================================================================
+// COLLISION DETECTION
+// ============================================================================
+
+function updateSurface(kart, track, proj, rng) {
+  // Airborne karts keep the surface they took off from until they land
+  if (kart.airborne) return;
+  
+  const previous = kart.surface;
+  kart.surface = track.surfaceAt(proj);
+  const surface = SURFACES[kart.surface];
+  
+  if (kart.surface !== previous) {
+    if (surface.boost) {
+      kart.applyBoost();
+      if (kart.isPlayer) {
+        fx.shake(4, 0.2);
+        fx.vibrate([30, 20, 30]);
+      }
+    }
+    if (surface.ramp && kart.speed > CONFIG.RAMP_MIN_SPEED) {
+      kart.launch();
+    }
+  }
+  
+  // Kick up grass, sand and ice while driving over loose ground
+  if (surface.shake !== undefined && kart.speed > 40 && rng() < 0.25) {
+    fx.particles(
+      kart.x - Math.cos(kart.angle) * 10,
+      kart.y - Math.sin(kart.angle) * 10,
+      2, surface.particles, [20, 60], [0.2, 0.4], [2, 4]
+    );
+    if (kart.isPlayer) fx.rumble(surface.shake);
+  }
+}
+
+// In battles (`battle` true) there are no checkpoints to pass and ramming
+// while boosting pops balloons
+function handleCollisions(karts, track, powerUps, hazards, itemOdds, rng, time, battle = false) {
+  const world = { track, karts, time, battle };
+  for (const kart of karts) {
+    // Karts out of the battle sit where they were popped
+    if (kart.popped) continue;
+    
+    const proj = track.project(kart.x, kart.y);
+    const limit = proj.halfWidth + track.runoff - 15;
+    
+    if (Math.abs(proj.offset) > limit) {
+      // Head-on hits cost more speed than scraping along the wall
+      const side = Math.sign(proj.offset);
+      const heading = kart.angle + kart.driftAngleOffset;
+      const impact = Math.max(0, (Math.cos(heading) * proj.nx + Math.sin(heading) * proj.ny) * side);
+      const wasOnTrack = kart.speed > 20 && impact > 0.3;
+      kart.speed *= 1 - 0.3 * Math.max(impact, 0.1);
+      
+      if (wasOnTrack && kart.isPlayer) {
+        fx.shake(5, 0.2);
+        fx.particles(kart.x, kart.y, 5, ['#8B4513', '#A0522D', '#CD853F'], [40, 80], [0.2, 0.4], [3, 6]);
+      }
+      
+      // Push back onto the road, perpendicular to the centerline
+      kart.x = proj.x + proj.nx * side * limit;
+      kart.y = proj.y + proj.ny * side * limit;
+    }
+    
+    updateSurface(kart, track, proj, rng);
+    
+    for (const powerUp of powerUps) {
+      if (!powerUp.active) continue;
+      if (kart.item) continue;
+      
+      const dist = Math.hypot(powerUp.x - kart.x, powerUp.y - kart.y);
+      if (dist < powerUp.size + 10) {
+        powerUp.collect();
+        rollItem(kart, karts, itemOdds, track.checkpoints.length, rng);
+        if (kart.isPlayer) fx.vibrate(20);
+      }
+    }
+    
+    // Hazards are jumped over, not hit
+    if (!kart.airborne) {
+      for (const hazard of hazards) {
+        if (!hazard.dead) hazard.trigger(kart, karts[hazard.owner] === kart, world);
+      }
+    }
+  }
+  
+  // Kart-to-kart collision
+  for (let i = 0; i < karts.length; i++) {
+    for (let j = i + 1; j < karts.length; j++) {
+      const k1 = karts[i];
+      const k2 = karts[j];
+      if (k1.popped || k2.popped) continue;
+      // A kart just put back on the road passes through the others
+      if (k1.invulnerable > 0 || k2.invulnerable > 0) continue;
+      
+      const dist = Math.hypot(k2.x - k1.x, k2.y - k1.y);
+      const minDist = 25;
+      
+      if (dist < minDist) {
+        const angle = Math.atan2(k2.y - k1.y, k2.x - k1.x);
+        const overlap = minDist - dist;
+        
+        // The lighter kart takes more of the shove and of the speed swap
+        // (evenly split between equal weights)
+        const total = k1.stats.weight + k2.stats.weight;
+        const share1 = 2 * k2.stats.weight / total;
+        const share2 = 2 * k1.stats.weight / total;
+        
+        k1.x -= Math.cos(angle) * overlap / 2 * share1;
+        k1.y -= Math.sin(angle) * overlap / 2 * share1;
+        k2.x += Math.cos(angle) * overlap / 2 * share2;
+        k2.y += Math.sin(angle) * overlap / 2 * share2;
+        
+        const speedDiff = k1.speed - k2.speed;
+        k1.speed -= speedDiff * 0.3 * share1;
+        k2.speed += speedDiff * 0.3 * share2;
+        
+        // Collision effects
+        const midX = (k1.x + k2.x) / 2;
+        const midY = (k1.y + k2.y) / 2;
+        fx.particles(midX, midY, 6, ['#FFFFFF', '#FFD700'], [50, 100], [0.1, 0.3], [2, 4]);
+        
+        if (k1.isPlayer || k2.isPlayer) {
+          fx.shake(4, 0.15);
+          fx.vibrate(15);
+        }
+        
+        if (battle) {
+          ram(k1, k2, time);
+        }
+      }
+    }
+  }
+  
+  // Checkpoints once every shove has landed, so each step's movement starts
+  // where the last one ended
+  if (!battle) {
+    for (const kart of karts) {
+      track.checkCheckpoint(kart, kart.prevX, kart.prevY, time);
+    }
+  }
+}
+
+// A boosting kart that runs into one that isn't knocks a balloon off it,
+// unless a shield soaks the hit
+function ram(k1, k2, time) {
+  let victim = null;
+  if (k1.boosting && !k2.boosting) victim = k2;
+  if (k2.boosting && !k1.boosting) victim = k1;
+  if (victim) knockOut(victim, time, true);
+}
+
+function popBalloon(kart, time) {
+  kart.balloons--;
+  fx.particles(kart.x, kart.y - 20, 12, [kart.color, '#FFFFFF'], [60, 140], [0.3, 0.6], [3, 6]);
+  if (kart.isPlayer) fx.vibrate([80, 40, 80]);
+  
+  if (kart.balloons <= 0) {
+    kart.popped = true;
+    kart.finished = true;
+    kart.finishTime = time;
+    kart.speed = 0;
+    kart.velocity.x = 0;
+    kart.velocity.y = 0;
+  }
+}
+
+// ============================================================================
+// ITEM USAGE
+// ============================================================================
+
+// Use the kart's item (see ITEMS); `reverse` is a player braking as they
+// use it
+function useItem(kart, karts, projectiles, hazards, reverse = false) {
+  // Still spinning in the item slot
+  if (kart.itemRoulette > 0) return;
+  
+  const item = ITEMS[kart.item];
+  kart.item = null;
+  if (item) item.onUse(kart, { karts, projectiles, hazards, reverse });
+}
+
+// Shells go forward; `reverse` (a player braking as they throw) sends one
+// that doesn't home backward
+function throwShell(type, kart, { karts, projectiles, reverse }) {
+  const owner = karts.indexOf(kart);
+  const homing = ITEMS[type].projectile.homing;
+  const angle = kart.angle + (reverse && !homing ? Math.PI : 0);
+  const target = homing ? projectileTarget(homing, karts, owner) : -1;
+  projectiles.push(new Projectile(
+    type,
+    kart.x + Math.cos(angle) * 20,
+    kart.y + Math.sin(angle) * 20,
+    angle, owner, target
+  ));
+  if (kart.isPlayer) fx.vibrate(20);
+}
+
+// Hazards drop behind the kart; `reverse` throws them forward instead
+function dropHazard(type, kart, { karts, hazards, reverse }) {
+  const owner = karts.indexOf(kart);
+  if (reverse) {
+    const thrown = Math.max(0, kart.speed * 0.5) + CONFIG.HAZARD_THROW_SPEED;
+    hazards.push(new Hazard(type, kart.x, kart.y, kart.angle, owner, thrown));
+  } else {
+    hazards.push(new Hazard(
+      type,
+      kart.x - Math.cos(kart.angle) * 25,
+      kart.y - Math.sin(kart.angle) * 25,
+      kart.angle, owner
+    ));
+  }
+}
+
+// What a CPU kart does with an item that doesn't say (see aiUse): a
+// straight shot waits until it's lined up, a homing one until there's
+// someone to chase, a hazard until a kart is on its tail, and anything
+// else goes now and then
+function defaultAiUse(item) {
+  if (item.hazard) return dropOnTail;
+  if (item.projectile) return item.projectile.homing ? homingShot : lineUpShot;
+  return (kart, ai, rng) => (rng() < 0.01 ? 'at random' : null);
+}
+
+// A kart just ahead in a race, the nearest rival in a battle
+function shotMark(kart, ai) {
+  return ai.battle ? ai.rival : shellMark(kart, ai.karts, ai.track);
+}
+
+// A straight shot goes once the kart is pointing at its mark, now and then
+// in a race going anyway so it doesn't sit on one all race
+function lineUpShot(kart, ai, rng) {
+  const { mark } = ai;
+  if (mark && Math.hypot(mark.x - kart.x, mark.y - kart.y) < CONFIG.AI_SHELL_RANGE && Math.abs(ai.aim) < 0.15) {
+    return `lined up on ${mark.name}`;
+  }
+  return !ai.battle && rng() < 0.002 ? 'at random' : null;
+}
+
+// A homing shot goes soon after there's a kart for it to chase
+function homingShot(kart, ai, rng) {
+  const { homing } = ITEMS[kart.item].projectile;
+  const target = ai.karts[projectileTarget(homing, ai.karts, ai.karts.indexOf(kart))];
+  if (target && rng() < 0.02) return `after ${target.name}`;
+  return rng() < 0.002 ? 'at random' : null;
+}
+
+// A hazard goes down in front of a kart right behind
+function dropOnTail(kart, ai, rng) {
+  const chaser = tailgater(kart, ai.karts);
+  if (chaser && rng() < 0.05) return `${chaser.name} on its tail`;
+  return rng() < 0.002 ? 'at random' : null;
+}
+
+// A shell on its way to the kart, or a kart gaining on it from close
+// behind (from anywhere in a battle): what a shield is for
+function threat(kart, ai) {
+  const index = ai.karts.indexOf(kart);
+  for (const shot of ai.projectiles) {
+    if (shot.owner === index && shot.age < CONFIG.PROJECTILE_ARM_TIME) continue;
+    const dx = kart.x - shot.x;
+    const dy = kart.y - shot.y;
+    const dist = Math.hypot(dx, dy);
+    if (dist > CONFIG.AI_THREAT_RANGE) continue;
+    const heading = (dx * Math.cos(shot.angle) + dy * Math.sin(shot.angle)) / dist;
+    if (shot.target === index || (!ITEMS[shot.type].projectile.flying && heading > 0.9)) {
+      return 'a shell coming';
+    }
+  }
+  
+  for (const other of ai.karts) {
+    if (other === kart || other.finished || other.popped) continue;
+    const dx = other.x - kart.x;
+    const dy = other.y - kart.y;
+    const dist = Math.hypot(dx, dy);
+    if (dist > CONFIG.AI_THREAT_RANGE) continue;
+    const behind = -(dx * Math.cos(kart.angle) + dy * Math.sin(kart.angle));
+    const gain = -((other.velocity.x - kart.velocity.x) * dx + (other.velocity.y - kart.velocity.y) * dy) / dist;
+    if ((ai.battle || behind > 0) && gain > 10) return `${other.name} closing in`;
+  }
+  return null;
+}
+
+// Whether the racing line runs near enough straight for AI_STRAIGHT px
+// ahead of the kart, room to use a boost without braking it away
+function straightAhead(kart, track) {
+  const { waypoints } = track;
+  const steps = Math.ceil(CONFIG.AI_STRAIGHT / (track.length / waypoints.length));
+  let turn = 0;
+  for (let i = 0; i < steps; i++) {
+    turn += Math.abs(waypoints[(kart.aiWaypointIndex + i) % waypoints.length].turn);
+  }
+  return turn < 0.3;
+}
+
+// A hazard that spins out whoever runs into it, in a puff of `colors`
+function spinOut(colors) {
+  return (hazard, kart, world) => {
+    knockOut(kart, world.time, world.battle);
+    fx.particles(hazard.x, hazard.y, 8, colors, [40, 90], [0.2, 0.4], [3, 5]);
+  };
+}
+
+// The built-in items. Their order is the order of each odds tier, which
+// the item box roll walks.
+
+registerItem({
+  id: 'boost',
+  icon: '🚀',
+  color: '#E74C3C',
+  weights: { race: [2, 3, 4, 5], battle: [4] },
+  // Rams the nearest rival in a battle. In a race it's saved for a
+  // straight, or to get back up to speed after a hit.
+  aiMark: (kart, ai) => (ai.battle ? ai.rival : null),
+  aiUse(kart, ai) {
+    if (ai.battle) {
+      const close = Math.hypot(ai.mark.x - kart.x, ai.mark.y - kart.y) < 160 && Math.abs(ai.aim) < 0.35;
+      return close ? `ramming ${ai.mark.name}` : null;
+    }
+    if (kart.boosting || kart.airborne) return null;
+    if (kart.lastHitTimer > 0) return 'back up to speed after a hit';
+    return Math.abs(ai.aim) < 0.1 && straightAhead(kart, ai.track) ? 'a straight ahead' : null;
+  },
+  onUse(kart) {
+    kart.boosting = true;
+    kart.boostSpeed = CONFIG.DRIFT_BOOST_SPEED;
+    kart.boostTimer = CONFIG.BOOST_DURATION;
+    fx.particles(kart.x, kart.y, 15, ['#FF6B35', '#FFD93D', '#FF0000'], [80, 150], [0.3, 0.6], [4, 8]);
+    if (kart.isPlayer) fx.vibrate([50, 30, 50]);
+  },
+});
+
+registerItem({
+  id: 'shield',
+  icon: '🛡️',
+  color: '#3498DB',
+  weights: { race: [3, 2, 1, 0], battle: [2] },
+  // Kept until a shell or a kart comes for its driver
+  aiUse: (kart, ai) => (kart.shielded ? null : threat(kart, ai)),
+  onUse(kart) {
+    kart.shielded = true;
+    kart.shieldTimer = CONFIG.SHIELD_DURATION;
+    fx.particles(kart.x, kart.y, 12, ['#00BFFF', '#87CEEB', '#FFFFFF'], [60, 100], [0.3, 0.5], [3, 6]);
+  },
+});
+
+registerItem({
+  id: 'slow',
+  icon: '🐌',
+  color: '#9B59B6',
+  weights: { race: [0, 1, 2, 3] },
+  // Kept until there are karts close ahead to hold up
+  aiUse(kart, ai) {
+    const ahead = ai.karts.filter(other => other.position < kart.position && !other.finished && !other.shielded &&
+      Math.hypot(other.x - kart.x, other.y - kart.y) < CONFIG.AI_PACK_RANGE);
+    return ahead.length > 0 ? `${ahead.map(other => other.name).join(', ')} just ahead` : null;
+  },
+  onUse(kart, { karts }) {
+    for (const other of karts) {
+      if (other !== kart && !other.shielded) {
+        other.slowed = true;
+        other.slowTimer = CONFIG.SLOW_DURATION;
+        fx.particles(other.x, other.y, 8, ['#9B59B6', '#8E44AD'], [40, 80], [0.3, 0.5], [3, 5]);
+      }
+    }
+  },
+});
+
+registerItem({
+  id: 'greenShell',
+  weights: { race: [4, 3, 2, 1], battle: [4] },
+  projectile: { speed: 260, life: 6, bounces: 5, homing: null, turn: 0, color: '#22C55E', trail: ['#22C55E', '#BBF7D0', '#FFFFFF'] },
+  onUse: (kart, use) => throwShell('greenShell', kart, use),
+});
+
+registerItem({
+  id: 'redShell',
+  weights: { race: [0, 3, 4, 4], battle: [3] },
+  projectile: { speed: 220, life: 8, bounces: 0, homing: 'ahead', turn: 4, color: '#EF4444', trail: ['#EF4444', '#FECACA', '#FFFFFF'] },
+  onUse: (kart, use) => throwShell('redShell', kart, use),
+});
+
+registerItem({
+  id: 'spiny',
+  weights: { race: [0, 0, 1, 2] },
+  projectile: { speed: 200, life: 40, bounces: 0, homing: 'leader', turn: 5, flying: true, color: '#2563EB', trail: ['#2563EB', '#93C5FD', '#FFFFFF'] },
+  // Held until someone other than this kart is leading, and it's far
+  // enough back down the road from them (twice the blast, for closing in
+  // while it flies) not to be caught in the blast
+  aiUse(kart, ai, rng) {
+    const leader = ai.karts.find(other => other.position === 1);
+    if (!leader || leader === kart) return null;
+    const { track } = ai;
+    const gap = (track.project(leader.x, leader.y).s - track.project(kart.x, kart.y).s + track.length) % track.length;
+    if (gap < CONFIG.SPINY_BLAST_RADIUS * 2) return null;
+    return rng() < 0.01 ? 'after the leader, clear of the blast' : null;
+  },
+  onUse: (kart, use) => throwShell('spiny', kart, use),
+  // Only comes down on its target, and takes out everyone close by
+  onUpdate(shot, dt, { karts, time, battle }) {
+    const target = karts[shot.target];
+    if (!target || Math.hypot(target.x - shot.x, target.y - shot.y) >= CONFIG.PROJECTILE_RADIUS + 12) return;
+    for (const kart of karts) {
+      if (kart.finished) continue;
+      if (Math.hypot(kart.x - shot.x, kart.y - shot.y) < CONFIG.SPINY_BLAST_RADIUS) {
+        knockOut(kart, time, battle);
+      }
+    }
+    fx.particles(shot.x, shot.y, 30, ['#2563EB', '#93C5FD', '#FFFFFF', '#FFD700'], [100, 220], [0.3, 0.7], [4, 9]);
+    fx.shake(6, 0.3);
+    shot.dead = true;
+  },
+});
+
+registerItem({
+  id: 'banana',
+  weights: { race: [4, 2, 1, 0], battle: [3] },
+  hazard: { radius: 10, life: 45, uses: 1, visible: true },
+  onUse: (kart, use) => dropHazard('banana', kart, use),
+  onHit: spinOut(['#FACC15', '#FFFFFF', '#F59E0B']),
+});
+
+registerItem({
+  id: 'oil',
+  weights: { race: [2, 2, 1, 1], battle: [1] },
+  hazard: { radius: 22, life: 15, uses: 3, visible: true },
+  onUse: (kart, use) => dropHazard('oil', kart, use),
+  onHit: spinOut(['#1F2937', '#4B5563', '#9CA3AF']),
+});
+
+registerItem({
+  id: 'fakeBox',
+  weights: { race: [3, 2, 1, 0], battle: [2] },
+  hazard: { radius: 14, life: 45, uses: 1, visible: false },
+  onUse: (kart, use) => dropHazard('fakeBox', kart, use),
+  onHit: spinOut(['#FACC15', '#FFFFFF', '#F59E0B']),
+});
+
+// ============================================================================
+// PROGRESS AND RESPAWNS
+// ============================================================================
+
+// Follow how far round the track the kart gets, which checkpoints and race
+// positions go by. Heading back down the track for a moment sets off the
+// wrong-way warning; a few seconds without getting any further (the wrong
+// way, nose in a wall, wedged against another kart) puts a CPU kart back on
+// the road where it last got somewhere. Players only count those seconds
+// while on the gas and off the road or held up, so sitting still, lining up
+// a shot or turning round is left to them.
+//
+// Battles don't come through here: an arena has no way round to fall
+// behind on, and CPU karts there back out of walls themselves (aiBackOff).
+function trackProgress(kart, track, dt) {
+  if (kart.finished) return;
+  
+  const proj = track.project(kart.x, kart.y);
+  if (kart.trackS === null) kart.trackS = kart.progressS = proj.s;
+  let moved = proj.s - kart.trackS;
+  if (moved > track.length / 2) moved -= track.length;
+  if (moved < -track.length / 2) moved += track.length;
+  kart.trackS = proj.s;
+  kart.trackDistance += moved;
+  if (kart.airborne) return;
+  
+  if (kart.trackDistance > kart.progressMark + CONFIG.STUCK_PROGRESS) {
+    kart.progressMark = kart.trackDistance;
+    kart.progressS = proj.s;
+    kart.stuckTimer = 0;
+  } else if (!kart.isPlayer || (kart.throttle && (SURFACES[kart.surface].offroad || Math.abs(kart.speed) < CONFIG.STUCK_SPEED))) {
+    kart.stuckTimer += dt;
+  }
+  
+  // Reversing the right way round isn't going the wrong way
+  const travel = Math.cos(kart.angle - proj.angle) * Math.sign(kart.speed);
+  kart.wrongWayTimer = travel < -0.3 && Math.abs(kart.speed) > 10 ? kart.wrongWayTimer + dt : 0;
+  
+  if (kart.stuckTimer > CONFIG.STUCK_TIME) {
+    kart.respawn(track.pointAt(kart.progressS));
+    kart.trackS = kart.progressS;
+    kart.trackDistance = kart.progressMark;
+  }
+}
+
+// ============================================================================
+// POSITION CALCULATION
+// ============================================================================
+
+function calculatePositions(karts) {
+  // Finishers hold their place in crossing order, everyone else by progress
+  const sorted = [...karts].sort((a, b) => {
+    if (a.finished && b.finished) return a.finishTime - b.finishTime;
+    if (a.finished !== b.finished) return a.finished ? -1 : 1;
+    return b.totalProgress - a.totalProgress;
+  });
+  
+  for (let i = 0; i < sorted.length; i++) {
+    sorted[i].position = i + 1;
+  }
+}
+
+// Battle standings: most balloons first, then the karts that were popped,
+// the last to go ranking highest
+function calculateBattlePositions(karts) {
+  const sorted = [...karts].sort((a, b) => {
+    if (a.popped !== b.popped) return a.popped ? 1 : -1;
+    if (a.popped) return b.finishTime - a.finishTime;
+    return b.balloons - a.balloons;
+  });
+  
+  for (let i = 0; i < sorted.length; i++) {
+    sorted[i].position = i + 1;
+  }
+}
+
+// ============================================================================
+// RACE
+// ============================================================================
+
+const RACERS = [
+  { name: 'Player', color: '#E60012' },
+  { name: 'Peach', color: '#F472B6' },
+  { name: 'Luigi', color: '#22C55E' },
+  { name: 'Toad', color: '#3B82F6' },
+];
+
+const IDLE_INPUT = { up: false, down: false, left: false, right: false, drift: false, useItem: false, steer: 1 };
+
+/**
+ * One race on one track. Each step() advances it by CONFIG.SIM_STEP; the
+ * same seed, track data and input stream always play out the same race.
+ *
+ * Options: `seed`, `racers` ([{ name, color, stats }] in grid order, with
+ * optional roster stats), `humans` (how many of the first racers are
+ * driven by step()'s inputs instead of the AI, default 1), `countdown`
+ * (seconds before the start), `items` (false leaves the item boxes out),
+ * `startItem` (an item every kart holds on the grid), `mode` ('race', or
+ * 'battle' for a balloon battle in an arena: no laps, boosting into a kart
+ * pops one of its balloons and the last kart with any left, or the most
+ * when time runs out, wins), `itemOdds` (item box odds in the ITEM_ODDS
+ * format, default the mode's), `coins` (false leaves the coins out; by
+ * default races with item boxes have them), `difficulty` (a DIFFICULTIES
+ * key for the CPU karts) and `rubberBand` (false stops the CPU karts
+ * rubber-banding). A racer's `personality` (a PERSONALITIES key) sets how
+ * its CPU driver races.
+ */
+class Race {
+  constructor(trackData, options = {}) {
+    const {
+      seed = randomSeed(),
+      racers = RACERS,
+      humans = 1,
+      countdown = CONFIG.COUNTDOWN,
+      items = true,
+      startItem = null,
+      mode = 'race',
+      itemOdds = ITEM_ODDS[mode],
+      coins = items && mode !== 'battle',
+      difficulty = CONFIG.AI_DIFFICULTY,
+      rubberBand = true,
+    } = options;
+    
+    if (!DIFFICULTIES[difficulty]) throw new Error(`Unknown difficulty "${difficulty}"`);
+    const skill = { ...DIFFICULTIES[difficulty] };
+    if (!rubberBand) skill.rubberBand = 0;
+    
+    this.seed = seed;
+    this.rng = createRng(seed);
+    // A built Track can be shared between races on the same layout
+    this.track = trackData instanceof Track ? trackData : new Track(trackData);
+    
+    this.karts = racers.map((racer, i) => {
+      const slot = this.track.grid[i % this.track.grid.length];
+      const kart = new Kart(slot.x, slot.y, slot.angle, racer.color, i < humans, racer.name);
+      kart.stats = kartStats(racer.stats);
+      kart.skill = skill;
+      kart.personality = racerPersonality(racer);
+      kart.aiPhase = i * 2.4;
+      if (i < humans) kart.playerIndex = i;
+      kart.item = startItem;
+      if (mode === 'battle') kart.balloons = CONFIG.BATTLE_BALLOONS;
+      return kart;
+    });
+    this.powerUps = items ? this.track.powerUpSpots.map(spot => new PowerUp(spot.x, spot.y, this.rng)) : [];
+    this.coins = coins ? this.track.coinSpots.map(spot => new Coin(spot.x, spot.y)) : [];
+    this.projectiles = [];
+    this.hazards = [];
+    
+    this.mode = mode;
+    this.itemOdds = itemOdds;
+    this.tick = 0;
+    this.time = 0;
+    this.countdown = countdown;
+    // The latest CPU item decisions, { tick, time, kart, item, why }, for
+    // the debug overlay. Not part of the race's state.
+    this.aiLog = [];
+  }
+  
+  get battle() {
+    return this.mode === 'battle';
+  }
+  
+  // Player 1's kart
+  get player() {
+    return this.karts.find(k => k.isPlayer) || null;
+  }
+  
+  // Every human-driven kart, player 1 first
+  get players() {
+    return this.karts.filter(k => k.isPlayer);
+  }
+  
+  // Every kart has taken the flag
+  get over() {
+    return this.karts.every(k => k.finished);
+  }
+  
+  // `inputs` holds one input per human, in player order; missing ones idle
+  step(inputs = []) {
+    const dt = CONFIG.SIM_STEP;
+    this.tick++;
+    
+    for (const kart of this.karts) {
+      kart.storePrevious();
+    }
+    for (const shot of this.projectiles) {
+      shot.storePrevious();
+    }
+    for (const hazard of this.hazards) {
+      hazard.storePrevious();
+    }
+    for (const coin of this.coins) {
+      coin.storePrevious();
+    }
+    
+    // Countdown
+    if (this.countdown > 0) {
+      this.countdown -= dt;
+      if (this.countdown <= 0) {
+        fx.vibrate([100, 50, 100, 50, 200]);
+      }
+      return;
+    }
+    
+    this.time += dt;
+    
+    // The AI rubber-bands against the leading human
+    const player = this.players.sort((a, b) => a.position - b.position)[0] || null;
+    const log = (kart, item, why) => this.logItemUse(kart, item, why);
+    for (const kart of this.karts) {
+      if (kart.isPlayer) {
+        updatePlayerKart(kart, inputs[kart.playerIndex] || IDLE_INPUT, dt, this.karts, this.projectiles, this.hazards, this.rng);
+      } else if (this.battle) {
+        updateBattleAIKart(kart, dt, this.track, this.karts, this.powerUps, this.projectiles, this.hazards, this.rng, log);
+      } else {
+        updateAIKart(kart, dt, this.track, player, this.karts, this.projectiles, this.hazards, this.rng, log);
+      }
+    }
+    
+    if (!this.battle) {
+      for (const kart of this.karts) {
+        trackProgress(kart, this.track, dt);
+      }
+    }
+    this.hazards = updateHazards(this.hazards, this.karts, this.track, dt, this.time, this.battle);
+    handleCollisions(this.karts, this.track, this.powerUps, this.hazards, this.itemOdds, this.rng, this.time, this.battle);
+    this.projectiles = updateProjectiles(this.projectiles, this.karts, this.track, dt, this.time, this.battle);
+    this.coins = updateCoins(this.coins, this.karts, this.track, dt, this.rng);
+    
+    for (const powerUp of this.powerUps) {
+      powerUp.update(dt);
+    }
+    
+    if (this.battle) {
+      this.updateBattle();
+      calculateBattlePositions(this.karts);
+    } else {
+      calculatePositions(this.karts);
+    }
+  }
+  
+  // The battle ends when one kart is left with balloons or the clock runs
+  // out; whoever is still in finishes then
+  updateBattle() {
+    const standing = this.karts.filter(k => !k.popped);
+    if (standing.length > 1 && this.time < CONFIG.BATTLE_TIME) return;
+    
+    for (const kart of standing) {
+      if (kart.finished) continue;
+      kart.finished = true;
+      kart.finishTime = this.time;
+    }
+  }
+  
+  // Note a CPU kart using an item and why, keeping the last AI_LOG_SIZE
+  logItemUse(kart, item, why) {
+    this.aiLog.push({ tick: this.tick, time: this.time, kart: kart.name, item, why });
+    if (this.aiLog.length > CONFIG.AI_LOG_SIZE) this.aiLog.shift();
+  }
+  
+  // Seconds left on the battle clock
+  get timeLeft() {
+    return Math.max(0, CONFIG.BATTLE_TIME - this.time);
+  }
+  
+  // The whole race at this step as plain data. Restoring it into a Race
+  // built with the same track and options carries on exactly from here
+  // (online clients rewind to server snapshots this way).
+  getState() {
+    return {
+      tick: this.tick,
+      time: this.time,
+      countdown: this.countdown,
+      rng: this.rng.getState(),
+      karts: this.karts.map(k => k.getState()),
+      powerUps: this.powerUps.map(p => p.getState()),
+      projectiles: this.projectiles.map(p => p.getState()),
+      hazards: this.hazards.map(h => h.getState()),
+      coins: this.coins.map(c => c.getState()),
+    };
+  }
+  
+  setState(state) {
+    this.tick = state.tick;
+    this.time = state.time;
+    this.countdown = state.countdown;
+    this.rng.setState(state.rng);
+    // Stepping on from here logs those decisions again
+    this.aiLog = this.aiLog.filter(entry => entry.tick <= state.tick);
+    state.karts.forEach((kartState, i) => this.karts[i].setState(kartState));
+    state.powerUps.forEach((powerUpState, i) => this.powerUps[i].setState(powerUpState));
+    this.projectiles = state.projectiles.map((shotState) => {
+      const shot = new Projectile(shotState.type, shotState.x, shotState.y, shotState.angle, shotState.owner, shotState.target);
+      shot.setState(shotState);
+      return shot;
+    });
+    this.hazards = state.hazards.map((hazardState) => {
+      const hazard = new Hazard(hazardState.type, hazardState.x, hazardState.y, hazardState.angle, hazardState.owner);
+      hazard.setState(hazardState);
+      return hazard;
+    });
+    this.coins = state.coins.map((coinState) => {
+      const coin = new Coin(coinState.x, coinState.y, coinState.owner, coinState.angle);
+      coin.setState(coinState);
+      return coin;
+    });
+  }
+  
+  // Standings with finish times (null for karts still racing) and the
+  // coins each kart ended with
+  results() {
+    return [...this.karts]
+      .sort((a, b) => a.position - b.position)
+      .map(kart => ({
+        name: kart.name,
+        position: kart.position,
+        time: kart.finished ? kart.finishTime : null,
+        coins: kart.coins,
+      }));
+  }
+}
+
+// Export for Node (scripts/simulate.js); in the browser these are globals
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { CONFIG, SURFACES, DRIFT_TIERS, RACERS, Race, Track, Kart, PowerUp, Projectile, Hazard, Coin, ITEMS, registerItem, DIFFICULTIES, PERSONALITIES, ITEM_ODDS, itemTier, createRng, randomSeed, kartStats, fx };
+}
@@ -0,0 +1,251 @@
+/**
+ * TIME TRIAL
+ * Solo runs against the clock with no CPU karts and no item boxes. The best
+ * run on each track is kept as a ghost (the recorded positions, drawn
+ * see-through) and every checkpoint shows the gap to that ghost and to the
+ * best lap ever driven there.
+ */
+
+// ============================================================================
+// TIME TRIAL RECORDS
+// ============================================================================
+
+const TIME_TRIAL_KEY = 'retroKart.timeTrial.';
+const GHOST_SAMPLE_STEPS = 4;   // ghost pose is stored every this many steps
+const GHOST_OPACITY = 0.45;
+const SPLIT_SHOW_TIME = 3;      // seconds a checkpoint split stays on screen
+
+/**
+ * Saved per track under TIME_TRIAL_KEY + track id:
+ *
+ * {
+ *   "trackLength": 2710,       // a changed layout drops the old records
+ *   "run": { "time", "lapTimes", "splits", "frames": [x, y, angle, z, ...] },
+ *   "lap": { "time", "splits" } // checkpoint times from the start of the lap
+ * }
+ *
+ * The best lap can come from any run, so it is kept apart from the ghost.
+ */
+const timeTrial = {
+  active: false,
+  trackId: null,
+  best: null,
+  ghostRun: null,
+  ghost: null,
+  frames: [],
+  splitCount: 0,
+  split: null,
+  result: null,
+  
+  start(race, trackId) {
+    this.active = true;
+    this.trackId = trackId;
+    this.best = this.load(trackId, race.track);
+    this.frames = [];
+    this.splitCount = 0;
+    this.split = null;
+    this.result = null;
+    
+    // Race against the record as it stood when this run started
+    this.ghostRun = this.best.run || null;
+    this.ghost = null;
+    if (this.ghostRun) {
+      const [x, y, angle] = this.ghostRun.frames;
+      this.ghost = new Kart(x, y, angle, '#FFFFFF', false, 'Ghost');
+      this.ghost.opacity = GHOST_OPACITY;
+    }
+    
+    this.sample(race.player);
+  },
+  
+  stop() {
+    this.active = false;
+    this.ghost = null;
+  },
+  
+  load(trackId, track) {
+    try {
+      const best = JSON.parse(localStorage.getItem(TIME_TRIAL_KEY + trackId));
+      if (best && best.trackLength === Math.round(track.length)) return best;
+    } catch (e) {
+      // Unreadable records are replaced on the next finish
+    }
+    return { trackLength: Math.round(track.length) };
+  },
+  
+  save() {
+    try {
+      localStorage.setItem(TIME_TRIAL_KEY + this.trackId, JSON.stringify(this.best));
+    } catch (e) {
+      // Storage full or disabled: the record only lasts this session
+    }
+  },
+  
+  // Called after every race step
+  update(race) {
+    const kart = race.player;
+    
+    if (this.split) {
+      this.split.timer -= CONFIG.SIM_STEP;
+      if (this.split.timer <= 0) this.split = null;
+    }
+    
+    if (race.countdown > 0) return;
+    
+    if (!kart.finished && Math.round(race.time / CONFIG.SIM_STEP) % GHOST_SAMPLE_STEPS === 0) {
+      this.sample(kart);
+    }
+    if (this.ghost) {
+      this.poseGhost(race.time);
+    }
+    
+    const checkpointCount = race.track.checkpoints.length;
+    while (this.splitCount < kart.splits.length) {
+      this.checkSplit(kart, this.splitCount++, checkpointCount);
+    }
+    
+    if (kart.finished && !this.result) {
+      this.finish(kart);
+    }
+  },
+  
+  sample(kart) {
+    const round = (v, places) => Math.round(v * places) / places;
+    this.frames.push(round(kart.x, 10), round(kart.y, 10), round(kart.angle, 1000), round(kart.z, 10));
+  },
+  
+  // Put the ghost where the recorded run was at this race time
+  poseGhost(time) {
+    const frames = this.ghostRun.frames;
+    const last = frames.length / 4 - 1;
+    const t = Math.min(time / (GHOST_SAMPLE_STEPS * CONFIG.SIM_STEP), last);
+    const i = Math.floor(t);
+    const j = Math.min(i + 1, last);
+    const f = t - i;
+    
+    const ghost = this.ghost;
+    ghost.storePrevious();
+    ghost.x = frames[i * 4] + (frames[j * 4] - frames[i * 4]) * f;
+    ghost.y = frames[i * 4 + 1] + (frames[j * 4 + 1] - frames[i * 4 + 1]) * f;
+    const turn = Math.atan2(Math.sin(frames[j * 4 + 2] - frames[i * 4 + 2]), Math.cos(frames[j * 4 + 2] - frames[i * 4 + 2]));
+    ghost.angle = frames[i * 4 + 2] + turn * f;
+    ghost.z = frames[i * 4 + 3] + (frames[j * 4 + 3] - frames[i * 4 + 3]) * f;
+    ghost.finished = time > this.ghostRun.time;
+  },
+  
+  // Checkpoint split n of the run. The first split is the start line on
+  // the way off the grid, then each lap passes `checkpointCount` more and
+  // ends back on the start line.
+  checkSplit(kart, n, checkpointCount) {
+    if (n === 0) return;
+    
+    const lap = Math.floor((n - 1) / checkpointCount);
+    const index = (n - 1) % checkpointCount;   // 0 is the first gate after the line
+    const lapStart = lap === 0 ? 0 : kart.splits[lap * checkpointCount];
+    const lapSplit = kart.splits[n] - lapStart;
+    const lapDone = index === checkpointCount - 1;
+    
+    const run = this.ghostRun;
+    const bestLap = this.best.lap;
+    this.split = {
+      label: lapDone ? `LAP ${lap + 1}` : `CHECKPOINT ${index + 1}`,
+      ghost: run && run.splits[n] !== undefined ? kart.splits[n] - run.splits[n] : null,
+      lap: bestLap && bestLap.splits[index] !== undefined ? lapSplit - bestLap.splits[index] : null,
+      timer: SPLIT_SHOW_TIME,
+    };
+    
+    // A completed lap may be the new best lap
+    if (lapDone) {
+      const lapTime = kart.lapTimes[lap];
+      if (!bestLap || lapTime < bestLap.time) {
+        const splits = kart.splits.slice(lap * checkpointCount + 1, n + 1).map(t => t - lapStart);
+        this.best.lap = { time: lapTime, splits };
+        this.save();
+      }
+    }
+  },
+  
+  finish(kart) {
+    const run = this.ghostRun;
+    this.result = {
+      record: !run || kart.finishTime < run.time,
+      delta: run ? kart.finishTime - run.time : null,
+    };
+    
+    if (this.result.record) {
+      this.best.run = {
+        time: kart.finishTime,
+        lapTimes: [...kart.lapTimes],
+        splits: [...kart.splits],
+        frames: this.frames,
+      };
+      this.save();
+    }
+  },
+  
+  // Karts that are drawn but not raced
+  ghosts() {
+    return this.active && this.ghost && !this.ghost.finished ? [this.ghost] : [];
+  },
+  
+  interpolate(alpha) {
+    if (this.ghost) this.ghost.interpolate(alpha);
+  },
+  
+  // Headline for the finish screen in place of the finishing position
+  finishHeadline() {
+    if (!this.result) return null;
+    if (this.result.record) return 'NEW RECORD!';
+    return `${formatDelta(this.result.delta)} OFF THE RECORD`;
+  },
+  
+  // ==========================================================================
+  // HUD
+  // ==========================================================================
+  
+  render(ctx) {
+    const run = this.ghostRun;
+    const bestLap = this.best.lap;
+    
+    ctx.fillStyle = 'rgba(26, 26, 46, 0.85)';
+    ctx.strokeStyle = '#e94560';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.roundRect(CONFIG.WIDTH / 2 - 140, 10, 280, this.split ? 78 : 30, 8);
+    ctx.fill();
+    ctx.stroke();
+    
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'alphabetic';
+    ctx.font = 'bold 12px system-ui, sans-serif';
+    ctx.fillStyle = '#a0a0a0';
+    const record = run ? formatTime(run.time) : '--:--.--';
+    const lap = bestLap ? formatTime(bestLap.time) : '--:--.--';
+    ctx.fillText(`👻 RECORD ${record} · LAP ${lap}`, CONFIG.WIDTH / 2, 30);
+    
+    if (!this.split) return;
+    
+    ctx.fillStyle = '#FFFFFF';
+    ctx.font = 'bold 15px system-ui, sans-serif';
+    ctx.fillText(this.split.label, CONFIG.WIDTH / 2, 52);
+    
+    ctx.font = 'bold 14px system-ui, sans-serif';
+    this.renderDelta(ctx, 'GHOST', this.split.ghost, CONFIG.WIDTH / 2 - 70, 74);
+    this.renderDelta(ctx, 'BEST LAP', this.split.lap, CONFIG.WIDTH / 2 + 70, 74);
+  },
+  
+  renderDelta(ctx, label, delta, x, y) {
+    if (delta === null) {
+      ctx.fillStyle = '#a0a0a0';
+      ctx.fillText(`${label} --`, x, y);
+      return;
+    }
+    ctx.fillStyle = delta <= 0 ? '#2ECC71' : '#E74C3C';
+    ctx.fillText(`${label} ${formatDelta(delta)}`, x, y);
+  },
+};
+
+// Signed seconds, e.g. -0.42 or +1.07
+function formatDelta(seconds) {
+  return `${seconds < 0 ? '-' : '+'}${Math.abs(seconds).toFixed(2)}`;
+}